@@ -0,0 +1,33 @@
+// Applies pending database migrations: `npm run migrate`. Run it before
+// deploying a version that adds one; `npm run migrate -- --status` only lists
+// what is pending.
+require("dotenv").config();
+
+const { loadConfig } = require('../src/config');
+const { createMongoConnection } = require('../src/db');
+const { logger, configureLogger } = require('../src/services/logger');
+const { setDefaultPhoneCountryCode } = require('../src/services/normalize');
+const { pendingMigrations, runMigrations } = require('../src/services/migrations');
+
+async function main() {
+    const config = loadConfig(process.env);
+    configureLogger({ level: config.logLevel });
+    setDefaultPhoneCountryCode(config.defaultPhoneCountryCode);
+    const mongo = createMongoConnection(config.mongo);
+    try {
+        const db = await mongo.connect();
+        if (process.argv.includes('--status')) {
+            const pending = await pendingMigrations(db);
+            logger.info(pending.length > 0 ? `Pending migrations: ${pending.map(migration => `${migration.version} (${migration.name})`).join(', ')}` : 'No pending migrations.');
+        } else {
+            await runMigrations(db);
+        }
+    } finally {
+        await mongo.close();
+    }
+}
+
+main().catch(error => {
+    logger.error('Migration failed', { err: error });
+    process.exit(1);
+});
@@ -0,0 +1,85 @@
+const express = require("express");
+const cors = require("cors");
+const { createEnsureDbConnected } = require('./db');
+const { createAuthMiddleware, createVerifyCronSecret } = require('./middleware/auth');
+const { createQuotaStore, createReportSubmissionQuota, createAppealSubmissionQuota } = require('./middleware/rateLimit');
+const { assignRequestId, errorEnvelope, notFound, handleErrors } = require('./middleware/errors');
+const { createRequestLogger } = require('./middleware/requestLog');
+const { createEvidenceStorage, createEvidenceUploadMiddleware } = require('./services/evidence');
+const { createNotificationTransports, createNotifier } = require('./services/notifications');
+const { logger: rootLogger } = require('./services/logger');
+const { setDefaultPhoneCountryCode } = require('./services/normalize');
+const { createHealthRouter } = require('./routes/health');
+const { createReportsRouter } = require('./routes/reports');
+const { createAdminReportsRouter } = require('./routes/adminReports');
+const { createTrashRouter } = require('./routes/trash');
+const { createUsersRouter } = require('./routes/users');
+const { createAppealsRouter } = require('./routes/appeals');
+const { createAdminRouter } = require('./routes/admin');
+const { createRolesRouter } = require('./routes/roles');
+const { createMeRouter } = require('./routes/me');
+const { createWebhooksRouter } = require('./routes/webhooks');
+const { createApiKeysRouter } = require('./routes/apiKeys');
+
+// Builds the Express app from its dependencies:
+// - db: a Mongo Db, or a function resolving to one (connected lazily per request)
+// - auth: Firebase Admin auth, or any object with the same methods
+// - config: the result of loadConfig()
+// - evidenceStorage / quotaStore / notificationTransports: optional overrides for the config-selected adapters
+// - logger: optional override for the process logger (see services/logger)
+function createApp({ db, auth, config, evidenceStorage, quotaStore, notificationTransports, getFirebaseBucket, logger = rootLogger }) {
+    setDefaultPhoneCountryCode(config.defaultPhoneCountryCode);
+    const app = express();
+    app.set('trust proxy', config.trustProxy);
+    const getDb = typeof db === 'function' ? db : async () => db;
+
+    const ensureDbConnected = createEnsureDbConnected(getDb);
+    const store = quotaStore || createQuotaStore(config, getDb);
+    const { verifyAuthToken, identifyCaller, requirePermission, acceptApiKey } = createAuthMiddleware(auth, store);
+    const storage = evidenceStorage || createEvidenceStorage(config.evidence, getFirebaseBucket);
+
+    const middleware = {
+        ensureDbConnected,
+        verifyAuthToken,
+        identifyCaller,
+        requirePermission,
+        acceptApiKey,
+        verifyCronSecret: createVerifyCronSecret(config.cronSecret),
+        reportSubmissionQuota: createReportSubmissionQuota(store, config.quotas),
+        appealSubmissionQuota: createAppealSubmissionQuota(store, config.quotas),
+        acceptEvidenceUploads: createEvidenceUploadMiddleware(config.evidence.maxBytes)
+    };
+    const notifier = createNotifier(notificationTransports || createNotificationTransports(config.notifications), { logger });
+    const context = { config, auth, middleware, evidenceStorage: storage, notifier };
+
+    app.use(assignRequestId);
+    app.use(createRequestLogger(logger));
+    app.use(errorEnvelope);
+    app.use(cors({
+        origin: config.corsOrigins
+    }));
+    app.use(express.json());
+
+    app.get("/", (req, res) => {
+        res.send("Admin Management Server is running successfully!");
+    });
+
+    app.use(createHealthRouter({ getDb, auth }));
+    app.use(createReportsRouter(context));
+    app.use(createAdminReportsRouter(context));
+    app.use(createTrashRouter(context));
+    app.use(createUsersRouter(context));
+    app.use(createAppealsRouter(context));
+    app.use(createAdminRouter(context));
+    app.use(createRolesRouter(context));
+    app.use(createMeRouter(context));
+    app.use(createWebhooksRouter(context));
+    app.use(createApiKeysRouter(context));
+
+    app.use(notFound);
+    app.use(handleErrors);
+
+    return app;
+}
+
+module.exports = { createApp };
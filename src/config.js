@@ -0,0 +1,201 @@
+const { LOG_LEVELS } = require('./services/logger');
+
+const DEFAULT_CORS_ORIGINS = 'http://localhost:5173,https://admin-management-client.vercel.app';
+const DEFAULT_DB_NAME = 'admin_management_db';
+const DEFAULT_MAX_POOL_SIZE = 10;
+const MAX_POOL_SIZE_LIMIT = 100;
+// Report policies the erase sweep can apply on its own ('reassign' needs a
+// target account, so it is only offered to admins erasing one account).
+const SWEEP_REPORT_POLICIES = ['anonymize', 'cascade'];
+const QUOTA_STORES = ['memory', 'mongo'];
+const EVIDENCE_STORAGES = ['local', 'firebase'];
+const NOTIFICATION_TRANSPORTS = ['inapp', 'smtp', 'webhook', 'stub'];
+// A calling code without the leading "+", e.g. 880 for Bangladesh.
+const PHONE_COUNTRY_CODE_REGEX = /^[1-9]\d{0,2}$/;
+// MongoDB database names cannot contain these characters.
+const DB_NAME_REGEX = /^[^/\\. "$*<>:|?]{1,63}$/;
+
+// MONGODB_URI wins; otherwise the URI is built from the Atlas credentials in
+// DB_USER / DB_PASS and the cluster host in MONGODB_HOST.
+function mongoUriFrom(env) {
+    if (env.MONGODB_URI) {
+        return env.MONGODB_URI.trim();
+    }
+    if (env.DB_USER && env.DB_PASS && env.MONGODB_HOST) {
+        return `mongodb+srv://${encodeURIComponent(env.DB_USER)}:${encodeURIComponent(env.DB_PASS)}@${env.MONGODB_HOST.trim()}/?retryWrites=true&w=majority`;
+    }
+    return undefined;
+}
+
+// Express "trust proxy": how many proxy hops (or which proxy addresses) may
+// set X-Forwarded-For. Vercel puts one proxy in front of the app.
+function trustProxyFrom(value, isProduction) {
+    if (value === undefined || value.trim() === '') {
+        return isProduction ? 1 : false;
+    }
+    const trimmed = value.trim();
+    if (trimmed === 'false') {
+        return false;
+    }
+    return /^\d+$/.test(trimmed) ? Number(trimmed) : trimmed;
+}
+
+function listFrom(value) {
+    return value.split(',').map(item => item.trim()).filter(Boolean);
+}
+
+// Returns a message for every setting that would stop the server from working,
+// so a bad deploy fails at startup with all of them instead of on a request.
+function configProblems(config, env) {
+    const problems = [];
+    const { uri, dbName, maxPoolSize } = config.mongo;
+
+    if (!uri) {
+        problems.push('MONGODB_URI is not set (or set DB_USER, DB_PASS and MONGODB_HOST to build it).');
+    } else if (!/^mongodb(\+srv)?:\/\/[^/?]+/.test(uri)) {
+        problems.push('MONGODB_URI must start with mongodb:// or mongodb+srv:// followed by a host.');
+    }
+    if (!DB_NAME_REGEX.test(dbName)) {
+        problems.push('MONGODB_DB_NAME must be 1-63 characters without spaces or any of / \\ . " $ * < > : | ?.');
+    }
+    if (!Number.isInteger(maxPoolSize) || maxPoolSize < 1 || maxPoolSize > MAX_POOL_SIZE_LIMIT) {
+        problems.push(`MONGODB_MAX_POOL_SIZE must be an integer from 1 to ${MAX_POOL_SIZE_LIMIT}, got "${env.MONGODB_MAX_POOL_SIZE}".`);
+    }
+
+    if (!QUOTA_STORES.includes(config.quotas.store)) {
+        problems.push(`QUOTA_STORE must be one of: ${QUOTA_STORES.join(', ')}.`);
+    }
+    if (!EVIDENCE_STORAGES.includes(config.evidence.storage)) {
+        problems.push(`EVIDENCE_STORAGE must be one of: ${EVIDENCE_STORAGES.join(', ')}.`);
+    }
+    const { transports, smtp, webhookUrl } = config.notifications;
+    const unknownTransports = transports.filter(name => !NOTIFICATION_TRANSPORTS.includes(name));
+    if (unknownTransports.length > 0) {
+        problems.push(`NOTIFICATION_TRANSPORTS has unknown entries (${unknownTransports.join(', ')}); use any of: ${NOTIFICATION_TRANSPORTS.join(', ')}.`);
+    }
+    if (transports.includes('smtp') && !smtp.host) {
+        problems.push('SMTP_HOST is required when NOTIFICATION_TRANSPORTS includes smtp.');
+    }
+    if (transports.includes('webhook') && !webhookUrl) {
+        problems.push('NOTIFICATION_WEBHOOK_URL is required when NOTIFICATION_TRANSPORTS includes webhook.');
+    }
+    if (config.isProduction && !config.cronSecret) {
+        problems.push('CRON_SECRET is required in production; without it every cron route is refused.');
+    }
+    if (!LOG_LEVELS[config.logLevel]) {
+        problems.push(`LOG_LEVEL must be one of: ${Object.keys(LOG_LEVELS).join(', ')}.`);
+    }
+    if (!PHONE_COUNTRY_CODE_REGEX.test(config.defaultPhoneCountryCode)) {
+        problems.push(`DEFAULT_PHONE_COUNTRY_CODE must be a 1-3 digit calling code without "+", got "${env.DEFAULT_PHONE_COUNTRY_CODE}".`);
+    }
+
+    if (!SWEEP_REPORT_POLICIES.includes(config.userErasure.reportPolicy)) {
+        problems.push(`USER_ERASURE_REPORTS must be one of: ${SWEEP_REPORT_POLICIES.join(', ')}.`);
+    }
+    if (config.trustProxy === 'true') {
+        problems.push('TRUST_PROXY=true would trust any X-Forwarded-For entry a client sends; set the number of proxies in front of the app instead.');
+    }
+
+    if (config.corsOrigins.length === 0) {
+        problems.push('CORS_ORIGINS must list at least one origin.');
+    }
+    for (const origin of config.corsOrigins) {
+        let parsed;
+        try {
+            parsed = new URL(origin);
+        } catch (error) {
+            parsed = null;
+        }
+        if (!parsed || !['http:', 'https:'].includes(parsed.protocol) || parsed.origin !== origin) {
+            problems.push(`CORS_ORIGINS entry "${origin}" must be an origin such as https://example.com, without a path or trailing slash.`);
+        }
+    }
+    return problems;
+}
+
+// Collects every environment-dependent setting in one place so the rest of the
+// app receives plain values and can be built with a test config. Throws when a
+// required setting is missing or malformed.
+function loadConfig(env = process.env) {
+    const nodeEnv = env.NODE_ENV || 'development';
+    const isProduction = nodeEnv === 'production';
+
+    const config = {
+        nodeEnv,
+        isProduction,
+        port: parseInt(env.PORT) || 5000,
+        logLevel: env.LOG_LEVEL?.trim() || 'info',
+        // Local phone numbers in reports are normalized with this calling code.
+        defaultPhoneCountryCode: env.DEFAULT_PHONE_COUNTRY_CODE?.trim() || '880',
+        trustProxy: trustProxyFrom(env.TRUST_PROXY, isProduction),
+        corsOrigins: listFrom(env.CORS_ORIGINS ?? DEFAULT_CORS_ORIGINS),
+        mongo: {
+            uri: mongoUriFrom(env),
+            dbName: env.MONGODB_DB_NAME?.trim() || DEFAULT_DB_NAME,
+            // Serverless instances each hold their own pool, so keep it small.
+            maxPoolSize: env.MONGODB_MAX_POOL_SIZE ? Number(env.MONGODB_MAX_POOL_SIZE) : DEFAULT_MAX_POOL_SIZE
+        },
+        firebase: {
+            serviceAccount: {
+                "type": env.FIREBASE_TYPE,
+                "project_id": env.FIREBASE_PROJECT_ID,
+                "private_key_id": env.FIREBASE_PRIVATE_KEY_ID,
+                "private_key": env.FIREBASE_PRIVATE_KEY ? env.FIREBASE_PRIVATE_KEY.replace(/\\n/g, '\n') : undefined,
+                "client_email": env.FIREBASE_CLIENT_EMAIL,
+                "client_id": env.FIREBASE_CLIENT_ID,
+                "auth_uri": env.FIREBASE_AUTH_URI,
+                "token_uri": env.FIREBASE_TOKEN_URI,
+                "auth_provider_x509_cert_url": env.FIREBASE_AUTH_PROVIDER_X509_CERT_URL,
+                "client_x509_cert_url": env.FIREBASE_CLIENT_X509_CERT_URL
+            },
+            storageBucket: env.FIREBASE_STORAGE_BUCKET
+        },
+        quotas: {
+            store: env.QUOTA_STORE?.trim() || (isProduction ? 'mongo' : 'memory'),
+            reportWindowMs: (parseInt(env.REPORT_QUOTA_WINDOW_MINUTES) || 60) * 60 * 1000,
+            reportPerUser: parseInt(env.REPORT_QUOTA_PER_USER) || 10,
+            reportPerIp: parseInt(env.REPORT_QUOTA_PER_IP) || 30,
+            appealPerIp: parseInt(env.APPEAL_QUOTA_PER_IP) || 5,
+            // Default for new API keys; each key can override it.
+            apiKeyPerMinute: parseInt(env.API_KEY_RATE_LIMIT_PER_MINUTE) || 60
+        },
+        evidence: {
+            storage: env.EVIDENCE_STORAGE?.trim() || (isProduction ? 'firebase' : 'local'),
+            localDir: env.EVIDENCE_LOCAL_DIR || 'uploads',
+            maxBytes: parseInt(env.EVIDENCE_MAX_BYTES) || 5 * 1024 * 1024,
+            urlSecret: env.EVIDENCE_URL_SECRET
+        },
+        notifications: {
+            // Comma-separated: any of inapp, smtp, webhook, stub.
+            transports: listFrom(env.NOTIFICATION_TRANSPORTS || 'inapp'),
+            smtp: {
+                host: env.SMTP_HOST,
+                port: parseInt(env.SMTP_PORT) || 587,
+                secure: env.SMTP_SECURE === 'true',
+                user: env.SMTP_USER,
+                password: env.SMTP_PASS,
+                from: env.SMTP_FROM || env.SMTP_USER
+            },
+            webhookUrl: env.NOTIFICATION_WEBHOOK_URL
+        },
+        // Trashed reports are purged this many days after they were trashed.
+        trashRetentionDays: parseInt(env.TRASH_RETENTION_DAYS) || 30,
+        userErasure: {
+            // Trashed accounts can be restored for this many days, then the
+            // cron sweep erases them.
+            graceDays: parseInt(env.USER_ERASURE_GRACE_DAYS) || 30,
+            // What the sweep does with their reports: anonymize or cascade.
+            reportPolicy: env.USER_ERASURE_REPORTS || 'anonymize'
+        },
+        statsCacheSeconds: parseInt(env.STATS_CACHE_SECONDS) || 60,
+        cronSecret: env.CRON_SECRET
+    };
+
+    const problems = configProblems(config, env);
+    if (problems.length > 0) {
+        throw new Error(`Invalid configuration:\n- ${problems.join('\n- ')}`);
+    }
+    return config;
+}
+
+module.exports = { loadConfig };
@@ -0,0 +1,72 @@
+const { MongoClient, ServerApiVersion } = require("mongodb");
+const { logger } = require('./services/logger');
+
+// Owns the MongoClient for the process. Every caller shares one memoized
+// connection promise, so concurrent requests on a cold serverless instance
+// wait for the same client instead of each opening their own; the driver
+// reconnects by itself after that. A failed attempt is forgotten so the next
+// call retries. `connect()` resolves to the Db, so it can be handed to
+// createApp() as the database provider. Indexes are created by migrations
+// (`npm run migrate`), not here.
+function createMongoConnection({ uri, dbName, maxPoolSize }) {
+    let clientPromise = null;
+
+    function connectClient() {
+        const client = new MongoClient(uri, {
+            maxPoolSize,
+            serverApi: {
+                version: ServerApiVersion.v1,
+                strict: false,
+                deprecationErrors: true,
+            },
+        });
+        return client.connect().then(() => {
+            logger.info(`Connected to MongoDB database '${dbName}'.`);
+            return client;
+        }, error => {
+            clientPromise = null;
+            logger.error("Failed to connect to MongoDB", { err: error });
+            throw error;
+        });
+    }
+
+    async function connect() {
+        if (!clientPromise) {
+            clientPromise = connectClient();
+        }
+        const client = await clientPromise;
+        return client.db(dbName);
+    }
+
+    async function close() {
+        if (!clientPromise) {
+            return;
+        }
+        const pending = clientPromise;
+        clientPromise = null;
+        try {
+            const client = await pending;
+            await client.close();
+            logger.info("MongoDB connection closed.");
+        } catch (error) {
+            logger.error("Error closing MongoDB connection", { err: error });
+        }
+    }
+
+    return { connect, close };
+}
+
+// Resolves the database for each request and exposes it as `req.db`.
+function createEnsureDbConnected(getDb) {
+    return async function ensureDbConnected(req, res, next) {
+        try {
+            req.db = await getDb();
+            next();
+        } catch (error) {
+            req.log.error("Database connection error in middleware", { err: error });
+            res.status(500).json({ message: 'Server is unable to connect to the database. Please try again later.' });
+        }
+    };
+}
+
+module.exports = { createMongoConnection, createEnsureDbConnected };
@@ -0,0 +1,21 @@
+const admin = require('firebase-admin');
+const { logger } = require('./services/logger');
+
+// Initialized on demand by the entry point instead of at require time, so the
+// app can be built (e.g. in tests) without Firebase credentials.
+function initFirebaseAdmin(firebaseConfig) {
+    if (!firebaseConfig.serviceAccount.private_key) {
+        throw new Error("Missing Firebase credentials: FIREBASE_PRIVATE_KEY is not set.");
+    }
+
+    if (!admin.apps.length) {
+        admin.initializeApp({
+            credential: admin.credential.cert(firebaseConfig.serviceAccount),
+            storageBucket: firebaseConfig.storageBucket
+        });
+        logger.info("Firebase Admin SDK initialized.");
+    }
+    return admin;
+}
+
+module.exports = { initFirebaseAdmin };
@@ -0,0 +1,198 @@
+const crypto = require('crypto');
+const { findRole } = require('../services/permissions');
+const { getApiKeyFromRequest, findActiveApiKey, publicApiKeyView } = require('../services/apiKeys');
+const { getClientIp } = require('../services/audit');
+
+const API_KEY_WINDOW_MS = 60 * 1000;
+
+function tokenErrorMessage(error) {
+    if (error.code === 'auth/id-token-expired') {
+        return 'Unauthorized: Authentication token expired. Please log in again.';
+    }
+    if (error.code === 'auth/id-token-revoked' || error.code === 'auth/user-disabled' || error.code === 'auth/user-not-found') {
+        return 'Unauthorized: Your session has been revoked. Please log in again.';
+    }
+    if (error.code === 'auth/argument-error') {
+        return 'Unauthorized: Invalid authentication token.';
+    }
+    return 'Unauthorized: Invalid or expired token.';
+}
+
+// `auth` is anything with Firebase Admin's verifyIdToken(), which lets tests
+// swap in a fake verifier. Tokens are checked for revocation so demoted,
+// rejected and deleted users are signed out immediately. `quotaStore` holds
+// the per-key API rate limit windows.
+function createAuthMiddleware(auth, quotaStore) {
+    // Machine clients send API keys instead of ID tokens. A key passes if it
+    // holds any of `scopes`; it never sets `req.user`, only `req.apiKey` and
+    // `req.permissions`.
+    async function authenticateApiKey(req, res, next, key, scopes) {
+        try {
+            const { apiKey, error } = await findActiveApiKey(req.db, key);
+            if (error) {
+                return res.status(401).json({ message: error });
+            }
+            if (!scopes.some(scope => apiKey.scopes.includes(scope))) {
+                return res.status(403).json({ message: `Access denied: API key requires the '${scopes.join("' or '")}' scope.` });
+            }
+
+            const { count, resetAt } = await quotaStore.hit(`apiKey:${apiKey._id}`, API_KEY_WINDOW_MS);
+            if (count > apiKey.rateLimitPerMinute) {
+                res.set('Retry-After', String(Math.max(1, Math.ceil((resetAt - Date.now()) / 1000))));
+                return res.status(429).json({ message: 'API key rate limit exceeded. Please try again later.' });
+            }
+
+            await req.db.collection('apiKeys').updateOne(
+                { _id: apiKey._id },
+                { $set: { lastUsedAt: new Date(), lastUsedIp: getClientIp(req) }, $inc: { usageCount: 1 } }
+            );
+
+            req.apiKey = publicApiKeyView(apiKey);
+            req.permissions = new Set(apiKey.scopes);
+            next();
+        } catch (error) {
+            req.log.error('Error checking API key', { err: error });
+            res.status(500).json({ message: 'Server error while checking API key.' });
+        }
+    }
+
+    // For public routes: anonymous callers pass as before, but a presented API
+    // key must be valid and scoped, so partners get their own quota and usage
+    // tracking.
+    function acceptApiKey(...scopes) {
+        return function checkOptionalApiKey(req, res, next) {
+            const key = getApiKeyFromRequest(req);
+            if (!key) {
+                return next();
+            }
+            return authenticateApiKey(req, res, next, key, scopes);
+        };
+    }
+
+    async function verifyAuthToken(req, res, next) {
+        const idToken = req.headers.authorization?.split('Bearer ')[1];
+
+        if (!idToken) {
+            return res.status(401).json({ message: 'Unauthorized: No authentication token provided.' });
+        }
+
+        try {
+            const decodedToken = await auth.verifyIdToken(idToken, true);
+            req.user = decodedToken;
+            next();
+        } catch (error) {
+            req.log.error('Error verifying Firebase ID token', { err: error });
+            return res.status(401).json({ message: tokenErrorMessage(error) });
+        }
+    }
+
+    // For routes that answer anonymous callers too but show signed-in callers
+    // more. Without a token the request passes with no `req.user`; with one, it
+    // must be valid, and `req.userProfile` and `req.permissions` are set (the
+    // permissions stay empty unless the account is active). Requests already
+    // authenticated by acceptApiKey() pass through unchanged.
+    async function identifyCaller(req, res, next) {
+        if (req.apiKey) {
+            return next();
+        }
+        const idToken = req.headers.authorization?.split('Bearer ')[1];
+        if (!idToken) {
+            req.permissions = new Set();
+            return next();
+        }
+
+        // Routes that ran verifyAuthToken first already hold the decoded token.
+        if (!req.user) {
+            try {
+                req.user = await auth.verifyIdToken(idToken, true);
+            } catch (error) {
+                req.log.error('Error verifying Firebase ID token', { err: error });
+                return res.status(401).json({ message: tokenErrorMessage(error) });
+            }
+        }
+
+        try {
+            req.userProfile = await req.db.collection('users').findOne({ uid: req.user.uid });
+            const active = req.userProfile && req.userProfile.status === 'approved' && !req.userProfile.deletedAt;
+            const role = active ? await findRole(req.db, req.userProfile.role) : null;
+            req.permissions = new Set(role ? role.permissions : []);
+            next();
+        } catch (error) {
+            req.log.error('Error checking permissions', { err: error });
+            res.status(500).json({ message: 'Server error while checking permissions.' });
+        }
+    }
+
+    // Authenticates the caller, loads their profile and role from Mongo, and
+    // lets the request through if the role grants any of `permissions`. The
+    // granted set is exposed as `req.permissions` so routes can tell `:own`
+    // grants from `:any` grants. API keys are accepted too, checked against
+    // their scopes instead of a role.
+    function requirePermission(...permissions) {
+        return async function checkPermission(req, res, next) {
+            const apiKey = getApiKeyFromRequest(req);
+            if (apiKey) {
+                return authenticateApiKey(req, res, next, apiKey, permissions);
+            }
+
+            const idToken = req.headers.authorization?.split('Bearer ')[1];
+
+            if (!idToken) {
+                return res.status(401).json({ message: 'Unauthorized: No authentication token provided.' });
+            }
+
+            let decodedToken;
+            try {
+                decodedToken = await auth.verifyIdToken(idToken, true);
+            } catch (error) {
+                req.log.error('Error verifying Firebase ID token', { err: error });
+                return res.status(401).json({ message: tokenErrorMessage(error) });
+            }
+
+            try {
+                const userProfile = await req.db.collection('users').findOne({ uid: decodedToken.uid });
+                if (!userProfile) {
+                    return res.status(403).json({ message: 'Access denied: User profile not found in database.' });
+                }
+                if (userProfile.deletedAt) {
+                    return res.status(403).json({ message: 'Access denied: Your account has been deleted.' });
+                }
+                if (userProfile.status === 'pending') {
+                    return res.status(403).json({ message: 'Access denied: Your account is pending admin approval.' });
+                }
+                if (userProfile.status !== 'approved') {
+                    return res.status(403).json({ message: 'Access denied: Your account is not active.' });
+                }
+
+                const role = await findRole(req.db, userProfile.role);
+                const granted = new Set(role ? role.permissions : []);
+                if (!permissions.some(permission => granted.has(permission))) {
+                    return res.status(403).json({ message: `Access denied: Requires the '${permissions.join("' or '")}' permission.` });
+                }
+
+                req.user = decodedToken;
+                req.userProfile = userProfile;
+                req.permissions = granted;
+                next();
+            } catch (error) {
+                req.log.error('Error checking permissions', { err: error });
+                res.status(500).json({ message: 'Server error while checking permissions.' });
+            }
+        };
+    }
+
+    return { verifyAuthToken, identifyCaller, requirePermission, acceptApiKey };
+}
+
+function createVerifyCronSecret(secret) {
+    return function verifyCronSecret(req, res, next) {
+        const provided = req.headers.authorization?.split('Bearer ')[1];
+        if (!secret || !provided || provided.length !== secret.length ||
+            !crypto.timingSafeEqual(Buffer.from(provided), Buffer.from(secret))) {
+            return res.status(401).json({ message: 'Unauthorized: Invalid cron secret.' });
+        }
+        next();
+    };
+}
+
+module.exports = { createAuthMiddleware, createVerifyCronSecret };
@@ -0,0 +1,74 @@
+const crypto = require('crypto');
+
+const REQUEST_ID_REGEX = /^[A-Za-z0-9._-]{1,128}$/;
+const ERROR_CODES = {
+    400: 'bad_request',
+    401: 'unauthenticated',
+    403: 'forbidden',
+    404: 'not_found',
+    409: 'conflict',
+    413: 'payload_too_large',
+    429: 'rate_limited',
+    502: 'upstream_error',
+    503: 'service_unavailable'
+};
+
+function errorCode(status) {
+    return ERROR_CODES[status] || (status >= 500 ? 'internal_error' : 'request_failed');
+}
+
+// Reuses the caller's X-Request-Id when it looks safe to log, so a request can
+// be traced across services; otherwise starts a new one. Echoed back on every
+// response.
+function assignRequestId(req, res, next) {
+    const incoming = req.get('X-Request-Id');
+    req.id = incoming && REQUEST_ID_REGEX.test(incoming) ? incoming : crypto.randomUUID();
+    res.set('X-Request-Id', req.id);
+    next();
+}
+
+// Every JSON error leaves as { code, message, fields, requestId }. Routes only
+// set a message (plus `code` or `fields` when they have something specific);
+// the rest is filled in here. Other statuses keep any extra context the route
+// added, but 500 bodies never carry more than the envelope, so internals that
+// slip into them are not sent to clients.
+function errorEnvelope(req, res, next) {
+    const json = res.json.bind(res);
+    res.json = body => {
+        if (res.statusCode < 400 || !body || typeof body !== 'object' || Array.isArray(body)) {
+            return json(body);
+        }
+        const { code, message, fields, error, ...context } = body;
+        const isServerError = res.statusCode >= 500;
+        return json({
+            ...(res.statusCode === 500 ? {} : context),
+            code: code || errorCode(res.statusCode),
+            message: message || (isServerError ? 'Internal server error.' : 'Request failed.'),
+            fields: fields || [],
+            requestId: req.id
+        });
+    };
+    next();
+}
+
+function notFound(req, res) {
+    res.status(404).json({ message: `No route for ${req.method} ${req.path}.` });
+}
+
+// Last in the chain: catches body parser failures and anything a route threw
+// outside its own try/catch.
+function handleErrors(error, req, res, next) {
+    if (res.headersSent) {
+        return next(error);
+    }
+    if (error.type === 'entity.parse.failed') {
+        return res.status(400).json({ code: 'invalid_json', message: 'Request body is not valid JSON.' });
+    }
+    if (error.type === 'entity.too.large') {
+        return res.status(413).json({ message: 'Request body is too large.' });
+    }
+    req.log.error(`Unhandled error in ${req.method} ${req.path}`, { err: error });
+    res.status(500).json({ message: 'Internal server error.' });
+}
+
+module.exports = { assignRequestId, errorEnvelope, notFound, handleErrors };
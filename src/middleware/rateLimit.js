@@ -0,0 +1,96 @@
+const { getClientIp } = require('../services/audit');
+
+// Quota stores count hits per key in fixed windows. Both expose the same
+// `hit(key, windowMs)` contract so the limiter doesn't care where counts live.
+function createMemoryQuotaStore() {
+    const windows = new Map();
+    return {
+        async hit(key, windowMs) {
+            const now = Date.now();
+            for (const [storedKey, entry] of windows) {
+                if (entry.resetAt <= now) windows.delete(storedKey);
+            }
+            const windowStart = Math.floor(now / windowMs) * windowMs;
+            const entry = windows.get(key) || { count: 0, resetAt: windowStart + windowMs };
+            entry.count += 1;
+            windows.set(key, entry);
+            return { count: entry.count, resetAt: entry.resetAt };
+        }
+    };
+}
+
+// Serverless instances don't share memory, so production keeps counts in Mongo.
+// Expired windows are removed by the TTL index on 'rateLimits.expiresAt'.
+// `getDb` resolves the Db so the store can be built before the first connection.
+function createMongoQuotaStore(getDb) {
+    return {
+        async hit(key, windowMs) {
+            const db = await getDb();
+            const windowStart = Math.floor(Date.now() / windowMs) * windowMs;
+            const resetAt = windowStart + windowMs;
+            const entry = await db.collection('rateLimits').findOneAndUpdate(
+                { _id: `${key}:${windowStart}` },
+                { $inc: { count: 1 }, $setOnInsert: { expiresAt: new Date(resetAt) } },
+                { upsert: true, returnDocument: 'after' }
+            );
+            return { count: entry.count, resetAt };
+        }
+    };
+}
+
+function rateLimit(quotaStore, { name, limits, windowMs, message }) {
+    return async (req, res, next) => {
+        try {
+            for (const { key, max } of limits) {
+                const keyValue = key(req);
+                if (!keyValue) continue;
+
+                const { count, resetAt } = await quotaStore.hit(`${name}:${keyValue}`, windowMs);
+                if (count > max) {
+                    res.set('Retry-After', String(Math.max(1, Math.ceil((resetAt - Date.now()) / 1000))));
+                    return res.status(429).json({ message });
+                }
+            }
+            next();
+        } catch (error) {
+            req.log.error(`Rate limiter '${name}' failed`, { err: error });
+            res.status(500).json({ message: 'Server error while checking request quota.' });
+        }
+    };
+}
+
+function createQuotaStore(config, getDb) {
+    return config.quotas.store === 'mongo' ? createMongoQuotaStore(getDb) : createMemoryQuotaStore();
+}
+
+function createReportSubmissionQuota(quotaStore, quotas) {
+    return rateLimit(quotaStore, {
+        name: 'reportSubmission',
+        windowMs: quotas.reportWindowMs,
+        limits: [
+            { key: req => req.user?.uid && `user:${req.user.uid}`, max: quotas.reportPerUser },
+            { key: req => getClientIp(req) && `ip:${getClientIp(req)}`, max: quotas.reportPerIp }
+        ],
+        message: 'Too many reports submitted. Please try again later.'
+    });
+}
+
+function createAppealSubmissionQuota(quotaStore, quotas) {
+    return rateLimit(quotaStore, {
+        name: 'appealSubmission',
+        windowMs: 60 * 60 * 1000,
+        limits: [
+            { key: req => getClientIp(req) && `ip:${getClientIp(req)}`, max: quotas.appealPerIp }
+        ],
+        message: 'Too many appeals submitted. Please try again later.'
+    });
+}
+
+module.exports = {
+    createMemoryQuotaStore,
+    createMongoQuotaStore,
+    createQuotaStore,
+    rateLimit,
+    createReportSubmissionQuota,
+    createAppealSubmissionQuota
+};
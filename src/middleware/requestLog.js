@@ -0,0 +1,26 @@
+// Gives every request `req.log`, a logger carrying its request ID, and logs one
+// timing entry when the response is sent. Only the path is logged: query
+// strings may hold phone numbers or names being searched for.
+function createRequestLogger(logger) {
+    return function logRequest(req, res, next) {
+        const startedAt = process.hrtime.bigint();
+        const { method, path } = req;
+        req.log = logger.child({ requestId: req.id });
+
+        res.on('finish', () => {
+            const durationMs = Number(process.hrtime.bigint() - startedAt) / 1e6;
+            const level = res.statusCode >= 500 ? 'error' : res.statusCode >= 400 ? 'warn' : 'info';
+            req.log[level]('Request completed', {
+                method,
+                path,
+                status: res.statusCode,
+                durationMs: Math.round(durationMs * 10) / 10,
+                uid: req.user?.uid ?? null,
+                keyId: req.apiKey?._id ?? null
+            });
+        });
+        next();
+    };
+}
+
+module.exports = { createRequestLogger };
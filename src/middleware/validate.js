@@ -0,0 +1,26 @@
+const { validateRequestParts } = require('../services/validation');
+
+// Checks the request against a declarative schema ({ params, query, body },
+// each mapping field names to specs; see services/validation.js) and replaces
+// each checked part with its sanitized value, so handlers only ever see
+// declared fields. Failures list every offending field at once.
+function validateRequest(schema) {
+    return function checkRequest(req, res, next) {
+        const result = validateRequestParts(schema, req);
+        if (result.fields) {
+            return res.status(400).json({
+                code: 'validation_failed',
+                message: `Invalid request: ${result.fields.map(({ field, message }) => `${field || 'body'} ${message}`).join('; ')}.`,
+                fields: result.fields
+            });
+        }
+
+        if (result.value.params) req.params = result.value.params;
+        // Express 5 exposes req.query through a getter, so it is redefined instead.
+        if (result.value.query) Object.defineProperty(req, 'query', { value: result.value.query, writable: true, configurable: true, enumerable: true });
+        if (result.value.body) req.body = result.value.body;
+        next();
+    };
+}
+
+module.exports = { validateRequest };
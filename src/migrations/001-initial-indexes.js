@@ -0,0 +1,53 @@
+// The indexes that used to be created on every cold start. createIndex is a
+// no-op for an index that already exists, so this is safe on databases that
+// were set up before migrations were recorded.
+module.exports = {
+    version: 1,
+    name: 'initial-indexes',
+    async up(db) {
+        const usersCollection = db.collection('users');
+        await usersCollection.createIndex({ uid: 1 }, { unique: true });
+        await usersCollection.createIndex({ status: 1 });
+        await usersCollection.createIndex({ role: 1 });
+
+        const userReportsCollection = db.collection('userReports');
+        await userReportsCollection.createIndex({ name: 1 }, { collation: { locale: 'en', strength: 2 } });
+        await userReportsCollection.createIndex({ facebookLink: 1 }, { collation: { locale: 'en', strength: 2 } });
+        await userReportsCollection.createIndex({ phone: 1 }, { collation: { locale: 'en', strength: 2 } });
+        await userReportsCollection.createIndex({ status: 1 });
+        await userReportsCollection.createIndex({ deletedAt: 1 });
+        await userReportsCollection.createIndex({ deletedBy: 1 });
+        await userReportsCollection.createIndex({ phoneKeys: 1 });
+        await userReportsCollection.createIndex({ facebookLinkKeys: 1 });
+        await userReportsCollection.createIndex({ reviewStatus: 1 });
+        await userReportsCollection.createIndex({ status: 1, suspendedUntil: 1 });
+        await userReportsCollection.createIndex({ reporterId: 1 });
+        await userReportsCollection.createIndex({ 'incidents.reporterId': 1 });
+        await userReportsCollection.createIndex({ searchGrams: 1 });
+        await userReportsCollection.createIndex({ phoneDigits: 1 });
+        await db.collection('reportVersions').createIndex({ reportId: 1, version: 1 }, { unique: true });
+
+        const auditLogCollection = db.collection('auditLog');
+        await auditLogCollection.createIndex({ timestamp: -1 });
+        await auditLogCollection.createIndex({ actorUid: 1, timestamp: -1 });
+        await auditLogCollection.createIndex({ action: 1, timestamp: -1 });
+        await auditLogCollection.createIndex({ targetId: 1, timestamp: -1 });
+
+        await db.collection('rateLimits').createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+        const appealsCollection = db.collection('appeals');
+        await appealsCollection.createIndex({ trackingTokenHash: 1 }, { unique: true });
+        await appealsCollection.createIndex({ reportId: 1 });
+        await appealsCollection.createIndex({ status: 1, timestamp: -1 });
+
+        await db.collection('notifications').createIndex({ recipientUid: 1, createdAt: -1 });
+        await db.collection('notifications').createIndex({ recipientUid: 1, readAt: 1 });
+
+        await db.collection('webhookEndpoints').createIndex({ events: 1, active: 1 });
+        const webhookDeliveriesCollection = db.collection('webhookDeliveries');
+        await webhookDeliveriesCollection.createIndex({ status: 1, nextAttemptAt: 1 });
+        await webhookDeliveriesCollection.createIndex({ endpointId: 1, createdAt: -1 });
+
+        await db.collection('apiKeys').createIndex({ keyHash: 1 }, { unique: true });
+    }
+};
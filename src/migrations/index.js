@@ -0,0 +1,5 @@
+// Every migration, oldest first. Add new ones at the end with the next version
+// number; never edit or renumber one that has shipped.
+module.exports = [
+    require('./001-initial-indexes')
+];
@@ -0,0 +1,76 @@
+const express = require("express");
+const { LIST_QUERY, fetchPaginatedData } = require('../services/pagination');
+const { STATS_MAX_TOP, parseStatsOptions, collectDashboardStats, createStatsCache } = require('../services/stats');
+const { validateRequest } = require('../middleware/validate');
+
+// `action` takes a comma-separated list.
+const AUDIT_LOG_SCHEMA = {
+    query: {
+        ...LIST_QUERY,
+        actor: { type: 'string', maxLength: 128 },
+        action: { type: 'string', maxLength: 500 },
+        target: { type: 'string', maxLength: 128 }
+    }
+};
+const STATS_SCHEMA = {
+    query: {
+        from: { type: 'date' },
+        to: { type: 'date' },
+        interval: { type: 'string', enum: ['day', 'week'] },
+        top: { type: 'integer', min: 1, max: STATS_MAX_TOP }
+    }
+};
+
+function createAdminRouter({ config, middleware }) {
+    const router = express.Router();
+    const { ensureDbConnected, requirePermission } = middleware;
+    const statsCache = createStatsCache(config.statsCacheSeconds * 1000);
+
+    router.get('/api/admin/audit', ensureDbConnected, requirePermission('audit:read'), validateRequest(AUDIT_LOG_SCHEMA), async (req, res) => {
+        const { actor, action, target } = req.query;
+        const auditQuery = {};
+
+        if (actor) {
+            auditQuery.actorUid = actor;
+        }
+        if (action) {
+            const actions = action.split(',').map(a => a.trim());
+            auditQuery.action = actions.length > 1 ? { $in: actions } : actions[0];
+        }
+        if (target) {
+            auditQuery.targetId = target;
+        }
+
+        await fetchPaginatedData('auditLog', auditQuery, req, res);
+    });
+
+    // Accepts `from`, `to`, `interval` (day or week) and `top`. Without `from`
+    // and `to` the last 30 days are shown.
+    router.get('/api/admin/stats', ensureDbConnected, requirePermission('stats:read'), validateRequest(STATS_SCHEMA), async (req, res) => {
+        try {
+            const options = parseStatsOptions(req.query);
+            if (options.error) {
+                return res.status(400).json({ code: options.code, message: options.error });
+            }
+
+            // Keyed on the raw parameters so the default range, which ends
+            // "now", still hits the cache.
+            const cacheKey = JSON.stringify([req.query.from, req.query.to, options.interval, options.top]);
+            const cached = statsCache.get(cacheKey);
+            if (cached) {
+                return res.status(200).json({ ...cached, cached: true });
+            }
+
+            const stats = { ...await collectDashboardStats(req.db, options), generatedAt: new Date() };
+            statsCache.set(cacheKey, stats);
+            res.status(200).json({ ...stats, cached: false });
+        } catch (error) {
+            req.log.error('Error collecting dashboard stats', { err: error });
+            res.status(500).json({ message: 'Server error while collecting stats.' });
+        }
+    });
+
+    return router;
+}
+
+module.exports = { createAdminRouter };
@@ -0,0 +1,648 @@
+const express = require("express");
+const { once } = require('events');
+const { ObjectId } = require("mongodb");
+const { recordAudit } = require('../services/audit');
+const { REPORT_LIST_QUERY, parseListOptions, buildListQuery, getSearchTerm, fetchPaginatedData } = require('../services/pagination');
+const { SEARCH_MIN_SCORE, buildReportSearch, searchFields } = require('../services/search');
+const {
+    incidentsOf,
+    primaryIncidentIndex,
+    reportFieldsFrom,
+    parseSuspensionEnd,
+    escalatedStatus,
+    clusterFields,
+    validateReportInput
+} = require('../services/reports');
+const { deleteEvidenceForReports } = require('../services/evidence');
+const { EXPORT_COLUMNS, IMPORT_MAX_ROWS, exportValue, toCsvCell, parseImportRequest } = require('../services/csv');
+const { publishWebhookEvents, reportWebhookEvent } = require('../services/webhooks');
+const { applyReportEdit, expireSuspensions, deleteReportVersions } = require('../services/reportVersions');
+const { ID_PARAMS, sanitizeString } = require('../services/validation');
+const { validateRequest } = require('../middleware/validate');
+
+const MODERATION_NOTE_MAX_LENGTH = 1000;
+const MODERATION_NOTE = { type: 'string', maxLength: MODERATION_NOTE_MAX_LENGTH, multiline: true };
+const REPORT_IDS = { type: 'array', required: true, minItems: 1, maxItems: 100, unique: true, items: { type: 'objectId', required: true } };
+
+const REPORT_SCHEMA = { params: ID_PARAMS };
+const EXPORT_SCHEMA = { query: { ...REPORT_LIST_QUERY, format: { type: 'string', enum: ['csv', 'ndjson'] } } };
+// JSON imports carry source and dryRun in the body; CSV and NDJSON ones in the
+// query. Rows are checked one by one in the handler, so one bad row does not
+// fail the whole import.
+const IMPORT_OPTIONS = { source: { type: 'string', required: true, maxLength: 200 }, dryRun: { type: 'boolean' } };
+const JSON_IMPORT_SCHEMA = { query: {}, body: { ...IMPORT_OPTIONS, rows: { type: 'array', required: true, minItems: 1, maxItems: IMPORT_MAX_ROWS } } };
+const TEXT_IMPORT_SCHEMA = { query: IMPORT_OPTIONS };
+const MERGE_SCHEMA = { params: ID_PARAMS, body: { sourceIds: REPORT_IDS } };
+const SPLIT_SCHEMA = { params: ID_PARAMS, body: { incidentIds: REPORT_IDS } };
+const REVIEW_SCHEMA = {
+    params: ID_PARAMS,
+    body: { decision: { type: 'string', required: true, enum: ['verified', 'rejected'] }, note: MODERATION_NOTE }
+};
+const SUSPENSION_SCHEMA = {
+    params: ID_PARAMS,
+    body: { suspendedUntil: { type: 'date', nullable: true }, durationDays: { type: 'integer', min: 1 }, note: MODERATION_NOTE }
+};
+const ESCALATION_SCHEMA = { params: ID_PARAMS, body: { note: { ...MODERATION_NOTE, required: true } } };
+const REVERT_SCHEMA = { params: ID_PARAMS, body: { version: { type: 'integer', required: true, min: 1 } } };
+const REVIEW_QUEUE_SCHEMA = { query: REPORT_LIST_QUERY };
+const REINDEX_SCHEMA = { query: { all: { type: 'boolean' } } };
+
+const validateJsonImport = validateRequest(JSON_IMPORT_SCHEMA);
+const validateTextImport = validateRequest(TEXT_IMPORT_SCHEMA);
+
+function validateImportRequest(req, res, next) {
+    return typeof req.body === 'string' ? validateTextImport(req, res, next) : validateJsonImport(req, res, next);
+}
+
+function createAdminReportsRouter({ middleware, evidenceStorage, notifier }) {
+    const router = express.Router();
+    const { ensureDbConnected, requirePermission, verifyCronSecret } = middleware;
+
+    router.delete('/api/admin/userReports/:id', ensureDbConnected, requirePermission('reports:delete:any'), validateRequest(REPORT_SCHEMA), async (req, res) => {
+        try {
+            const id = req.params.id;
+            const userReportsCollection = req.db.collection('userReports');
+
+            const report = await userReportsCollection.findOne({ _id: new ObjectId(id) });
+            if (!report) {
+                return res.status(404).json({ message: 'Report not found.' });
+            }
+
+            const result = await userReportsCollection.deleteOne({ _id: new ObjectId(id) });
+
+            if (result.deletedCount === 1) {
+                await deleteEvidenceForReports(req.db, evidenceStorage, [report]);
+                await deleteReportVersions(req.db, [report]);
+                await recordAudit(req, { action: 'report.delete', targetType: 'userReport', targetId: id, before: report });
+                await publishWebhookEvents(req.db, [reportWebhookEvent('report.deleted', report)]);
+                res.status(200).json({ message: 'Report permanently deleted successfully.' });
+            } else {
+                res.status(404).json({ message: 'Report not found or already deleted.' });
+            }
+
+        } catch (error) {
+            req.log.error('Error permanently deleting user report by admin', { err: error });
+            res.status(500).json({ message: 'Server error while permanently deleting user report.' });
+        }
+    });
+
+    router.get('/api/admin/userReports/export', ensureDbConnected, requirePermission('reports:export'), validateRequest(EXPORT_SCHEMA), async (req, res) => {
+        const format = req.query.format || 'csv';
+        const options = parseListOptions('userReports', req.query);
+        if (options.error) {
+            return res.status(400).json({ code: options.code, message: options.error });
+        }
+
+        let cursor;
+        try {
+            const queryConditions = buildListQuery('userReports', {}, req.query, options, false);
+            const searchTerm = getSearchTerm(req.query);
+            const pipeline = [];
+
+            if (searchTerm) {
+                const search = buildReportSearch(searchTerm);
+                pipeline.push(
+                    { $match: { $and: [queryConditions, search.match] } },
+                    { $addFields: { _searchScore: search.scoreExpression } },
+                    { $match: { _searchScore: { $gte: SEARCH_MIN_SCORE } } },
+                    { $sort: { _searchScore: -1, timestamp: -1, _id: -1 } }
+                );
+            } else {
+                pipeline.push(
+                    { $match: queryConditions },
+                    { $sort: { [options.sortField]: options.sortDirection, _id: options.sortDirection } }
+                );
+            }
+            pipeline.push({ $project: Object.fromEntries(EXPORT_COLUMNS.map(column => [column, 1])) });
+
+            cursor = req.db.collection('userReports').aggregate(pipeline);
+            const fileName = `user-reports-${new Date().toISOString().slice(0, 10)}.${format}`;
+            res.status(200);
+            res.set('Content-Type', format === 'csv' ? 'text/csv; charset=utf-8' : 'application/x-ndjson; charset=utf-8');
+            res.set('Content-Disposition', `attachment; filename="${fileName}"`);
+
+            if (format === 'csv') {
+                res.write(`${EXPORT_COLUMNS.join(',')}\r\n`);
+            }
+
+            let exportedCount = 0;
+            for await (const report of cursor) {
+                if (res.destroyed) break;
+
+                const line = format === 'csv'
+                    ? `${EXPORT_COLUMNS.map(column => toCsvCell(exportValue(report, column), column)).join(',')}\r\n`
+                    : `${JSON.stringify(Object.fromEntries(EXPORT_COLUMNS.map(column => [column, column === 'source' ? report.source?.name ?? null : report[column] ?? null])))}\n`;
+                exportedCount++;
+                if (!res.write(line)) {
+                    await once(res, 'drain');
+                }
+            }
+
+            res.end();
+            await recordAudit(req, { action: 'report.export', targetType: 'userReport', targetId: null, after: { format, exportedCount, query: req.query } });
+        } catch (error) {
+            req.log.error('Error exporting user reports', { err: error });
+            if (!res.headersSent) {
+                return res.status(500).json({ message: 'Server error while exporting reports.' });
+            }
+            res.destroy(error);
+        } finally {
+            if (cursor) await cursor.close();
+        }
+    });
+
+    router.post('/api/admin/userReports/import', ensureDbConnected, requirePermission('reports:import'), express.text({ type: ['text/csv', 'application/x-ndjson'], limit: '5mb' }), validateImportRequest, async (req, res) => {
+        try {
+            const parsed = parseImportRequest(req);
+            if (parsed.error) {
+                return res.status(400).json({ message: parsed.error });
+            }
+            const { rows, source, dryRun } = parsed;
+
+            if (!Array.isArray(rows) || rows.length === 0) {
+                return res.status(400).json({ message: 'No rows to import.' });
+            }
+            if (rows.length > IMPORT_MAX_ROWS) {
+                return res.status(400).json({ message: `Imports are limited to ${IMPORT_MAX_ROWS} rows per request.` });
+            }
+
+            const results = rows.map((row, index) => {
+                if (!row || typeof row !== 'object' || Array.isArray(row)) {
+                    return { row: index + 1, status: 'invalid', message: 'Row must be an object.' };
+                }
+                const input = Object.fromEntries(Object.entries(row).map(([field, value]) => (
+                    [field, typeof value === 'string' ? sanitizeString(value, field === 'reason') : value]
+                )));
+                if (input.suspendedUntil === '' || input.suspendedUntil === null) {
+                    delete input.suspendedUntil;
+                }
+                const validation = validateReportInput(input);
+                return validation.error
+                    ? { row: index + 1, status: 'invalid', message: validation.error }
+                    : { row: index + 1, status: 'valid', value: validation.value };
+            });
+
+            const validResults = results.filter(result => result.status === 'valid');
+            const userReportsCollection = req.db.collection('userReports');
+            // As with submissions, rejected reports do not count: a row about the
+            // same person becomes a report of its own.
+            const existingReports = validResults.length === 0 ? [] : await userReportsCollection.find(
+                {
+                    deletedAt: { $exists: false },
+                    reviewStatus: { $ne: 'rejected' },
+                    $or: [
+                        { phoneKeys: { $in: validResults.map(result => result.value.phoneNormalized) } },
+                        { facebookLinkKeys: { $in: validResults.map(result => result.value.facebookLinkNormalized) } }
+                    ]
+                },
+                { projection: { phoneKeys: 1, facebookLinkKeys: 1 } }
+            ).toArray();
+
+            const knownPhones = new Map();
+            const knownLinks = new Map();
+            for (const report of existingReports) {
+                (report.phoneKeys || []).forEach(key => knownPhones.set(key, String(report._id)));
+                (report.facebookLinkKeys || []).forEach(key => knownLinks.set(key, String(report._id)));
+            }
+
+            const importId = new ObjectId();
+            const now = new Date();
+            const importSource = { type: 'import', name: source.trim(), importId, importedBy: req.userProfile.uid, importedAt: now };
+            const documents = [];
+
+            for (const result of validResults) {
+                const { phoneNormalized, facebookLinkNormalized } = result.value;
+                const duplicateOf = knownPhones.get(phoneNormalized) || knownLinks.get(facebookLinkNormalized);
+                if (duplicateOf) {
+                    result.status = 'duplicate';
+                    result.duplicateOf = duplicateOf.startsWith('row:') ? null : duplicateOf;
+                    result.message = duplicateOf.startsWith('row:')
+                        ? `Duplicate of ${duplicateOf.replace(':', ' ')} in this import.`
+                        : 'A report for this person already exists.';
+                    continue;
+                }
+                knownPhones.set(phoneNormalized, `row:${result.row}`);
+                knownLinks.set(facebookLinkNormalized, `row:${result.row}`);
+
+                const incident = {
+                    _id: new ObjectId(),
+                    ...result.value,
+                    reporterId: req.userProfile.uid,
+                    reporterName: req.userProfile.fbName,
+                    source: importSource,
+                    timestamp: now
+                };
+                const { phoneNormalized: _phone, facebookLinkNormalized: _link, ...reportFields } = result.value;
+                const document = {
+                    _id: new ObjectId(),
+                    ...reportFields,
+                    reporterId: req.userProfile.uid,
+                    reporterName: req.userProfile.fbName,
+                    timestamp: now,
+                    reviewStatus: 'pending_review',
+                    source: importSource,
+                    ...clusterFields([incident])
+                };
+                documents.push(document);
+                if (!dryRun) {
+                    result.status = 'imported';
+                    result.reportId = document._id;
+                }
+            }
+
+            if (!dryRun && documents.length > 0) {
+                await userReportsCollection.insertMany(documents);
+                await recordAudit(req, {
+                    action: 'report.import',
+                    targetType: 'userReport',
+                    targetId: importId,
+                    after: { source: importSource.name, insertedCount: documents.length, reportIds: documents.map(document => document._id) }
+                });
+            }
+
+            const summary = {
+                total: results.length,
+                valid: results.filter(result => ['valid', 'imported'].includes(result.status)).length,
+                duplicates: results.filter(result => result.status === 'duplicate').length,
+                invalid: results.filter(result => result.status === 'invalid').length
+            };
+
+            res.status(dryRun ? 200 : 201).json({
+                message: dryRun
+                    ? `Dry run: ${summary.valid} of ${summary.total} rows would be imported.`
+                    : `${documents.length} of ${summary.total} rows imported for review.`,
+                dryRun,
+                importId: dryRun ? null : importId,
+                ...summary,
+                insertedCount: dryRun ? 0 : documents.length,
+                rows: results.map(({ value, ...result }) => result)
+            });
+        } catch (error) {
+            req.log.error('Error importing user reports', { err: error });
+            res.status(500).json({ message: 'Server error while importing reports.' });
+        }
+    });
+
+    router.post('/api/admin/userReports/:id/merge', ensureDbConnected, requirePermission('reports:merge'), validateRequest(MERGE_SCHEMA), async (req, res) => {
+        try {
+            const id = req.params.id;
+            const { sourceIds } = req.body;
+
+            if (sourceIds.includes(id)) {
+                return res.status(400).json({ message: 'A report cannot be merged into itself.' });
+            }
+
+            const userReportsCollection = req.db.collection('userReports');
+            const target = await userReportsCollection.findOne({ _id: new ObjectId(id), deletedAt: { $exists: false } });
+            if (!target) {
+                return res.status(404).json({ message: 'Target report not found.' });
+            }
+
+            const sourceObjectIds = sourceIds.map(sourceId => new ObjectId(sourceId));
+            const sources = await userReportsCollection.find({ _id: { $in: sourceObjectIds }, deletedAt: { $exists: false } }).toArray();
+            if (sources.length !== sourceObjectIds.length) {
+                return res.status(404).json({ message: 'One or more source reports were not found.' });
+            }
+
+            const mergedIncidents = [...incidentsOf(target), ...sources.flatMap(incidentsOf)];
+            const mergedEvidence = [...(target.evidence || []), ...sources.flatMap(source => source.evidence || [])];
+            const now = new Date();
+            const update = { $set: { evidence: mergedEvidence } };
+            const changes = { incidentCount: { from: incidentsOf(target).length, to: mergedIncidents.length } };
+
+            // Like a new submission, each source can only make the target stricter.
+            const outcome = sources.reduce((current, source) => ({ ...current, ...escalatedStatus(current, source) }), {
+                status: target.status,
+                suspendedUntil: target.suspendedUntil ?? null
+            });
+
+            // Incidents nobody has verified must not be published through the target.
+            const unreviewed = sources.some(source => (source.reviewStatus || 'verified') !== 'verified');
+            const sentToReview = unreviewed && target.reviewStatus !== 'pending_review';
+            if (sentToReview) {
+                const from = target.reviewStatus || 'verified';
+                update.$set.reviewStatus = 'pending_review';
+                update.$push = { reviewHistory: { from, to: 'pending_review', reviewedBy: 'system', note: 'Unreviewed reports merged in.', reviewedAt: now } };
+                changes.reviewStatus = { from, to: 'pending_review' };
+            }
+
+            const { report: updatedReport, version } = await applyReportEdit(req.db, target, { ...target, ...outcome }, {
+                by: req.userProfile.uid,
+                byName: req.userProfile.fbName,
+                action: 'merge',
+                note: 'Reports merged.',
+                incidents: mergedIncidents,
+                update,
+                changes,
+                now
+            });
+            await userReportsCollection.deleteMany({ _id: { $in: sourceObjectIds } });
+            await deleteReportVersions(req.db, sources);
+
+            await recordAudit(req, [
+                { action: 'report.merge', targetType: 'userReport', targetId: id, before: target, after: updatedReport },
+                ...sources.map(source => ({ action: 'report.merge', targetType: 'userReport', targetId: source._id, before: source, after: { mergedInto: id } }))
+            ]);
+            const targetEvent = sentToReview
+                ? reportWebhookEvent('report.status_changed', { ...target, reviewStatus: 'pending_review' }, target)
+                : (version.changes.status || version.changes.suspendedUntil) && reportWebhookEvent('report.status_changed', updatedReport, target);
+            await publishWebhookEvents(req.db, [
+                ...sources.map(source => reportWebhookEvent('report.deleted', source)),
+                ...(targetEvent ? [targetEvent] : [])
+            ]);
+
+            res.status(200).json({ message: `${sources.length} reports merged successfully.`, data: updatedReport });
+        } catch (error) {
+            req.log.error('Error merging user reports', { err: error });
+            res.status(500).json({ message: 'Server error while merging reports.' });
+        }
+    });
+
+    router.post('/api/admin/userReports/:id/split', ensureDbConnected, requirePermission('reports:merge'), validateRequest(SPLIT_SCHEMA), async (req, res) => {
+        try {
+            const id = req.params.id;
+            const { incidentIds } = req.body;
+
+            const userReportsCollection = req.db.collection('userReports');
+            const report = await userReportsCollection.findOne({ _id: new ObjectId(id), deletedAt: { $exists: false } });
+            if (!report) {
+                return res.status(404).json({ message: 'Report not found.' });
+            }
+
+            const incidents = incidentsOf(report);
+            const wanted = new Set(incidentIds);
+            const moved = incidents.filter(incident => wanted.has(String(incident._id)));
+            const remaining = incidents.filter(incident => !wanted.has(String(incident._id)));
+
+            if (moved.length !== wanted.size) {
+                return res.status(404).json({ message: 'One or more incidents were not found on this report.' });
+            }
+            if (remaining.length === 0) {
+                return res.status(400).json({ message: 'At least one incident must remain on the original report.' });
+            }
+
+            const movedIds = new Set(moved.map(incident => String(incident._id)));
+            const isMovedEvidence = item => item.incidentId != null && movedIds.has(String(item.incidentId));
+            const evidence = report.evidence || [];
+
+            const newReport = {
+                ...reportFieldsFrom(moved[0]),
+                reviewStatus: report.reviewStatus || 'verified',
+                ...clusterFields(moved),
+                evidence: evidence.filter(isMovedEvidence),
+            };
+
+            // When the incident the top-level fields mirror moves out, the report
+            // takes them from the first incident it keeps.
+            const primaryMoved = movedIds.has(String(incidents[primaryIncidentIndex(report)]._id));
+            const fields = primaryMoved ? reportFieldsFrom(remaining[0]) : report;
+
+            const insertResult = await userReportsCollection.insertOne(newReport);
+            const { report: updatedReport } = await applyReportEdit(req.db, report, fields, {
+                by: req.userProfile.uid,
+                byName: req.userProfile.fbName,
+                action: 'split',
+                note: 'Report split.',
+                incidents: remaining,
+                update: { $set: { evidence: evidence.filter(item => !isMovedEvidence(item)), ...(primaryMoved ? fields : {}) } },
+                changes: { incidentCount: { from: incidents.length, to: remaining.length } }
+            });
+
+            await recordAudit(req, [
+                { action: 'report.split', targetType: 'userReport', targetId: id, before: report, after: updatedReport },
+                { action: 'report.split', targetType: 'userReport', targetId: insertResult.insertedId, before: null, after: newReport }
+            ]);
+
+            res.status(200).json({
+                message: `${moved.length} incidents split into a new report.`,
+                insertedId: insertResult.insertedId,
+                data: updatedReport
+            });
+        } catch (error) {
+            req.log.error('Error splitting user report', { err: error });
+            res.status(500).json({ message: 'Server error while splitting report.' });
+        }
+    });
+
+    router.patch('/api/admin/userReports/:id/review', ensureDbConnected, requirePermission('reports:review'), validateRequest(REVIEW_SCHEMA), async (req, res) => {
+        try {
+            const id = req.params.id;
+            const { decision, note } = req.body;
+
+            const userReportsCollection = req.db.collection('userReports');
+            const before = await userReportsCollection.findOne({ _id: new ObjectId(id), deletedAt: { $exists: false } });
+            if (!before) {
+                return res.status(404).json({ message: 'Report not found.' });
+            }
+            if (before.reviewStatus === decision) {
+                return res.status(200).json({ message: `Report is already ${decision}.` });
+            }
+
+            const review = {
+                from: before.reviewStatus || 'verified',
+                to: decision,
+                reviewedBy: req.userProfile.uid,
+                note: note || null,
+                reviewedAt: new Date()
+            };
+
+            const { report: after } = await applyReportEdit(req.db, before, before, {
+                by: req.userProfile.uid,
+                byName: req.userProfile.fbName,
+                action: 'review',
+                incidents: incidentsOf(before),
+                update: {
+                    $set: {
+                        reviewStatus: decision,
+                        reviewedBy: review.reviewedBy,
+                        reviewedAt: review.reviewedAt,
+                        reviewNote: review.note
+                    },
+                    $push: { reviewHistory: review }
+                },
+                changes: { reviewStatus: { from: review.from, to: decision } },
+                now: review.reviewedAt
+            });
+
+            await recordAudit(req, { action: 'report.review', targetType: 'userReport', targetId: id, before, after });
+            // Reports reach partners when they are verified, not when submitted.
+            await publishWebhookEvents(req.db, [
+                ...(decision === 'verified' ? [reportWebhookEvent('report.created', after)] : []),
+                reportWebhookEvent('report.status_changed', after, before)
+            ]);
+            await notifier.notifyUsers(req.db, incidentsOf(after).map(incident => incident.reporterId), `report.${decision}`, {
+                reportId: id,
+                name: after.name,
+                note: review.note ? `Reviewer note: ${review.note}` : ''
+            });
+
+            res.status(200).json({ message: `Report marked as ${decision}.`, data: after });
+        } catch (error) {
+            req.log.error('Error reviewing user report', { err: error });
+            res.status(500).json({ message: 'Server error while reviewing report.' });
+        }
+    });
+
+    router.patch('/api/admin/userReports/:id/suspension', ensureDbConnected, requirePermission('reports:status:set'), validateRequest(SUSPENSION_SCHEMA), async (req, res) => {
+        try {
+            const id = req.params.id;
+            const { suspendedUntil, durationDays, note } = req.body;
+
+            const suspensionEnd = parseSuspensionEnd({ suspendedUntil, durationDays });
+            if (suspensionEnd.error) {
+                return res.status(400).json({ message: suspensionEnd.error });
+            }
+
+            const userReportsCollection = req.db.collection('userReports');
+            const before = await userReportsCollection.findOne({ _id: new ObjectId(id), deletedAt: { $exists: false } });
+            if (!before) {
+                return res.status(404).json({ message: 'Report not found.' });
+            }
+            if (before.status === 'banned') {
+                return res.status(409).json({ message: 'Report is already banned. Banned reports cannot be suspended.' });
+            }
+
+            const result = await applyReportEdit(req.db, before, { ...before, status: 'suspended', suspendedUntil: suspensionEnd.until }, {
+                by: req.userProfile.uid,
+                byName: req.userProfile.fbName,
+                action: 'suspend',
+                note: note || 'Report suspended.',
+                incidents: incidentsOf(before)
+            });
+            if (result.unchanged) {
+                return res.status(200).json({ message: 'Report already has this suspension.', data: before });
+            }
+            const after = result.report;
+
+            await recordAudit(req, { action: 'report.suspend', targetType: 'userReport', targetId: id, before, after });
+            await publishWebhookEvents(req.db, [reportWebhookEvent('report.status_changed', after, before)]);
+
+            res.status(200).json({
+                message: suspensionEnd.until ? `Report suspended until ${suspensionEnd.until.toISOString()}.` : 'Report suspended indefinitely.',
+                data: after
+            });
+        } catch (error) {
+            req.log.error('Error updating report suspension', { err: error });
+            res.status(500).json({ message: 'Server error while updating suspension.' });
+        }
+    });
+
+    router.patch('/api/admin/userReports/:id/escalate', ensureDbConnected, requirePermission('reports:status:set'), validateRequest(ESCALATION_SCHEMA), async (req, res) => {
+        try {
+            const id = req.params.id;
+            const { note } = req.body;
+
+            const userReportsCollection = req.db.collection('userReports');
+            const before = await userReportsCollection.findOne({ _id: new ObjectId(id), deletedAt: { $exists: false } });
+            if (!before) {
+                return res.status(404).json({ message: 'Report not found.' });
+            }
+            if (before.status === 'banned') {
+                return res.status(200).json({ message: 'Report is already banned.' });
+            }
+
+            const { report: after } = await applyReportEdit(req.db, before, { ...before, status: 'banned', suspendedUntil: null }, {
+                by: req.userProfile.uid,
+                byName: req.userProfile.fbName,
+                action: 'escalate',
+                note,
+                incidents: incidentsOf(before)
+            });
+
+            await recordAudit(req, { action: 'report.escalate', targetType: 'userReport', targetId: id, before, after });
+            await publishWebhookEvents(req.db, [reportWebhookEvent('report.status_changed', after, before)]);
+
+            res.status(200).json({ message: 'Report escalated to banned.', data: after });
+        } catch (error) {
+            req.log.error('Error escalating user report', { err: error });
+            res.status(500).json({ message: 'Server error while escalating report.' });
+        }
+    });
+
+    // Restores the fields saved in an earlier version. The revert is recorded as
+    // a new version, so it can itself be reverted.
+    router.post('/api/admin/userReports/:id/revert', ensureDbConnected, requirePermission('reports:edit:any'), validateRequest(REVERT_SCHEMA), async (req, res) => {
+        try {
+            const id = req.params.id;
+            const versionNumber = req.body.version;
+
+            const before = await req.db.collection('userReports').findOne({ _id: new ObjectId(id), deletedAt: { $exists: false } });
+            if (!before) {
+                return res.status(404).json({ message: 'Report not found.' });
+            }
+            const target = await req.db.collection('reportVersions').findOne({ reportId: before._id, version: versionNumber });
+            if (!target) {
+                return res.status(404).json({ message: `Version ${versionNumber} not found for this report.` });
+            }
+
+            const result = await applyReportEdit(req.db, before, target.snapshot, {
+                by: req.userProfile.uid,
+                byName: req.userProfile.fbName,
+                action: 'revert',
+                revertedTo: versionNumber
+            });
+            if (result.unchanged) {
+                return res.status(200).json({ message: `Report already matches version ${versionNumber}.`, data: before });
+            }
+
+            await recordAudit(req, { action: 'report.revert', targetType: 'userReport', targetId: id, before, after: result.report });
+            if (result.version.changes.status || result.version.changes.suspendedUntil) {
+                await publishWebhookEvents(req.db, [reportWebhookEvent('report.status_changed', result.report, before)]);
+            }
+
+            res.status(200).json({ message: `Report reverted to version ${versionNumber}.`, version: result.version.version, data: result.report });
+        } catch (error) {
+            req.log.error('Error reverting user report', { err: error });
+            res.status(500).json({ message: 'Server error while reverting report.' });
+        }
+    });
+
+    // Vercel cron hits this with "Authorization: Bearer $CRON_SECRET". Safe to call repeatedly.
+    router.get('/api/cron/expire-suspensions', verifyCronSecret, ensureDbConnected, async (req, res) => {
+        try {
+            const expired = await expireSuspensions(req.db);
+            const expiredCount = expired.length;
+            await publishWebhookEvents(req.db, expired.map(report => reportWebhookEvent('report.status_changed', { ...report, status: 'expired' }, report)));
+            req.log.info(`Suspension sweep expired ${expiredCount} reports.`);
+            res.status(200).json({ message: `${expiredCount} suspensions expired.`, expiredCount });
+        } catch (error) {
+            req.log.error('Error expiring suspensions', { err: error });
+            res.status(500).json({ message: 'Server error while expiring suspensions.' });
+        }
+    });
+
+    router.get('/api/admin/reviewQueue', ensureDbConnected, requirePermission('reports:review'), validateRequest(REVIEW_QUEUE_SCHEMA), async (req, res) => {
+        await fetchPaginatedData('userReports', { reviewStatus: 'pending_review' }, req, res, false);
+    });
+
+    // Backfills search fields on reports written before search indexing existed.
+    router.post('/api/admin/userReports/reindex-search', ensureDbConnected, requirePermission('reports:reindex'), validateRequest(REINDEX_SCHEMA), async (req, res) => {
+        try {
+            const userReportsCollection = req.db.collection('userReports');
+            const filter = req.query.all ? {} : { searchGrams: { $exists: false } };
+            const cursor = userReportsCollection.find(filter);
+            let operations = [];
+            let reindexedCount = 0;
+
+            for await (const report of cursor) {
+                operations.push({ updateOne: { filter: { _id: report._id }, update: { $set: searchFields(incidentsOf(report)) } } });
+                if (operations.length === 500) {
+                    reindexedCount += (await userReportsCollection.bulkWrite(operations)).modifiedCount;
+                    operations = [];
+                }
+            }
+            if (operations.length > 0) {
+                reindexedCount += (await userReportsCollection.bulkWrite(operations)).modifiedCount;
+            }
+
+            res.status(200).json({ message: `${reindexedCount} reports reindexed.`, reindexedCount });
+        } catch (error) {
+            req.log.error('Error rebuilding report search index', { err: error });
+            res.status(500).json({ message: 'Server error while rebuilding search index.' });
+        }
+    });
+
+    return router;
+}
+
+module.exports = { createAdminReportsRouter };
@@ -0,0 +1,137 @@
+const express = require("express");
+const { ObjectId } = require("mongodb");
+const { recordAudit } = require('../services/audit');
+const {
+    API_KEY_SCOPES,
+    API_KEY_FIELDS,
+    generateApiKey,
+    hashApiKey,
+    parseApiKeyExpiry,
+    publicApiKeyView
+} = require('../services/apiKeys');
+const { ID_PARAMS } = require('../services/validation');
+const { validateRequest } = require('../middleware/validate');
+
+const API_KEY_CREATE_SCHEMA = {
+    body: {
+        ...API_KEY_FIELDS,
+        name: { ...API_KEY_FIELDS.name, required: true },
+        scopes: { ...API_KEY_FIELDS.scopes, required: true }
+    }
+};
+const API_KEY_UPDATE_SCHEMA = { params: ID_PARAMS, body: API_KEY_FIELDS };
+const API_KEY_SCHEMA = { params: ID_PARAMS };
+
+function createApiKeysRouter({ config, middleware }) {
+    const router = express.Router();
+    const { ensureDbConnected, requirePermission } = middleware;
+    const canManageApiKeys = requirePermission('apikeys:manage');
+
+    router.get('/api/admin/apiKeys', ensureDbConnected, canManageApiKeys, async (req, res) => {
+        try {
+            const apiKeys = await req.db.collection('apiKeys').find({}, { projection: { keyHash: 0 } }).sort({ createdAt: -1 }).toArray();
+            res.status(200).json({ data: apiKeys, scopes: API_KEY_SCOPES });
+        } catch (error) {
+            req.log.error('Error listing API keys', { err: error });
+            res.status(500).json({ message: 'Server error while listing API keys.' });
+        }
+    });
+
+    router.post('/api/admin/apiKeys', ensureDbConnected, canManageApiKeys, validateRequest(API_KEY_CREATE_SCHEMA), async (req, res) => {
+        try {
+            const { name, scopes, expiresAt, expiresInDays, rateLimitPerMinute = config.quotas.apiKeyPerMinute } = req.body;
+
+            const expiry = parseApiKeyExpiry({ expiresAt, expiresInDays });
+            if (expiry.error) {
+                return res.status(400).json({ message: expiry.error });
+            }
+
+            const { key, keyPrefix } = generateApiKey();
+            const apiKey = {
+                name,
+                keyPrefix,
+                keyHash: hashApiKey(key),
+                scopes,
+                rateLimitPerMinute,
+                expiresAt: expiry.expiresAt,
+                revokedAt: null,
+                lastUsedAt: null,
+                usageCount: 0,
+                createdBy: req.userProfile.uid,
+                createdAt: new Date()
+            };
+            const result = await req.db.collection('apiKeys').insertOne(apiKey);
+
+            await recordAudit(req, { action: 'apikey.create', targetType: 'apiKey', targetId: result.insertedId, after: publicApiKeyView(apiKey) });
+
+            res.status(201).json({
+                message: 'API key created. Store it now; it will not be shown again.',
+                data: publicApiKeyView(apiKey),
+                key
+            });
+        } catch (error) {
+            req.log.error('Error creating API key', { err: error });
+            res.status(500).json({ message: 'Server error while creating API key.' });
+        }
+    });
+
+    router.patch('/api/admin/apiKeys/:id', ensureDbConnected, canManageApiKeys, validateRequest(API_KEY_UPDATE_SCHEMA), async (req, res) => {
+        try {
+            const { expiresAt, expiresInDays, ...changes } = req.body;
+            if (expiresAt !== undefined || expiresInDays !== undefined) {
+                const expiry = parseApiKeyExpiry({ expiresAt, expiresInDays });
+                if (expiry.error) return res.status(400).json({ message: expiry.error });
+                changes.expiresAt = expiry.expiresAt;
+            }
+            if (Object.keys(changes).length === 0) {
+                return res.status(400).json({ message: 'Nothing to update. Provide name, scopes, expiresAt, expiresInDays or rateLimitPerMinute.' });
+            }
+
+            const apiKeysCollection = req.db.collection('apiKeys');
+            const before = await apiKeysCollection.findOne({ _id: new ObjectId(req.params.id) }, { projection: { keyHash: 0 } });
+            if (!before) {
+                return res.status(404).json({ message: 'API key not found.' });
+            }
+            if (before.revokedAt) {
+                return res.status(409).json({ message: 'Revoked API keys cannot be changed.' });
+            }
+            const after = await apiKeysCollection.findOneAndUpdate(
+                { _id: before._id },
+                { $set: changes },
+                { returnDocument: 'after', projection: { keyHash: 0 } }
+            );
+
+            await recordAudit(req, { action: 'apikey.update', targetType: 'apiKey', targetId: before._id, before, after });
+
+            res.status(200).json({ message: 'API key updated.', data: after });
+        } catch (error) {
+            req.log.error('Error updating API key', { err: error });
+            res.status(500).json({ message: 'Server error while updating API key.' });
+        }
+    });
+
+    // Revoked keys stay listed so their usage history remains visible.
+    router.delete('/api/admin/apiKeys/:id', ensureDbConnected, canManageApiKeys, validateRequest(API_KEY_SCHEMA), async (req, res) => {
+        try {
+            const before = await req.db.collection('apiKeys').findOneAndUpdate(
+                { _id: new ObjectId(req.params.id), revokedAt: null },
+                { $set: { revokedAt: new Date(), revokedBy: req.userProfile.uid } },
+                { projection: { keyHash: 0 } }
+            );
+            if (!before) {
+                return res.status(404).json({ message: 'API key not found or already revoked.' });
+            }
+
+            await recordAudit(req, { action: 'apikey.revoke', targetType: 'apiKey', targetId: before._id, before });
+
+            res.status(200).json({ message: 'API key revoked.' });
+        } catch (error) {
+            req.log.error('Error revoking API key', { err: error });
+            res.status(500).json({ message: 'Server error while revoking API key.' });
+        }
+    });
+
+    return router;
+}
+
+module.exports = { createApiKeysRouter };
@@ -0,0 +1,336 @@
+const express = require("express");
+const crypto = require('crypto');
+const { ObjectId } = require("mongodb");
+const { getClientIp, recordAudit } = require('../services/audit');
+const { LIST_QUERY, fetchPaginatedData } = require('../services/pagination');
+const { normalizePhone } = require('../services/normalize');
+const { CONTACT_PHONE_REGEX } = require('../services/profile');
+const { REPORT_STATUSES, STATUS_SEVERITY, incidentsOf } = require('../services/reports');
+const { publishWebhookEvents, reportWebhookEvent } = require('../services/webhooks');
+const { trashUpdate } = require('../services/trash');
+const { snapshotOf, applyReportEdit } = require('../services/reportVersions');
+const { ID_PARAMS } = require('../services/validation');
+const { validateRequest } = require('../middleware/validate');
+
+const APPEAL_MAX_TEXT_LENGTH = 5000;
+const APPEAL_STATUSES = ['open', 'in_review', 'accepted', 'denied'];
+const UNDECIDED_APPEAL_STATUSES = ['open', 'in_review'];
+const APPEAL_MESSAGE = { type: 'string', required: true, maxLength: APPEAL_MAX_TEXT_LENGTH, multiline: true };
+const TRACKING_TOKEN_PARAMS = { token: { type: 'string', required: true, maxLength: 128 } };
+
+const APPEAL_SUBMISSION_SCHEMA = {
+    body: {
+        reportId: { type: 'objectId', required: true },
+        contactName: { type: 'string', required: true, maxLength: 100 },
+        contactEmail: { type: 'email' },
+        contactPhone: {
+            type: 'string',
+            maxLength: 30,
+            pattern: CONTACT_PHONE_REGEX,
+            patternMessage: 'must be a phone number using only digits, +, -, (, ) or spaces'
+        },
+        explanation: APPEAL_MESSAGE
+    }
+};
+const TRACKED_APPEAL_SCHEMA = { params: TRACKING_TOKEN_PARAMS };
+const APPELLANT_COMMENT_SCHEMA = { params: TRACKING_TOKEN_PARAMS, body: { message: APPEAL_MESSAGE } };
+const APPEAL_LIST_SCHEMA = {
+    query: { ...LIST_QUERY, status: { type: 'string', enum: APPEAL_STATUSES }, assignedTo: { type: 'string', maxLength: 128 } }
+};
+const APPEAL_SCHEMA = { params: ID_PARAMS };
+const ADMIN_COMMENT_SCHEMA = { params: ID_PARAMS, body: { message: APPEAL_MESSAGE } };
+// Which fields a decision needs depends on the decision; the route checks that.
+const APPEAL_DECISION_SCHEMA = {
+    params: ID_PARAMS,
+    body: {
+        decision: { type: 'string', required: true, enum: ['accepted', 'denied'] },
+        note: { type: 'string', maxLength: APPEAL_MAX_TEXT_LENGTH, multiline: true },
+        reportAction: { type: 'string', enum: ['trash', 'change_status'] },
+        reportStatus: { type: 'string', enum: REPORT_STATUSES }
+    }
+};
+
+function hashAppealToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+// What the appellant may see: never the token hash or which admin holds the appeal.
+function publicAppealView(appeal) {
+    return {
+        _id: appeal._id,
+        reportId: appeal.reportId,
+        status: appeal.status,
+        explanation: appeal.explanation,
+        comments: appeal.comments.map(({ author, message, createdAt }) => ({ author, message, createdAt })),
+        resolution: appeal.resolution ? { decision: appeal.resolution.decision, note: appeal.resolution.note, resolvedAt: appeal.resolution.resolvedAt } : null,
+        timestamp: appeal.timestamp
+    };
+}
+
+function createAppealsRouter({ middleware, notifier }) {
+    const router = express.Router();
+    const { ensureDbConnected, requirePermission, appealSubmissionQuota } = middleware;
+
+    router.post('/api/appeals', ensureDbConnected, appealSubmissionQuota, validateRequest(APPEAL_SUBMISSION_SCHEMA), async (req, res) => {
+        try {
+            const { reportId, contactName, contactEmail, contactPhone, explanation } = req.body;
+
+            if (!contactEmail && !contactPhone) {
+                return res.status(400).json({ message: 'At least one of contactEmail or contactPhone is required.' });
+            }
+
+            const report = await req.db.collection('userReports').findOne({ _id: new ObjectId(reportId), deletedAt: { $exists: false } });
+            if (!report) {
+                return res.status(404).json({ message: 'Report not found.' });
+            }
+
+            const trackingToken = crypto.randomBytes(24).toString('hex');
+            const now = new Date();
+            const appeal = {
+                reportId: report._id,
+                contact: {
+                    name: contactName,
+                    email: contactEmail || null,
+                    phone: contactPhone ? normalizePhone(contactPhone) : null
+                },
+                explanation,
+                status: 'open',
+                assignedTo: null,
+                comments: [],
+                resolution: null,
+                trackingTokenHash: hashAppealToken(trackingToken),
+                ip: getClientIp(req),
+                timestamp: now,
+                updatedAt: now
+            };
+
+            const result = await req.db.collection('appeals').insertOne(appeal);
+
+            res.status(201).json({
+                message: 'Appeal submitted successfully. Keep your tracking token to check its status; it cannot be recovered.',
+                appealId: result.insertedId,
+                trackingToken
+            });
+        } catch (error) {
+            req.log.error('Error submitting appeal', { err: error });
+            res.status(500).json({ message: 'Failed to submit appeal. Please try again later.' });
+        }
+    });
+
+    router.get('/api/appeals/track/:token', ensureDbConnected, validateRequest(TRACKED_APPEAL_SCHEMA), async (req, res) => {
+        try {
+            const appeal = await req.db.collection('appeals').findOne({ trackingTokenHash: hashAppealToken(req.params.token) });
+            if (!appeal) {
+                return res.status(404).json({ message: 'Appeal not found.' });
+            }
+            res.status(200).json(publicAppealView(appeal));
+        } catch (error) {
+            req.log.error('Error fetching appeal by tracking token', { err: error });
+            res.status(500).json({ message: 'Server error while fetching appeal.' });
+        }
+    });
+
+    router.post('/api/appeals/track/:token/comments', ensureDbConnected, appealSubmissionQuota, validateRequest(APPELLANT_COMMENT_SCHEMA), async (req, res) => {
+        try {
+            const appealsCollection = req.db.collection('appeals');
+            const appeal = await appealsCollection.findOne({ trackingTokenHash: hashAppealToken(req.params.token) });
+            if (!appeal) {
+                return res.status(404).json({ message: 'Appeal not found.' });
+            }
+            if (['accepted', 'denied'].includes(appeal.status)) {
+                return res.status(409).json({ message: 'This appeal has been resolved and no longer accepts comments.' });
+            }
+
+            const comment = { _id: new ObjectId(), author: 'appellant', authorUid: null, message: req.body.message, createdAt: new Date() };
+            await appealsCollection.updateOne({ _id: appeal._id }, { $push: { comments: comment }, $set: { updatedAt: comment.createdAt } });
+
+            res.status(201).json({ message: 'Comment added.', comment: { author: comment.author, message: comment.message, createdAt: comment.createdAt } });
+        } catch (error) {
+            req.log.error('Error adding appellant comment', { err: error });
+            res.status(500).json({ message: 'Server error while adding comment.' });
+        }
+    });
+
+    router.get('/api/admin/appeals', ensureDbConnected, requirePermission('appeals:read'), validateRequest(APPEAL_LIST_SCHEMA), async (req, res) => {
+        const appealQuery = {};
+        if (req.query.assignedTo) {
+            appealQuery.assignedTo = req.query.assignedTo;
+        }
+        await fetchPaginatedData('appeals', appealQuery, req, res);
+    });
+
+    router.get('/api/admin/appeals/:id', ensureDbConnected, requirePermission('appeals:read'), validateRequest(APPEAL_SCHEMA), async (req, res) => {
+        try {
+            const appeal = await req.db.collection('appeals').findOne({ _id: new ObjectId(req.params.id) }, { projection: { trackingTokenHash: 0 } });
+            if (!appeal) {
+                return res.status(404).json({ message: 'Appeal not found.' });
+            }
+            const report = await req.db.collection('userReports').findOne({ _id: appeal.reportId });
+
+            res.status(200).json({ ...appeal, report });
+        } catch (error) {
+            req.log.error('Error fetching appeal', { err: error });
+            res.status(500).json({ message: 'Server error while fetching appeal.' });
+        }
+    });
+
+    router.patch('/api/admin/appeals/:id/claim', ensureDbConnected, requirePermission('appeals:handle'), validateRequest(APPEAL_SCHEMA), async (req, res) => {
+        try {
+            const appealsCollection = req.db.collection('appeals');
+            const before = await appealsCollection.findOne({ _id: new ObjectId(req.params.id) });
+            if (!before) {
+                return res.status(404).json({ message: 'Appeal not found.' });
+            }
+
+            const after = await appealsCollection.findOneAndUpdate(
+                { _id: before._id, status: { $in: ['open', 'in_review'] }, assignedTo: { $in: [null, req.userProfile.uid] } },
+                { $set: { status: 'in_review', assignedTo: req.userProfile.uid, updatedAt: new Date() } },
+                { returnDocument: 'after', projection: { trackingTokenHash: 0 } }
+            );
+            if (!after) {
+                return res.status(409).json({ message: 'Appeal is already resolved or claimed by another admin.' });
+            }
+
+            await recordAudit(req, { action: 'appeal.claim', targetType: 'appeal', targetId: before._id, before: { status: before.status, assignedTo: before.assignedTo }, after: { status: after.status, assignedTo: after.assignedTo } });
+
+            res.status(200).json({ message: 'Appeal claimed successfully.', data: after });
+        } catch (error) {
+            req.log.error('Error claiming appeal', { err: error });
+            res.status(500).json({ message: 'Server error while claiming appeal.' });
+        }
+    });
+
+    router.post('/api/admin/appeals/:id/comments', ensureDbConnected, requirePermission('appeals:handle'), validateRequest(ADMIN_COMMENT_SCHEMA), async (req, res) => {
+        try {
+            const comment = { _id: new ObjectId(), author: 'admin', authorUid: req.userProfile.uid, message: req.body.message, createdAt: new Date() };
+            const result = await req.db.collection('appeals').updateOne(
+                { _id: new ObjectId(req.params.id) },
+                { $push: { comments: comment }, $set: { updatedAt: comment.createdAt } }
+            );
+            if (result.matchedCount === 0) {
+                return res.status(404).json({ message: 'Appeal not found.' });
+            }
+
+            res.status(201).json({ message: 'Comment added.', comment });
+        } catch (error) {
+            req.log.error('Error adding admin comment to appeal', { err: error });
+            res.status(500).json({ message: 'Server error while adding comment.' });
+        }
+    });
+
+    // Accepting an appeal either trashes the underlying report or lowers its status;
+    // denying it leaves the report untouched. The decision is written before the
+    // report changes, and only while the appeal is still undecided, so two
+    // concurrent decisions cannot both apply.
+    router.patch('/api/admin/appeals/:id/decision', ensureDbConnected, requirePermission('appeals:handle'), validateRequest(APPEAL_DECISION_SCHEMA), async (req, res) => {
+        try {
+            const { decision, note, reportAction, reportStatus } = req.body;
+
+            if (decision === 'accepted' && !reportAction) {
+                return res.status(400).json({ message: 'Accepting an appeal requires reportAction "trash" or "change_status".' });
+            }
+            if (decision === 'accepted' && reportAction === 'change_status' && !reportStatus) {
+                return res.status(400).json({ message: 'Changing the report status requires a reportStatus lower than the current one.' });
+            }
+
+            const appealsCollection = req.db.collection('appeals');
+            const appeal = await appealsCollection.findOne({ _id: new ObjectId(req.params.id) }, { projection: { trackingTokenHash: 0 } });
+            if (!appeal) {
+                return res.status(404).json({ message: 'Appeal not found.' });
+            }
+            if (['accepted', 'denied'].includes(appeal.status)) {
+                return res.status(409).json({ message: `Appeal has already been ${appeal.status}.` });
+            }
+            if (appeal.assignedTo && appeal.assignedTo !== req.userProfile.uid) {
+                return res.status(409).json({ message: 'Appeal is claimed by another admin.' });
+            }
+
+            let reportBefore;
+            let reportAfter;
+            if (decision === 'accepted') {
+                reportBefore = await req.db.collection('userReports').findOne({ _id: appeal.reportId, deletedAt: { $exists: false } });
+                if (!reportBefore) {
+                    return res.status(409).json({ message: 'The appealed report no longer exists or is already in trash.' });
+                }
+                if (reportAction === 'change_status' && !(STATUS_SEVERITY[reportStatus] < STATUS_SEVERITY[reportBefore.status])) {
+                    return res.status(400).json({ message: `An accepted appeal can only lower the report status, which is currently '${reportBefore.status}'.` });
+                }
+            }
+
+            const resolution = {
+                decision,
+                note: note || null,
+                reportAction: decision === 'accepted' ? reportAction : null,
+                reportStatus: decision === 'accepted' && reportAction === 'change_status' ? reportStatus : null,
+                resolvedBy: req.userProfile.uid,
+                resolvedAt: new Date()
+            };
+            const after = await appealsCollection.findOneAndUpdate(
+                { _id: appeal._id, status: { $in: UNDECIDED_APPEAL_STATUSES }, assignedTo: { $in: [null, req.userProfile.uid] } },
+                { $set: { status: decision, assignedTo: req.userProfile.uid, resolution, updatedAt: resolution.resolvedAt } },
+                { returnDocument: 'after', projection: { trackingTokenHash: 0 } }
+            );
+            if (!after) {
+                return res.status(409).json({ message: 'Appeal was decided or claimed by another admin in the meantime.' });
+            }
+
+            const auditEntries = [];
+
+            if (decision === 'accepted') {
+                if (reportAction === 'trash') {
+                    reportAfter = await req.db.collection('userReports').findOneAndUpdate(
+                        { _id: reportBefore._id },
+                        trashUpdate({ by: req.userProfile.uid, reason: note ? `Appeal accepted: ${note}` : 'Appeal accepted.' }),
+                        { returnDocument: 'after' }
+                    );
+                } else {
+                    // Recorded as a report version like any other status change.
+                    const edit = await applyReportEdit(req.db, reportBefore, {
+                        ...snapshotOf(reportBefore),
+                        status: reportStatus,
+                        suspendedUntil: null
+                    }, {
+                        by: req.userProfile.uid,
+                        byName: req.userProfile.fbName,
+                        action: 'appeal',
+                        note: note ? `Appeal accepted: ${note}` : 'Appeal accepted.'
+                    });
+                    reportAfter = edit.unchanged ? reportBefore : edit.report;
+                }
+                auditEntries.push({
+                    action: reportAction === 'trash' ? 'report.trash' : 'report.status',
+                    targetType: 'userReport',
+                    targetId: reportBefore._id,
+                    before: reportBefore,
+                    after: reportAfter
+                });
+            }
+            auditEntries.push({ action: 'appeal.decide', targetType: 'appeal', targetId: appeal._id, before: appeal, after });
+
+            await recordAudit(req, auditEntries);
+            if (decision === 'accepted') {
+                if (reportAction === 'trash') {
+                    await publishWebhookEvents(req.db, [reportWebhookEvent('report.trashed', reportBefore)]);
+                } else if (reportAfter !== reportBefore) {
+                    await publishWebhookEvents(req.db, [reportWebhookEvent('report.status_changed', reportAfter, reportBefore)]);
+                }
+            }
+            if (decision === 'accepted' && reportAction === 'trash') {
+                await notifier.notifyUsers(req.db, incidentsOf(reportBefore).map(incident => incident.reporterId), 'report.trashed', {
+                    reportId: reportBefore._id,
+                    name: reportBefore.name,
+                    actorName: req.userProfile.fbName
+                });
+            }
+
+            res.status(200).json({ message: `Appeal ${decision}.`, data: after });
+        } catch (error) {
+            req.log.error('Error deciding appeal', { err: error });
+            res.status(500).json({ message: 'Server error while deciding appeal.' });
+        }
+    });
+
+    return router;
+}
+
+module.exports = { createAppealsRouter };
@@ -0,0 +1,52 @@
+const express = require("express");
+
+const CHECK_TIMEOUT_MS = 2000;
+
+function withTimeout(promise, ms) {
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(new Error(`Timed out after ${ms}ms.`)), ms);
+    });
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+// Runs one dependency check and reports { status, latencyMs }. Failures are
+// logged with their cause but only reported as 'down'.
+async function runCheck(req, name, check) {
+    const startedAt = Date.now();
+    try {
+        await withTimeout(Promise.resolve().then(check), CHECK_TIMEOUT_MS);
+        return { status: 'up', latencyMs: Date.now() - startedAt };
+    } catch (error) {
+        req.log.warn(`Readiness check '${name}' failed`, { err: error });
+        return { status: 'down', latencyMs: Date.now() - startedAt };
+    }
+}
+
+// /healthz only says the process is serving requests; /readyz also checks that
+// MongoDB answers a ping and that Firebase Admin can reach its backend, so load
+// balancers stop routing to an instance that cannot do real work.
+function createHealthRouter({ getDb, auth }) {
+    const router = express.Router();
+
+    router.get('/healthz', (req, res) => {
+        res.status(200).json({ status: 'ok', uptime: Math.round(process.uptime()) });
+    });
+
+    router.get('/readyz', async (req, res) => {
+        const [mongo, firebase] = await Promise.all([
+            runCheck(req, 'mongo', async () => (await getDb()).command({ ping: 1 })),
+            runCheck(req, 'firebase', () => auth.listUsers(1))
+        ]);
+        const checks = { mongo, firebase };
+
+        if (Object.values(checks).every(check => check.status === 'up')) {
+            return res.status(200).json({ status: 'ready', checks });
+        }
+        res.status(503).json({ code: 'not_ready', message: 'One or more dependencies are unavailable.', checks });
+    });
+
+    return router;
+}
+
+module.exports = { createHealthRouter };
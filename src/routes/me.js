@@ -0,0 +1,176 @@
+const express = require("express");
+const { ObjectId } = require("mongodb");
+const { recordAudit } = require('../services/audit');
+const { LIST_QUERY, REPORT_LIST_QUERY, fetchPaginatedData } = require('../services/pagination');
+const { EDITABLE_PROFILE_FIELDS, DELETION_REASON_MAX_LENGTH, profileChanges } = require('../services/profile');
+const { listOwnReports } = require('../services/reportViews');
+const { ID_PARAMS } = require('../services/validation');
+const { validateRequest } = require('../middleware/validate');
+
+const PROFILE_CHANGES_SCHEMA = { body: EDITABLE_PROFILE_FIELDS };
+const OWN_REPORTS_SCHEMA = { query: REPORT_LIST_QUERY };
+const DELETION_REQUEST_SCHEMA = {
+    body: { reason: { type: 'string', maxLength: DELETION_REASON_MAX_LENGTH, multiline: true } }
+};
+const NOTIFICATIONS_SCHEMA = { query: { ...LIST_QUERY, unread: { type: 'boolean' } } };
+const NOTIFICATION_SCHEMA = { params: ID_PARAMS };
+
+// Routes about the signed-in account. They only need a valid token, so pending
+// users can read the notification that tells them they were approved.
+function createMeRouter({ middleware, notifier }) {
+    const router = express.Router();
+    const { ensureDbConnected, verifyAuthToken, identifyCaller } = middleware;
+
+    router.get('/api/me', ensureDbConnected, verifyAuthToken, async (req, res) => {
+        try {
+            const profile = await req.db.collection('users').findOne({ uid: req.user.uid });
+            if (!profile) {
+                return res.status(404).json({ message: 'User profile not found. Create it with POST /api/users.' });
+            }
+            res.status(200).json(profile);
+        } catch (error) {
+            req.log.error('Error fetching own profile', { err: error });
+            res.status(500).json({ message: 'Server error while fetching profile.' });
+        }
+    });
+
+    // Only the fields in EDITABLE_PROFILE_FIELDS can be changed here; role and
+    // status stay with admins.
+    router.patch('/api/me', ensureDbConnected, verifyAuthToken, validateRequest(PROFILE_CHANGES_SCHEMA), async (req, res) => {
+        try {
+            const changes = profileChanges(req.body);
+            if (Object.keys(changes).length === 0) {
+                return res.status(400).json({ message: `Nothing to update. Provide at least one of: ${Object.keys(EDITABLE_PROFILE_FIELDS).join(', ')}.` });
+            }
+
+            const usersCollection = req.db.collection('users');
+            const before = await usersCollection.findOne({ uid: req.user.uid });
+            if (!before) {
+                return res.status(404).json({ message: 'User profile not found. Create it with POST /api/users.' });
+            }
+            const after = await usersCollection.findOneAndUpdate(
+                { uid: req.user.uid },
+                { $set: { ...changes, updatedAt: new Date() } },
+                { returnDocument: 'after' }
+            );
+
+            await recordAudit(req, { action: 'user.profile', targetType: 'user', targetId: req.user.uid, before, after });
+
+            res.status(200).json({ message: 'Profile updated.', data: after });
+        } catch (error) {
+            req.log.error('Error updating own profile', { err: error });
+            res.status(500).json({ message: 'Server error while updating profile.' });
+        }
+    });
+
+    // Same list as /api/userReports/mine, but open to pending accounts too.
+    // identifyCaller reuses the token verifyAuthToken already checked.
+    router.get('/api/me/reports', ensureDbConnected, verifyAuthToken, identifyCaller, validateRequest(OWN_REPORTS_SCHEMA), listOwnReports);
+
+    // Asks admins to delete the account. Nothing changes until one of them
+    // confirms it under /api/admin/deletionRequests.
+    router.post('/api/me/deletionRequest', ensureDbConnected, verifyAuthToken, validateRequest(DELETION_REQUEST_SCHEMA), async (req, res) => {
+        try {
+            const { reason } = req.body;
+
+            const deletionRequest = { status: 'pending', reason: reason || null, requestedAt: new Date() };
+            const profile = await req.db.collection('users').findOneAndUpdate(
+                { uid: req.user.uid, 'deletionRequest.status': { $ne: 'pending' } },
+                { $set: { deletionRequest } },
+                { returnDocument: 'after' }
+            );
+            if (!profile) {
+                const exists = await req.db.collection('users').countDocuments({ uid: req.user.uid });
+                return exists
+                    ? res.status(409).json({ message: 'A deletion request is already pending.' })
+                    : res.status(404).json({ message: 'User profile not found.' });
+            }
+
+            await recordAudit(req, { action: 'user.deletion_request', targetType: 'user', targetId: req.user.uid, after: deletionRequest });
+            await notifier.notifyPermissionHolders(req.db, 'users:delete', 'account.deletion_requested', {
+                uid: profile.uid,
+                fbName: profile.fbName,
+                email: profile.email,
+                reason: reason || ''
+            });
+
+            res.status(202).json({ message: 'Deletion request received. An administrator will review it.', data: deletionRequest });
+        } catch (error) {
+            req.log.error('Error requesting account deletion', { err: error });
+            res.status(500).json({ message: 'Server error while requesting account deletion.' });
+        }
+    });
+
+    router.delete('/api/me/deletionRequest', ensureDbConnected, verifyAuthToken, async (req, res) => {
+        try {
+            const result = await req.db.collection('users').updateOne(
+                { uid: req.user.uid, 'deletionRequest.status': 'pending' },
+                { $set: { 'deletionRequest.status': 'cancelled', 'deletionRequest.decidedAt': new Date() } }
+            );
+            if (result.matchedCount === 0) {
+                return res.status(404).json({ message: 'No pending deletion request.' });
+            }
+
+            await recordAudit(req, { action: 'user.deletion_request.cancel', targetType: 'user', targetId: req.user.uid });
+
+            res.status(200).json({ message: 'Deletion request cancelled.' });
+        } catch (error) {
+            req.log.error('Error cancelling deletion request', { err: error });
+            res.status(500).json({ message: 'Server error while cancelling deletion request.' });
+        }
+    });
+
+    router.get('/api/me/notifications', ensureDbConnected, verifyAuthToken, validateRequest(NOTIFICATIONS_SCHEMA), async (req, res) => {
+        const baseQuery = { recipientUid: req.user.uid };
+        if (req.query.unread) {
+            baseQuery.readAt = null;
+        }
+        await fetchPaginatedData('notifications', baseQuery, req, res);
+    });
+
+    router.get('/api/me/notifications/unread-count', ensureDbConnected, verifyAuthToken, async (req, res) => {
+        try {
+            const unreadCount = await req.db.collection('notifications').countDocuments({ recipientUid: req.user.uid, readAt: null });
+            res.status(200).json({ unreadCount });
+        } catch (error) {
+            req.log.error('Error counting unread notifications', { err: error });
+            res.status(500).json({ message: 'Server error while counting notifications.' });
+        }
+    });
+
+    router.patch('/api/me/notifications/:id/read', ensureDbConnected, verifyAuthToken, validateRequest(NOTIFICATION_SCHEMA), async (req, res) => {
+        try {
+            const id = req.params.id;
+            const notification = await req.db.collection('notifications').findOneAndUpdate(
+                { _id: new ObjectId(id), recipientUid: req.user.uid },
+                [{ $set: { readAt: { $ifNull: ['$readAt', '$$NOW'] } } }],
+                { returnDocument: 'after' }
+            );
+            if (!notification) {
+                return res.status(404).json({ message: 'Notification not found.' });
+            }
+
+            res.status(200).json({ message: 'Notification marked as read.', data: notification });
+        } catch (error) {
+            req.log.error('Error marking notification as read', { err: error });
+            res.status(500).json({ message: 'Server error while updating notification.' });
+        }
+    });
+
+    router.post('/api/me/notifications/read-all', ensureDbConnected, verifyAuthToken, async (req, res) => {
+        try {
+            const result = await req.db.collection('notifications').updateMany(
+                { recipientUid: req.user.uid, readAt: null },
+                { $set: { readAt: new Date() } }
+            );
+            res.status(200).json({ message: `${result.modifiedCount} notifications marked as read.`, modifiedCount: result.modifiedCount });
+        } catch (error) {
+            req.log.error('Error marking notifications as read', { err: error });
+            res.status(500).json({ message: 'Server error while updating notifications.' });
+        }
+    });
+
+    return router;
+}
+
+module.exports = { createMeRouter };
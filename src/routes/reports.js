@@ -0,0 +1,534 @@
+const express = require("express");
+const fs = require('fs/promises');
+const { ObjectId } = require("mongodb");
+const { recordAudit } = require('../services/audit');
+const { REPORT_LIST_QUERY, fetchPaginatedData } = require('../services/pagination');
+const { publishWebhookEvents, reportWebhookEvent } = require('../services/webhooks');
+const { normalizePhone, normalizeFacebookLink } = require('../services/normalize');
+const { TRASH_REASON_MAX_LENGTH, trashUpdate } = require('../services/trash');
+const { mergeReportEdit, applyReportEdit } = require('../services/reportVersions');
+const { reportAudience, reportView, reportListOptions, listOwnReports, findRelatedReports, summarizeReportedPerson } = require('../services/reportViews');
+const { ID_PARAMS } = require('../services/validation');
+const { validateRequest } = require('../middleware/validate');
+const {
+    incidentsOf,
+    REPORT_STATUSES,
+    REPORT_FIELD_LIMITS,
+    PHONE_REGEX,
+    VERIFIED_REPORTS_QUERY,
+    activeSuspensionQuery,
+    escalatedStatus,
+    clusterFields,
+    validateReportInput
+} = require('../services/reports');
+const {
+    EVIDENCE_MIME_SIGNATURES,
+    EVIDENCE_URL_TTL_SECONDS,
+    EVIDENCE_KEY_REGEX,
+    validateEvidenceFiles,
+    attachEvidence,
+    evidenceMetadata
+} = require('../services/evidence');
+
+// Types, lengths and allowed fields; validateReportInput() then applies the
+// rules shared with editing and import.
+const REPORT_SUBMISSION_SCHEMA = {
+    body: {
+        name: { type: 'string', required: true, maxLength: REPORT_FIELD_LIMITS.name },
+        facebookLink: { type: 'string', required: true, maxLength: REPORT_FIELD_LIMITS.facebookLink },
+        phone: {
+            type: 'string',
+            required: true,
+            maxLength: REPORT_FIELD_LIMITS.phone,
+            pattern: PHONE_REGEX,
+            patternMessage: 'may only contain digits, +, -, (, ) or spaces'
+        },
+        status: { type: 'string', required: true, enum: REPORT_STATUSES },
+        reason: { type: 'string', required: true, maxLength: REPORT_FIELD_LIMITS.reason, multiline: true },
+        suspendedUntil: { type: 'date' }
+    }
+};
+// Edits take the same fields, all optional but none blank; a null
+// suspendedUntil removes the end of a suspension.
+const REPORT_EDIT_SCHEMA = {
+    params: ID_PARAMS,
+    body: {
+        ...Object.fromEntries(Object.entries(REPORT_SUBMISSION_SCHEMA.body).map(([field, spec]) => [field, { ...spec, required: false, minLength: 1 }])),
+        suspendedUntil: { type: 'date', nullable: true }
+    }
+};
+const REPORT_SCHEMA = { params: ID_PARAMS };
+const REPORT_TRASH_SCHEMA = {
+    params: ID_PARAMS,
+    body: { reason: { type: 'string', maxLength: TRASH_REASON_MAX_LENGTH, multiline: true } }
+};
+const EVIDENCE_SCHEMA = { params: { ...ID_PARAMS, evidenceId: ID_PARAMS.id } };
+const LOCAL_EVIDENCE_SCHEMA = {
+    query: {
+        key: { type: 'string', required: true, pattern: EVIDENCE_KEY_REGEX },
+        type: { type: 'string', required: true, enum: Object.keys(EVIDENCE_MIME_SIGNATURES) },
+        expires: { type: 'integer', required: true },
+        sig: { type: 'string', required: true, maxLength: 128 }
+    }
+};
+const REPORT_LIST_SCHEMA = { query: REPORT_LIST_QUERY };
+const LOOKUP_SCHEMA = {
+    query: {
+        phone: { type: 'string', maxLength: REPORT_FIELD_LIMITS.phone },
+        facebookLink: { type: 'string', maxLength: REPORT_FIELD_LIMITS.facebookLink }
+    }
+};
+
+// Evidence is visible to holders of 'reports:evidence:any' and to anyone who
+// filed an incident on the report.
+async function loadEvidenceAccess(req, res) {
+    const report = await req.db.collection('userReports').findOne({ _id: new ObjectId(req.params.id) });
+    if (!report) {
+        res.status(404).json({ message: 'User report not found.' });
+        return null;
+    }
+
+    const isReporter = incidentsOf(report).some(incident => incident.reporterId === req.user.uid);
+    if (!req.permissions.has('reports:evidence:any') && !isReporter) {
+        res.status(403).json({ message: 'Access denied: Only admins and the report\'s reporters can access its evidence.' });
+        return null;
+    }
+
+    return { report };
+}
+
+function createReportsRouter({ middleware, evidenceStorage, notifier }) {
+    const router = express.Router();
+    const { ensureDbConnected, requirePermission, acceptApiKey, identifyCaller, reportSubmissionQuota, acceptEvidenceUploads } = middleware;
+    const canAccessEvidence = requirePermission('reports:evidence:own', 'reports:evidence:any');
+    const identifyReader = [acceptApiKey('reports:read'), identifyCaller];
+
+    router.post('/api/userReports', ensureDbConnected, requirePermission('reports:create'), reportSubmissionQuota, acceptEvidenceUploads, validateRequest(REPORT_SUBMISSION_SCHEMA), async (req, res) => {
+        try {
+            const userReportsCollection = req.db.collection('userReports');
+
+            const reporterId = req.userProfile.uid;
+            const reporterName = req.userProfile.fbName;
+
+            const validation = validateReportInput(req.body);
+            if (validation.error) {
+                return res.status(400).json({ message: validation.error });
+            }
+            const { name, facebookLink, phone, status, reason, phoneNormalized, facebookLinkNormalized, suspendedUntil } = validation.value;
+
+            const evidenceError = validateEvidenceFiles(req.files);
+            if (evidenceError) {
+                return res.status(400).json({ message: evidenceError });
+            }
+
+            const incident = {
+                _id: new ObjectId(),
+                name,
+                facebookLink,
+                phone,
+                phoneNormalized,
+                facebookLinkNormalized,
+                status,
+                suspendedUntil,
+                reason,
+                reporterId,
+                reporterName,
+                timestamp: new Date(),
+            };
+
+            // Rejected reports are not reopened: a new submission about the same
+            // person starts a report of its own.
+            const existingReport = await userReportsCollection.findOne(
+                {
+                    deletedAt: { $exists: false },
+                    reviewStatus: { $ne: 'rejected' },
+                    $or: [{ phoneKeys: phoneNormalized }, { facebookLinkKeys: facebookLinkNormalized }]
+                },
+                { sort: { timestamp: 1 } }
+            );
+
+            if (existingReport) {
+                // The new incident has not been reviewed, so the report goes back to
+                // the review queue and is unpublished until a moderator checks it.
+                const now = incident.timestamp;
+                const incidents = [...incidentsOf(existingReport), incident];
+                const update = { $set: { reviewStatus: 'pending_review' } };
+                const changes = { incidentCount: { from: incidents.length - 1, to: incidents.length } };
+                if (existingReport.reviewStatus !== 'pending_review') {
+                    const from = existingReport.reviewStatus || 'verified';
+                    update.$push = { reviewHistory: { from, to: 'pending_review', reviewedBy: 'system', note: 'New incident submitted.', reviewedAt: now } };
+                    changes.reviewStatus = { from, to: 'pending_review' };
+                }
+
+                const { report: updatedReport } = await applyReportEdit(req.db, existingReport, { ...existingReport, ...escalatedStatus(existingReport, incident) }, {
+                    by: reporterId,
+                    byName: reporterName,
+                    action: 'incident',
+                    note: 'New incident submitted.',
+                    incidents,
+                    update,
+                    changes,
+                    now
+                });
+                const evidence = await attachEvidence(req.db, evidenceStorage, updatedReport, req.files || [], { uploadedBy: reporterId, incidentId: incident._id });
+                await notifier.notifyPermissionHolders(req.db, 'reports:review', 'report.submitted', { reportId: existingReport._id, name, reporterName });
+                // Partners hear about the new incident once a moderator verifies it;
+                // until then they are only told the report was withdrawn, as it stood.
+                if (existingReport.reviewStatus !== 'pending_review') {
+                    await publishWebhookEvents(req.db, [reportWebhookEvent('report.status_changed', { ...existingReport, reviewStatus: 'pending_review' }, existingReport)]);
+                }
+
+                return res.status(200).json({
+                    message: 'A report for this person already exists. Your submission was added to it as a new incident and will be reviewed.',
+                    merged: true,
+                    reportId: existingReport._id,
+                    incidentId: incident._id,
+                    evidence: evidence.map(evidenceMetadata),
+                    data: updatedReport
+                });
+            }
+
+            const dataToSave = {
+                name,
+                facebookLink,
+                phone,
+                status,
+                suspendedUntil,
+                reason,
+                reporterId,
+                reporterName,
+                timestamp: incident.timestamp,
+                reviewStatus: 'pending_review',
+                ...clusterFields([incident]),
+            };
+
+            const result = await userReportsCollection.insertOne(dataToSave);
+            const evidence = await attachEvidence(req.db, evidenceStorage, dataToSave, req.files || [], { uploadedBy: reporterId, incidentId: incident._id });
+            await notifier.notifyPermissionHolders(req.db, 'reports:review', 'report.submitted', { reportId: result.insertedId, name, reporterName });
+
+            res.status(201).json({
+                message: 'User report submitted successfully! It will be published once an administrator verifies it.',
+                insertedId: result.insertedId,
+                evidence: evidence.map(evidenceMetadata),
+                data: dataToSave
+            });
+
+        } catch (error) {
+            req.log.error('Error saving user report to MongoDB', { err: error });
+            res.status(500).json({
+                message: 'Failed to submit user report. Please try again later.'
+            });
+        }
+    });
+
+    router.post('/api/userReports/:id/evidence', ensureDbConnected, canAccessEvidence, acceptEvidenceUploads, validateRequest(REPORT_SCHEMA), async (req, res) => {
+        try {
+            const access = await loadEvidenceAccess(req, res);
+            if (!access) return;
+
+            if (access.report.deletedAt) {
+                return res.status(409).json({ message: 'Cannot add evidence to a report in trash.' });
+            }
+            if (!req.files || req.files.length === 0) {
+                return res.status(400).json({ message: 'At least one evidence file is required.' });
+            }
+            const evidenceError = validateEvidenceFiles(req.files);
+            if (evidenceError) {
+                return res.status(400).json({ message: evidenceError });
+            }
+
+            const ownIncident = incidentsOf(access.report).find(incident => incident.reporterId === req.user.uid);
+            const evidence = await attachEvidence(req.db, evidenceStorage, access.report, req.files, { uploadedBy: req.user.uid, incidentId: ownIncident?._id || null });
+
+            res.status(201).json({
+                message: evidence.length > 0 ? `${evidence.length} evidence files attached.` : 'These files are already attached to the report.',
+                evidence: evidence.map(evidenceMetadata)
+            });
+        } catch (error) {
+            req.log.error('Error attaching evidence to user report', { err: error });
+            res.status(500).json({ message: 'Server error while attaching evidence.' });
+        }
+    });
+
+    router.get('/api/userReports/:id/evidence', ensureDbConnected, canAccessEvidence, validateRequest(REPORT_SCHEMA), async (req, res) => {
+        try {
+            const access = await loadEvidenceAccess(req, res);
+            if (!access) return;
+
+            res.status(200).json({ data: (access.report.evidence || []).map(evidenceMetadata) });
+        } catch (error) {
+            req.log.error('Error listing evidence', { err: error });
+            res.status(500).json({ message: 'Server error while listing evidence.' });
+        }
+    });
+
+    router.get('/api/userReports/:id/evidence/:evidenceId/url', ensureDbConnected, canAccessEvidence, validateRequest(EVIDENCE_SCHEMA), async (req, res) => {
+        try {
+            const access = await loadEvidenceAccess(req, res);
+            if (!access) return;
+
+            const item = (access.report.evidence || []).find(evidence => String(evidence._id) === req.params.evidenceId);
+            if (!item) {
+                return res.status(404).json({ message: 'Evidence not found.' });
+            }
+
+            const url = await evidenceStorage.getDownloadUrl(item.key, { contentType: item.mimeType, expiresInSeconds: EVIDENCE_URL_TTL_SECONDS, req });
+            res.status(200).json({ url, expiresInSeconds: EVIDENCE_URL_TTL_SECONDS });
+        } catch (error) {
+            req.log.error('Error creating evidence download URL', { err: error });
+            res.status(500).json({ message: 'Server error while creating download URL.' });
+        }
+    });
+
+    // Serves files for the local storage adapter; the signed query string is the access check.
+    router.get('/api/evidence/local', validateRequest(LOCAL_EVIDENCE_SCHEMA), async (req, res) => {
+        const { key, type, expires, sig } = req.query;
+
+        if (!evidenceStorage.resolve) {
+            return res.status(400).json({ message: 'Invalid download link.' });
+        }
+        if (!evidenceStorage.verifySignature(key, type, expires, sig)) {
+            return res.status(403).json({ message: 'Invalid download link.' });
+        }
+        if (Date.now() > expires) {
+            return res.status(403).json({ message: 'Download link has expired.' });
+        }
+
+        try {
+            const buffer = await fs.readFile(evidenceStorage.resolve(key));
+            res.type(type).send(buffer);
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return res.status(404).json({ message: 'Evidence file not found.' });
+            }
+            req.log.error('Error reading local evidence file', { err: error });
+            res.status(500).json({ message: 'Server error while reading evidence.' });
+        }
+    });
+
+    router.delete('/api/userReports/:id', ensureDbConnected, requirePermission('reports:trash:own', 'reports:trash:any'), validateRequest(REPORT_TRASH_SCHEMA), async (req, res) => {
+        try {
+            const id = req.params.id;
+            const requestingUserUid = req.user.uid;
+            const reason = req.body.reason ?? null;
+
+            const userReportsCollection = req.db.collection('userReports');
+            const report = await userReportsCollection.findOne({ _id: new ObjectId(id) });
+
+            if (!report) {
+                return res.status(404).json({ message: 'User report not found.' });
+            }
+
+            if (report.reporterId !== requestingUserUid && !req.permissions.has('reports:trash:any')) {
+                return res.status(403).json({ message: 'Access denied: You can only move your own reports to trash.' });
+            }
+
+            // Filtering on deletedAt keeps a second trash from resetting the
+            // retention clock or the history.
+            const result = await userReportsCollection.updateOne(
+                { _id: new ObjectId(id), deletedAt: { $exists: false } },
+                trashUpdate({ by: requestingUserUid, reason })
+            );
+
+            if (result.matchedCount === 0) {
+                res.status(200).json({ message: 'User report was already in trash.' });
+            } else {
+                const after = await userReportsCollection.findOne({ _id: new ObjectId(id) });
+                await recordAudit(req, { action: 'report.trash', targetType: 'userReport', targetId: id, before: report, after });
+                await publishWebhookEvents(req.db, [reportWebhookEvent('report.trashed', report)]);
+                const otherReporters = incidentsOf(report).map(incident => incident.reporterId).filter(uid => uid !== requestingUserUid);
+                await notifier.notifyUsers(req.db, otherReporters, 'report.trashed', { reportId: id, name: report.name, actorName: req.userProfile.fbName });
+                res.status(200).json({ message: 'User report moved to trash successfully.' });
+            }
+
+        } catch (error) {
+            req.log.error('Error soft-deleting user report', { err: error });
+            res.status(500).json({ message: 'Server error while soft-deleting user report.' });
+        }
+    });
+
+    // Reporters may correct their report until it has been reviewed; after that
+    // only holders of 'reports:edit:any' can change it.
+    router.patch('/api/userReports/:id', ensureDbConnected, requirePermission('reports:edit:own', 'reports:edit:any'), validateRequest(REPORT_EDIT_SCHEMA), async (req, res) => {
+        try {
+            const id = req.params.id;
+            const report = await req.db.collection('userReports').findOne({ _id: new ObjectId(id), deletedAt: { $exists: false } });
+            if (!report) {
+                return res.status(404).json({ message: 'User report not found.' });
+            }
+
+            if (!req.permissions.has('reports:edit:any')) {
+                if (report.reporterId !== req.user.uid) {
+                    return res.status(403).json({ message: 'Access denied: You can only edit your own reports.' });
+                }
+                if (report.reviewStatus !== 'pending_review') {
+                    return res.status(409).json({ message: 'This report has already been reviewed and can no longer be edited.' });
+                }
+            }
+
+            const merged = mergeReportEdit(report, req.body);
+            if (merged.error) {
+                return res.status(400).json({ message: merged.error });
+            }
+            const validation = validateReportInput(merged.input, { keepStatus: merged.keepStatus });
+            if (validation.error) {
+                return res.status(400).json({ message: validation.error });
+            }
+
+            const result = await applyReportEdit(req.db, report, validation.value, { by: req.userProfile.uid, byName: req.userProfile.fbName });
+            if (result.unchanged) {
+                return res.status(200).json({ message: 'No changes to save.', data: report });
+            }
+
+            await recordAudit(req, { action: 'report.edit', targetType: 'userReport', targetId: id, before: report, after: result.report });
+            if (result.version.changes.status || result.version.changes.suspendedUntil) {
+                await publishWebhookEvents(req.db, [reportWebhookEvent('report.status_changed', result.report, report)]);
+            }
+
+            res.status(200).json({ message: 'User report updated.', version: result.version.version, data: result.report });
+        } catch (error) {
+            req.log.error('Error editing user report', { err: error });
+            res.status(500).json({ message: 'Server error while editing user report.' });
+        }
+    });
+
+    router.get('/api/userReports/:id/history', ensureDbConnected, requirePermission('reports:edit:own', 'reports:edit:any'), validateRequest(REPORT_SCHEMA), async (req, res) => {
+        try {
+            const id = req.params.id;
+            const report = await req.db.collection('userReports').findOne({ _id: new ObjectId(id) }, { projection: { reporterId: 1 } });
+            if (!report) {
+                return res.status(404).json({ message: 'User report not found.' });
+            }
+            if (report.reporterId !== req.user.uid && !req.permissions.has('reports:edit:any')) {
+                return res.status(403).json({ message: 'Access denied: You can only view the history of your own reports.' });
+            }
+
+            const versions = await req.db.collection('reportVersions').find({ reportId: report._id }).sort({ version: 1 }).toArray();
+            res.status(200).json({ data: versions });
+        } catch (error) {
+            req.log.error('Error fetching report history', { err: error });
+            res.status(500).json({ message: 'Server error while fetching report history.' });
+        }
+    });
+
+    router.get('/api/userReports/mine', ensureDbConnected, requirePermission('reports:read:own'), validateRequest(REPORT_LIST_SCHEMA), listOwnReports);
+
+    router.get('/api/userReports', ensureDbConnected, identifyReader, validateRequest(REPORT_LIST_SCHEMA), async (req, res) => {
+        await fetchPaginatedData('userReports', { deletedAt: { $exists: false }, ...VERIFIED_REPORTS_QUERY }, req, res, false, reportListOptions(req));
+    });
+
+    // Published reports are visible to everyone; unreviewed and trashed ones
+    // only to their reporters and holders of 'reports:read:any'. Registered
+    // after /mine so that path is not read as an ID.
+    router.get('/api/userReports/:id', ensureDbConnected, identifyReader, validateRequest(REPORT_SCHEMA), async (req, res) => {
+        try {
+            const id = req.params.id;
+            const report = await req.db.collection('userReports').findOne({ _id: new ObjectId(id) });
+            if (!report) {
+                return res.status(404).json({ message: 'User report not found.' });
+            }
+
+            const audience = reportAudience(req);
+            const isPublished = [undefined, null, 'verified'].includes(report.reviewStatus);
+            const isReporter = Boolean(req.user) && incidentsOf(report).some(incident => incident.reporterId === req.user.uid);
+            if (audience !== 'full' && (report.deletedAt || !(isPublished || isReporter))) {
+                return res.status(404).json({ message: 'User report not found.' });
+            }
+
+            const verifiedOnly = audience !== 'full';
+            const related = await findRelatedReports(req.db, report, { verifiedOnly });
+            const summary = await summarizeReportedPerson(req.db, report, { verifiedOnly });
+
+            res.status(200).json({
+                data: reportView(report, audience),
+                related: related.map(item => ({ ...reportView(item, audience), relatedBy: item.relatedBy })),
+                summary
+            });
+        } catch (error) {
+            req.log.error('Error fetching user report', { err: error });
+            res.status(500).json({ message: 'Server error while fetching user report.' });
+        }
+    });
+
+    router.get('/api/suspendedUsers', ensureDbConnected, identifyReader, validateRequest(REPORT_LIST_SCHEMA), async (req, res) => {
+        await fetchPaginatedData('userReports', { $and: [activeSuspensionQuery(), { deletedAt: { $exists: false }, ...VERIFIED_REPORTS_QUERY }] }, req, res, false, reportListOptions(req));
+    });
+
+    router.get('/api/bannedUsers', ensureDbConnected, identifyReader, validateRequest(REPORT_LIST_SCHEMA), async (req, res) => {
+        await fetchPaginatedData('userReports', { status: 'banned', deletedAt: { $exists: false }, ...VERIFIED_REPORTS_QUERY }, req, res, false, reportListOptions(req));
+    });
+
+    // Moderators also see reports that are pending review or were rejected.
+    router.get('/api/allUserReports', ensureDbConnected, identifyReader, validateRequest(REPORT_LIST_SCHEMA), async (req, res) => {
+        const reviewFilter = reportAudience(req) === 'full' ? {} : VERIFIED_REPORTS_QUERY;
+        await fetchPaginatedData('userReports', { deletedAt: { $exists: false }, ...reviewFilter }, req, res, false, reportListOptions(req));
+    });
+
+    // Answers "is this person banned or suspended right now?" for bots and
+    // partner services. Only published reports count, matched on the same
+    // normalized keys that report deduplication uses.
+    router.get('/api/lookup', ensureDbConnected, requirePermission('reports:lookup'), validateRequest(LOOKUP_SCHEMA), async (req, res) => {
+        try {
+            const { phone, facebookLink } = req.query;
+            if (!phone && !facebookLink) {
+                return res.status(400).json({ message: 'Provide a phone or facebookLink query parameter.' });
+            }
+
+            const phoneNormalized = phone ? normalizePhone(phone) : null;
+            if (phone && !phoneNormalized) {
+                return res.status(400).json({ message: 'Invalid phone number. It must contain at least one digit.' });
+            }
+            const facebookLinkNormalized = facebookLink ? normalizeFacebookLink(facebookLink) : null;
+            if (facebookLink && !facebookLinkNormalized) {
+                return res.status(400).json({ message: 'Invalid Facebook link. Must point to a Facebook profile.' });
+            }
+
+            const keyConditions = [];
+            if (phoneNormalized) keyConditions.push({ phoneKeys: phoneNormalized });
+            if (facebookLinkNormalized) keyConditions.push({ facebookLinkKeys: facebookLinkNormalized });
+
+            const matches = await req.db.collection('userReports').find(
+                {
+                    $and: [
+                        { deletedAt: { $exists: false }, ...VERIFIED_REPORTS_QUERY },
+                        { $or: keyConditions },
+                        { $or: [{ status: 'banned' }, activeSuspensionQuery()] }
+                    ]
+                },
+                { projection: { name: 1, status: 1, suspendedUntil: 1, phoneKeys: 1, facebookLinkKeys: 1, lastReportedAt: 1, timestamp: 1 } }
+            ).limit(20).toArray();
+
+            const banned = matches.some(report => report.status === 'banned');
+            const suspensions = matches.filter(report => report.status === 'suspended');
+            // Null means at least one suspension has no end date.
+            const suspendedUntil = suspensions.length === 0 || suspensions.some(report => !report.suspendedUntil)
+                ? null
+                : new Date(Math.max(...suspensions.map(report => report.suspendedUntil.getTime())));
+
+            res.status(200).json({
+                status: banned ? 'banned' : suspensions.length > 0 ? 'suspended' : 'clear',
+                banned,
+                suspended: suspensions.length > 0,
+                suspendedUntil,
+                matches: matches.map(report => ({
+                    _id: report._id,
+                    name: report.name,
+                    status: report.status,
+                    suspendedUntil: report.suspendedUntil ?? null,
+                    matchedOn: [
+                        ...(phoneNormalized && (report.phoneKeys || []).includes(phoneNormalized) ? ['phone'] : []),
+                        ...(facebookLinkNormalized && (report.facebookLinkKeys || []).includes(facebookLinkNormalized) ? ['facebookLink'] : [])
+                    ],
+                    lastReportedAt: report.lastReportedAt ?? report.timestamp
+                }))
+            });
+        } catch (error) {
+            req.log.error('Error looking up reports', { err: error });
+            res.status(500).json({ message: 'Server error while looking up reports.' });
+        }
+    });
+
+    return router;
+}
+
+module.exports = { createReportsRouter };
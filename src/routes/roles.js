@@ -0,0 +1,152 @@
+const express = require("express");
+const { recordAudit } = require('../services/audit');
+const {
+    PERMISSIONS,
+    ROLE_NAME_REGEX,
+    ROLE_FIELDS,
+    isBuiltInRole,
+    findRole,
+    listRoles
+} = require('../services/permissions');
+const { validateRequest } = require('../middleware/validate');
+
+const ROLE_NAME = {
+    type: 'string',
+    required: true,
+    pattern: ROLE_NAME_REGEX,
+    patternMessage: 'must be 2-32 lowercase letters, digits, "-" or "_", starting with a letter'
+};
+const ROLE_CREATE_SCHEMA = {
+    body: { ...ROLE_FIELDS, name: ROLE_NAME, permissions: { ...ROLE_FIELDS.permissions, required: true } }
+};
+const ROLE_UPDATE_SCHEMA = { params: { name: ROLE_NAME }, body: ROLE_FIELDS };
+const ROLE_SCHEMA = { params: { name: ROLE_NAME } };
+
+function createRolesRouter({ middleware }) {
+    const router = express.Router();
+    const { ensureDbConnected, requirePermission } = middleware;
+    const canManageRoles = requirePermission('roles:manage');
+
+    router.get('/api/admin/roles', ensureDbConnected, canManageRoles, async (req, res) => {
+        try {
+            const roles = await listRoles(req.db);
+            res.status(200).json({
+                data: roles,
+                permissions: Object.entries(PERMISSIONS).map(([name, description]) => ({ name, description }))
+            });
+        } catch (error) {
+            req.log.error('Error listing roles', { err: error });
+            res.status(500).json({ message: 'Server error while listing roles.' });
+        }
+    });
+
+    router.post('/api/admin/roles', ensureDbConnected, canManageRoles, validateRequest(ROLE_CREATE_SCHEMA), async (req, res) => {
+        try {
+            const { name, description, permissions } = req.body;
+
+            if (isBuiltInRole(name)) {
+                return res.status(409).json({ message: `'${name}' is a built-in role. Update it instead.` });
+            }
+
+            const now = new Date();
+            const role = {
+                _id: name,
+                description: description || '',
+                permissions,
+                createdBy: req.userProfile.uid,
+                createdAt: now,
+                updatedAt: now
+            };
+
+            try {
+                await req.db.collection('roles').insertOne(role);
+            } catch (insertError) {
+                if (insertError.code === 11000) {
+                    return res.status(409).json({ message: `Role '${name}' already exists.` });
+                }
+                throw insertError;
+            }
+
+            await recordAudit(req, { action: 'role.create', targetType: 'role', targetId: name, after: role });
+
+            res.status(201).json({ message: `Role '${name}' created successfully.`, data: { ...role, builtIn: false } });
+        } catch (error) {
+            req.log.error('Error creating role', { err: error });
+            res.status(500).json({ message: 'Server error while creating role.' });
+        }
+    });
+
+    // Built-in 'user' and 'admin' can be customized too; the first save stores
+    // them in Mongo. 'superadmin' is fixed.
+    router.patch('/api/admin/roles/:name', ensureDbConnected, canManageRoles, validateRequest(ROLE_UPDATE_SCHEMA), async (req, res) => {
+        try {
+            const name = req.params.name;
+            const { description, permissions } = req.body;
+
+            if (name === 'superadmin') {
+                return res.status(400).json({ message: 'The superadmin role always holds every permission and cannot be changed.' });
+            }
+
+            const before = await findRole(req.db, name);
+            if (!before) {
+                return res.status(404).json({ message: 'Role not found.' });
+            }
+
+            const changes = { updatedAt: new Date() };
+            if (description !== undefined) changes.description = description;
+            if (permissions !== undefined) changes.permissions = permissions;
+
+            const after = await req.db.collection('roles').findOneAndUpdate(
+                { _id: name },
+                {
+                    $set: changes,
+                    $setOnInsert: {
+                        ...(description === undefined ? { description: before.description } : {}),
+                        ...(permissions === undefined ? { permissions: before.permissions } : {}),
+                        createdBy: req.userProfile.uid,
+                        createdAt: changes.updatedAt
+                    }
+                },
+                { upsert: true, returnDocument: 'after' }
+            );
+
+            await recordAudit(req, { action: 'role.update', targetType: 'role', targetId: name, before, after });
+
+            res.status(200).json({ message: `Role '${name}' updated successfully.`, data: { ...after, builtIn: before.builtIn } });
+        } catch (error) {
+            req.log.error('Error updating role', { err: error });
+            res.status(500).json({ message: 'Server error while updating role.' });
+        }
+    });
+
+    router.delete('/api/admin/roles/:name', ensureDbConnected, canManageRoles, validateRequest(ROLE_SCHEMA), async (req, res) => {
+        try {
+            const name = req.params.name;
+
+            if (isBuiltInRole(name)) {
+                return res.status(400).json({ message: 'Built-in roles cannot be deleted.' });
+            }
+
+            const assignedCount = await req.db.collection('users').countDocuments({ role: name });
+            if (assignedCount > 0) {
+                return res.status(409).json({ message: `Role '${name}' is still assigned to ${assignedCount} users. Reassign them first.` });
+            }
+
+            const before = await req.db.collection('roles').findOneAndDelete({ _id: name });
+            if (!before) {
+                return res.status(404).json({ message: 'Role not found.' });
+            }
+
+            await recordAudit(req, { action: 'role.delete', targetType: 'role', targetId: name, before });
+
+            res.status(200).json({ message: `Role '${name}' deleted successfully.` });
+        } catch (error) {
+            req.log.error('Error deleting role', { err: error });
+            res.status(500).json({ message: 'Server error while deleting role.' });
+        }
+    });
+
+    return router;
+}
+
+module.exports = { createRolesRouter };
@@ -0,0 +1,151 @@
+const express = require("express");
+const { ObjectId } = require("mongodb");
+const { recordAudit } = require('../services/audit');
+const { REPORT_LIST_QUERY, fetchPaginatedData } = require('../services/pagination');
+const { deleteEvidenceForReports } = require('../services/evidence');
+const { deleteReportVersions } = require('../services/reportVersions');
+const { publishWebhookEvents, reportWebhookEvent } = require('../services/webhooks');
+const { restoreUpdate, withRetention, purgeExpiredTrash } = require('../services/trash');
+const { ID_PARAMS } = require('../services/validation');
+const { validateRequest } = require('../middleware/validate');
+
+const BULK_ACTION_MAX_IDS = 500;
+const BULK_ACTION_SCHEMA = {
+    body: {
+        ids: { type: 'array', required: true, minItems: 1, maxItems: BULK_ACTION_MAX_IDS, unique: true, items: { type: 'objectId', required: true } },
+        action: { type: 'string', required: true, enum: ['restore', 'permanent_delete'] }
+    }
+};
+const TRASH_LIST_SCHEMA = { query: REPORT_LIST_QUERY };
+const TRASHED_REPORT_SCHEMA = { params: ID_PARAMS };
+
+function createTrashRouter({ config, middleware, evidenceStorage }) {
+    const router = express.Router();
+    const { ensureDbConnected, requirePermission, verifyCronSecret } = middleware;
+    const retentionDays = config.trashRetentionDays;
+
+    router.get('/api/trashedReports', ensureDbConnected, requirePermission('reports:trash:read'), validateRequest(TRASH_LIST_SCHEMA), async (req, res) => {
+        const now = new Date();
+        await fetchPaginatedData('userReports', { deletedAt: { $exists: true } }, req, res, true, {
+            mapItem: report => withRetention(report, retentionDays, now)
+        });
+    });
+
+    router.patch('/api/trashedReports/:id/restore', ensureDbConnected, requirePermission('reports:restore:any'), validateRequest(TRASHED_REPORT_SCHEMA), async (req, res) => {
+        try {
+            const id = req.params.id;
+            const userReportsCollection = req.db.collection('userReports');
+            const query = { _id: new ObjectId(id), deletedAt: { $exists: true } };
+
+            const before = await userReportsCollection.findOne(query);
+            const result = await userReportsCollection.updateOne(query, restoreUpdate({ by: req.userProfile.uid }));
+
+            if (result.matchedCount === 0) {
+                res.status(404).json({ message: 'Trashed report not found or already restored.' });
+            } else if (result.modifiedCount === 0) {
+                res.status(200).json({ message: 'Report was already restored or no changes made.' });
+            } else {
+                const after = await userReportsCollection.findOne({ _id: new ObjectId(id) });
+                await recordAudit(req, { action: 'report.restore', targetType: 'userReport', targetId: id, before, after });
+                await publishWebhookEvents(req.db, [reportWebhookEvent('report.restored', after)]);
+                res.status(200).json({ message: 'Report restored successfully.' });
+            }
+        } catch (error) {
+            req.log.error('Error restoring trashed report', { err: error });
+            res.status(500).json({ message: 'Server error while restoring trashed report.' });
+        }
+    });
+
+    router.delete('/api/trashedReports/:id/permanent', ensureDbConnected, requirePermission('reports:delete:any'), validateRequest(TRASHED_REPORT_SCHEMA), async (req, res) => {
+        try {
+            const id = req.params.id;
+            const userReportsCollection = req.db.collection('userReports');
+            const query = { _id: new ObjectId(id), deletedAt: { $exists: true } };
+
+            const before = await userReportsCollection.findOne(query);
+            const result = await userReportsCollection.deleteOne(query);
+
+            if (result.deletedCount === 1) {
+                await deleteEvidenceForReports(req.db, evidenceStorage, [before]);
+                await deleteReportVersions(req.db, [before]);
+                await recordAudit(req, { action: 'report.delete', targetType: 'userReport', targetId: id, before });
+                await publishWebhookEvents(req.db, [reportWebhookEvent('report.deleted', before)]);
+                res.status(200).json({ message: 'Report permanently deleted from trash.' });
+            } else {
+                res.status(404).json({ message: 'Trashed report not found.' });
+            }
+        } catch (error) {
+            req.log.error('Error permanently deleting trashed report', { err: error });
+            res.status(500).json({ message: 'Server error while permanently deleting trashed report.' });
+        }
+    });
+
+    router.post('/api/trashedReports/bulk-action', ensureDbConnected, requirePermission('reports:restore:any', 'reports:delete:any'), validateRequest(BULK_ACTION_SCHEMA), async (req, res) => {
+        try {
+            const { ids, action } = req.body;
+
+            const requiredPermission = action === 'restore' ? 'reports:restore:any' : 'reports:delete:any';
+            if (!req.permissions.has(requiredPermission)) {
+                return res.status(403).json({ message: `Access denied: Requires the '${requiredPermission}' permission.` });
+            }
+
+            const objectIds = ids.map(id => new ObjectId(id));
+
+            const userReportsCollection = req.db.collection('userReports');
+            const trashedQuery = { _id: { $in: objectIds }, deletedAt: { $exists: true } };
+            const affectedReports = await userReportsCollection.find(trashedQuery).toArray();
+            let result;
+
+            if (action === 'restore') {
+                result = await userReportsCollection.updateMany(trashedQuery, restoreUpdate({ by: req.userProfile.uid }));
+                await recordAudit(req, affectedReports.map(report => {
+                    const { deletedAt, deletedBy, deletedReason, ...after } = report;
+                    return { action: 'report.restore', targetType: 'userReport', targetId: report._id, before: report, after };
+                }));
+                await publishWebhookEvents(req.db, affectedReports.map(report => reportWebhookEvent('report.restored', report)));
+                res.status(200).json({
+                    message: `${result.modifiedCount} reports restored successfully.`,
+                    restoredCount: result.modifiedCount
+                });
+            } else if (action === 'permanent_delete') {
+                result = await userReportsCollection.deleteMany(trashedQuery);
+                await deleteEvidenceForReports(req.db, evidenceStorage, affectedReports);
+                await deleteReportVersions(req.db, affectedReports);
+                await recordAudit(req, affectedReports.map(report => (
+                    { action: 'report.delete', targetType: 'userReport', targetId: report._id, before: report }
+                )));
+                await publishWebhookEvents(req.db, affectedReports.map(report => reportWebhookEvent('report.deleted', report)));
+                res.status(200).json({
+                    message: `${result.deletedCount} reports permanently deleted.`,
+                    deletedCount: result.deletedCount
+                });
+            }
+        } catch (error) {
+            req.log.error('Error performing bulk action on trashed reports', { err: error });
+            res.status(500).json({ message: 'Server error while performing bulk action.' });
+        }
+    });
+
+    // Vercel cron target. Idempotent: each run purges whatever is past the
+    // retention period, in batches.
+    router.get('/api/cron/purge-trash', verifyCronSecret, ensureDbConnected, async (req, res) => {
+        try {
+            const purged = await purgeExpiredTrash(req.db, evidenceStorage, retentionDays);
+            if (purged.length > 0) {
+                await recordAudit(req, purged.map(report => (
+                    { action: 'report.purge', targetType: 'userReport', targetId: report._id, before: report }
+                )));
+                await publishWebhookEvents(req.db, purged.map(report => reportWebhookEvent('report.deleted', report)));
+            }
+            req.log.info(`Purged ${purged.length} reports trashed more than ${retentionDays} days ago.`);
+            res.status(200).json({ message: `${purged.length} reports purged from trash.`, purgedCount: purged.length, retentionDays });
+        } catch (error) {
+            req.log.error('Error purging expired trash', { err: error });
+            res.status(500).json({ message: 'Server error while purging trash.' });
+        }
+    });
+
+    return router;
+}
+
+module.exports = { createTrashRouter };
@@ -0,0 +1,481 @@
+const express = require("express");
+const { recordAudit } = require('../services/audit');
+const { LIST_QUERY, fetchPaginatedData } = require('../services/pagination');
+const { ROLE_NAME_REGEX, findRole } = require('../services/permissions');
+const { updateUserAccess, setFirebaseDisabled, trashUserAccount, reconcileAuthUsers } = require('../services/authSync');
+const { publishWebhookEvents, reportWebhookEvent } = require('../services/webhooks');
+const { TRASH_REASON_MAX_LENGTH, restoreUpdate, withRetention } = require('../services/trash');
+const { REPORT_ERASURE_POLICIES, validateErasureOptions, eraseUser } = require('../services/userErasure');
+const { FB_NAME_MAX_LENGTH, publicProfileView } = require('../services/profile');
+const { SEARCH_MAX_LENGTH } = require('../services/search');
+const { validateRequest } = require('../middleware/validate');
+
+const USER_ERASURE_BATCH_SIZE = 20;
+const USER_STATUSES = ['approved', 'pending', 'rejected', 'deactivated'];
+
+// Firebase UIDs are at most 128 characters.
+const UID_PARAMS = { uid: { type: 'string', required: true, maxLength: 128 } };
+// The UID comes from the caller's token; a `uid` in the body must match it.
+const USER_REGISTRATION_SCHEMA = {
+    body: {
+        uid: { type: 'string', maxLength: 128 },
+        email: { type: 'email', required: true },
+        fbName: { type: 'string', required: true, maxLength: FB_NAME_MAX_LENGTH }
+    }
+};
+const USER_STATUS_SCHEMA = {
+    params: UID_PARAMS,
+    body: { status: { type: 'string', required: true, enum: USER_STATUSES } }
+};
+const USER_ROLE_SCHEMA = {
+    params: UID_PARAMS,
+    body: { role: { type: 'string', required: true, pattern: ROLE_NAME_REGEX, patternMessage: 'must be a role name' } }
+};
+const USER_SCHEMA = { params: UID_PARAMS };
+// `role` takes a comma-separated list.
+const USER_LIST_SCHEMA = {
+    query: {
+        ...LIST_QUERY,
+        search: { type: 'string', maxLength: SEARCH_MAX_LENGTH },
+        status: { type: 'string', enum: USER_STATUSES },
+        role: { type: 'string', maxLength: 200 }
+    }
+};
+const USER_TRASH_SCHEMA = {
+    params: UID_PARAMS,
+    body: { reason: { type: 'string', maxLength: TRASH_REASON_MAX_LENGTH, multiline: true } }
+};
+const DELETION_REJECTION_SCHEMA = {
+    params: UID_PARAMS,
+    body: { note: { type: 'string', maxLength: 1000, multiline: true } }
+};
+// validateErasureOptions() checks that reassignTo goes with 'reassign'.
+const USER_ERASURE_SCHEMA = {
+    params: UID_PARAMS,
+    body: {
+        reports: { type: 'string', required: true, enum: REPORT_ERASURE_POLICIES },
+        reassignTo: { type: 'string', maxLength: 128 }
+    }
+};
+
+// Only accounts that can assign roles may remove or restore privileged accounts.
+function canManagePrivilegedAccount(req, targetUser) {
+    return targetUser.role === 'user' || req.permissions.has('users:role:set');
+}
+
+function createUsersRouter({ config, middleware, auth, evidenceStorage, notifier }) {
+    const router = express.Router();
+    const { ensureDbConnected, verifyAuthToken, identifyCaller, requirePermission, verifyCronSecret } = middleware;
+    const erasure = config.userErasure;
+
+    router.post('/api/users', ensureDbConnected, verifyAuthToken, validateRequest(USER_REGISTRATION_SCHEMA), async (req, res) => {
+        try {
+            const usersCollection = req.db.collection('users');
+
+            const uid = req.user.uid;
+            const { email, fbName } = req.body;
+            if (req.body.uid !== undefined && req.body.uid !== uid) {
+                return res.status(403).json({ message: 'Access denied: You can only register your own account.' });
+            }
+
+            const existingUser = await usersCollection.findOne({ uid });
+            if (existingUser) {
+                return res.status(200).json({
+                    message: 'User profile already exists for this UID.',
+                    userProfile: existingUser
+                });
+            }
+
+            const newUserProfile = {
+                uid: uid,
+                email: email,
+                fbName: fbName,
+                status: 'pending',
+                role: 'user',
+                registrationDate: new Date()
+            };
+
+            const result = await usersCollection.insertOne(newUserProfile);
+            await notifier.notifyPermissionHolders(req.db, 'users:status:set', 'registration.pending', { uid, fbName, email });
+
+            res.status(201).json({
+                message: 'User profile created successfully! Awaiting admin approval.',
+                insertedId: result.insertedId,
+                userProfile: newUserProfile
+            });
+
+        } catch (error) {
+            req.log.error('Error saving new user profile to MongoDB', { err: error });
+            res.status(500).json({
+                message: 'Failed to save user profile. Please try again later.'
+            });
+        }
+    });
+
+    // GET /api/users/:uid - Get a single user profile by their Firebase UID.
+    // The account's owner and holders of 'users:read' get the full profile;
+    // everyone else only sees the public view of an approved account.
+    router.get('/api/users/:uid', ensureDbConnected, identifyCaller, validateRequest(USER_SCHEMA), async (req, res) => {
+        try {
+            const uid = req.params.uid;
+            const user = await req.db.collection('users').findOne({ uid });
+            const canReadUsers = req.permissions.has('users:read');
+
+            if (!user || (user.deletedAt && !canReadUsers)) {
+                return res.status(404).json({ message: 'User profile not found in database.' });
+            }
+            if (canReadUsers || req.user?.uid === uid) {
+                return res.status(200).json(user);
+            }
+            if (user.status !== 'approved') {
+                return res.status(404).json({ message: 'User profile not found in database.' });
+            }
+            res.status(200).json(publicProfileView(user));
+        } catch (error) {
+            req.log.error('Error fetching user profile by UID', { err: error });
+            res.status(500).json({ message: 'Server error while fetching user profile.' });
+        }
+    });
+
+    router.get('/api/users', ensureDbConnected, requirePermission('users:read'), validateRequest(USER_LIST_SCHEMA), async (req, res) => {
+        await fetchPaginatedData('users', {}, req, res);
+    });
+
+    router.patch('/api/users/:uid/status', ensureDbConnected, requirePermission('users:status:set'), validateRequest(USER_STATUS_SCHEMA), async (req, res) => {
+        try {
+            const uid = req.params.uid;
+            const { status } = req.body;
+
+            const targetUser = await req.db.collection('users').findOne({ uid });
+            if (!targetUser) {
+                return res.status(404).json({ message: 'User not found.' });
+            }
+            if (!canManagePrivilegedAccount(req, targetUser)) {
+                return res.status(403).json({ message: 'Access denied: Only users who can assign roles may change the status of privileged accounts.' });
+            }
+
+            const update = await updateUserAccess(req.db, auth, uid, { status });
+            if (!update) {
+                return res.status(404).json({ message: 'User not found.' });
+            }
+            if (update.error) {
+                return res.status(502).json({ message: update.error });
+            }
+            if (!update.changed) {
+                return res.status(200).json({ message: 'User status already set to this value. Firebase claims were re-synced.' });
+            }
+
+            await recordAudit(req, { action: 'user.status', targetType: 'user', targetId: uid, before: update.before, after: update.after });
+            await notifier.notifyUsers(req.db, [uid], `account.${status}`);
+            if (status === 'approved') {
+                await publishWebhookEvents(req.db, [{ event: 'user.approved', payload: { user: { uid, fbName: update.after.fbName, approvedAt: new Date() } } }]);
+            }
+
+            res.status(200).json({ message: `User status updated to '${status}' successfully.` });
+
+        } catch (error) {
+            req.log.error('Error updating user status', { err: error });
+            res.status(500).json({ message: 'Server error while updating user status.' });
+        }
+    });
+
+    router.patch('/api/users/:uid/role', ensureDbConnected, requirePermission('users:role:set'), validateRequest(USER_ROLE_SCHEMA), async (req, res) => {
+        try {
+            const uid = req.params.uid;
+            const { role } = req.body;
+
+            const roleDefinition = await findRole(req.db, role);
+            if (!roleDefinition) {
+                return res.status(400).json({ message: 'Invalid role provided. Must be a built-in or custom role.' });
+            }
+
+            if (req.userProfile.uid === uid && !roleDefinition.permissions.includes('users:role:set')) {
+                return res.status(400).json({ message: 'Cannot give your own account a role that can no longer assign roles.' });
+            }
+
+            const update = await updateUserAccess(req.db, auth, uid, { role });
+            if (!update) {
+                return res.status(404).json({ message: 'User not found.' });
+            }
+            if (update.error) {
+                return res.status(502).json({ message: update.error });
+            }
+            req.log.info(`Updated Firebase custom claims for user ${uid}: role = ${role}`);
+            if (!update.changed) {
+                return res.status(200).json({ message: 'User role already set to this value. Firebase claims were re-synced.' });
+            }
+
+            await recordAudit(req, { action: 'user.role', targetType: 'user', targetId: uid, before: update.before, after: update.after });
+            await notifier.notifyUsers(req.db, [uid], 'account.role', { role });
+
+            res.status(200).json({ message: `User role updated to '${role}' successfully.` });
+
+        } catch (error) {
+            req.log.error('Error updating user role', { err: error });
+            res.status(500).json({ message: 'Server error while updating user role.' });
+        }
+    });
+
+    // Accounts are trashed rather than deleted: the Firebase user is disabled and
+    // the profile kept, so the account can be restored until the grace period
+    // ends and the erase sweep removes it.
+    router.delete('/api/users/:uid', ensureDbConnected, requirePermission('users:delete'), validateRequest(USER_TRASH_SCHEMA), async (req, res) => {
+        try {
+            const usersCollection = req.db.collection('users');
+            const uidToDelete = req.params.uid;
+
+            if (req.userProfile.uid === uidToDelete) {
+                return res.status(400).json({ message: 'Cannot delete your own account via this interface.' });
+            }
+
+            const reason = req.body.reason ?? null;
+
+            const targetUser = await usersCollection.findOne({ uid: uidToDelete });
+            if (!targetUser) {
+                return res.status(404).json({ message: 'User profile not found in database.' });
+            }
+            if (!canManagePrivilegedAccount(req, targetUser)) {
+                return res.status(403).json({ message: 'Access denied: Only users who can assign roles may delete privileged accounts.' });
+            }
+            if (targetUser.deletedAt) {
+                return res.status(200).json({ message: 'User is already in trash.' });
+            }
+
+            let after;
+            try {
+                after = await trashUserAccount(req.db, auth, uidToDelete, { by: req.userProfile.uid, reason });
+            } catch (firebaseError) {
+                req.log.error(`Error disabling user ${uidToDelete} in Firebase Auth`, { err: firebaseError });
+                return res.status(500).json({ message: 'Failed to disable user in Firebase Authentication.' });
+            }
+
+            await recordAudit(req, { action: 'user.trash', targetType: 'user', targetId: uidToDelete, before: targetUser, after });
+
+            res.status(200).json({ message: `User ${uidToDelete} moved to trash. The account will be erased in ${erasure.graceDays} days unless it is restored.` });
+
+        } catch (error) {
+            req.log.error('Error deleting user', { err: error });
+            res.status(500).json({ message: 'Server error during user deletion.' });
+        }
+    });
+
+    // Deletion requests come from POST /api/me/deletionRequest. Confirming one
+    // trashes the account like DELETE /api/users/:uid would.
+    router.get('/api/admin/deletionRequests', ensureDbConnected, requirePermission('users:read'), validateRequest(USER_LIST_SCHEMA), async (req, res) => {
+        await fetchPaginatedData('users', { 'deletionRequest.status': 'pending' }, req, res);
+    });
+
+    router.post('/api/admin/deletionRequests/:uid/confirm', ensureDbConnected, requirePermission('users:delete'), validateRequest(USER_SCHEMA), async (req, res) => {
+        try {
+            const uid = req.params.uid;
+            const usersCollection = req.db.collection('users');
+
+            const user = await usersCollection.findOne({ uid, 'deletionRequest.status': 'pending', deletedAt: { $exists: false } });
+            if (!user) {
+                return res.status(404).json({ message: 'No pending deletion request for this user.' });
+            }
+            if (!canManagePrivilegedAccount(req, user)) {
+                return res.status(403).json({ message: 'Access denied: Only users who can assign roles may delete privileged accounts.' });
+            }
+
+            try {
+                await trashUserAccount(req.db, auth, uid, { by: req.userProfile.uid, reason: user.deletionRequest.reason || 'Deletion requested by the user.' });
+            } catch (firebaseError) {
+                req.log.error(`Error disabling user ${uid} in Firebase Auth`, { err: firebaseError });
+                return res.status(500).json({ message: 'Failed to disable user in Firebase Authentication.' });
+            }
+            const after = await usersCollection.findOneAndUpdate(
+                { uid },
+                { $set: { 'deletionRequest.status': 'confirmed', 'deletionRequest.decidedBy': req.userProfile.uid, 'deletionRequest.decidedAt': new Date() } },
+                { returnDocument: 'after' }
+            );
+
+            await recordAudit(req, { action: 'user.trash', targetType: 'user', targetId: uid, before: user, after });
+
+            // Trashed accounts get no further notifications, so this one is
+            // delivered to the profile directly.
+            await notifier.notifyProfiles(req.db, [after], 'account.deletion_confirmed', { graceDays: erasure.graceDays });
+
+            res.status(200).json({ message: `Deletion confirmed. User ${uid} moved to trash and will be erased in ${erasure.graceDays} days.` });
+        } catch (error) {
+            req.log.error('Error confirming deletion request', { err: error });
+            res.status(500).json({ message: 'Server error while confirming deletion request.' });
+        }
+    });
+
+    router.post('/api/admin/deletionRequests/:uid/reject', ensureDbConnected, requirePermission('users:delete'), validateRequest(DELETION_REJECTION_SCHEMA), async (req, res) => {
+        try {
+            const uid = req.params.uid;
+            const { note } = req.body;
+
+            const after = await req.db.collection('users').findOneAndUpdate(
+                { uid, 'deletionRequest.status': 'pending' },
+                { $set: { 'deletionRequest.status': 'rejected', 'deletionRequest.note': note || null, 'deletionRequest.decidedBy': req.userProfile.uid, 'deletionRequest.decidedAt': new Date() } },
+                { returnDocument: 'after' }
+            );
+            if (!after) {
+                return res.status(404).json({ message: 'No pending deletion request for this user.' });
+            }
+
+            await recordAudit(req, { action: 'user.deletion_request.reject', targetType: 'user', targetId: uid, after: after.deletionRequest });
+            await notifier.notifyUsers(req.db, [uid], 'account.deletion_rejected', { note: note || '' });
+
+            res.status(200).json({ message: 'Deletion request rejected.' });
+        } catch (error) {
+            req.log.error('Error rejecting deletion request', { err: error });
+            res.status(500).json({ message: 'Server error while rejecting deletion request.' });
+        }
+    });
+
+    router.get('/api/trashedUsers', ensureDbConnected, requirePermission('users:read'), validateRequest(USER_LIST_SCHEMA), async (req, res) => {
+        const now = new Date();
+        await fetchPaginatedData('users', { deletedAt: { $exists: true } }, req, res, true, {
+            mapItem: user => withRetention(user, erasure.graceDays, now)
+        });
+    });
+
+    router.patch('/api/trashedUsers/:uid/restore', ensureDbConnected, requirePermission('users:restore'), validateRequest(USER_SCHEMA), async (req, res) => {
+        try {
+            const usersCollection = req.db.collection('users');
+            const uid = req.params.uid;
+
+            const before = await usersCollection.findOne({ uid, deletedAt: { $exists: true } });
+            if (!before) {
+                return res.status(404).json({ message: 'Trashed user not found or already restored.' });
+            }
+            if (!canManagePrivilegedAccount(req, before)) {
+                return res.status(403).json({ message: 'Access denied: Only users who can assign roles may restore privileged accounts.' });
+            }
+
+            // Deactivated accounts stay disabled in Firebase after a restore.
+            if (before.status !== 'deactivated') {
+                try {
+                    await setFirebaseDisabled(auth, uid, false);
+                } catch (firebaseError) {
+                    req.log.error(`Error enabling user ${uid} in Firebase Auth`, { err: firebaseError });
+                    return res.status(500).json({ message: 'Failed to enable user in Firebase Authentication.' });
+                }
+            }
+
+            const after = await usersCollection.findOneAndUpdate(
+                { uid, deletedAt: { $exists: true } },
+                restoreUpdate({ by: req.userProfile.uid }),
+                { returnDocument: 'after' }
+            );
+
+            await recordAudit(req, { action: 'user.restore', targetType: 'user', targetId: uid, before, after });
+
+            res.status(200).json({ message: 'User restored successfully.' });
+        } catch (error) {
+            req.log.error('Error restoring trashed user', { err: error });
+            res.status(500).json({ message: 'Server error while restoring trashed user.' });
+        }
+    });
+
+    // Erasure has to say what happens to the user's reports: `reports` is
+    // 'reassign' (with `reassignTo`), 'anonymize' or 'cascade'.
+    router.delete('/api/trashedUsers/:uid/permanent', ensureDbConnected, requirePermission('users:erase'), validateRequest(USER_ERASURE_SCHEMA), async (req, res) => {
+        try {
+            const uid = req.params.uid;
+            const { reports, reassignTo } = req.body;
+
+            const user = await req.db.collection('users').findOne({ uid, deletedAt: { $exists: true } });
+            if (!user) {
+                return res.status(404).json({ message: 'Trashed user not found. Move the account to trash first.' });
+            }
+
+            const options = await validateErasureOptions(req.db, uid, { reports, reassignTo });
+            if (options.error) {
+                return res.status(400).json({ code: options.code, message: options.error });
+            }
+
+            const result = await eraseUser(req.db, auth, evidenceStorage, user, { reports, reassignTo: options.reassignTo });
+
+            await recordAudit(req, {
+                action: 'user.erase',
+                targetType: 'user',
+                targetId: uid,
+                before: user,
+                after: { reports, reassignTo: options.reassignTo?.uid ?? null, updatedReports: result.updatedCount, deletedReports: result.deleted.map(report => report._id) }
+            });
+            await publishWebhookEvents(req.db, result.deleted.map(report => reportWebhookEvent('report.deleted', report)));
+
+            res.status(200).json({
+                message: `User ${uid} permanently erased.`,
+                updatedReports: result.updatedCount,
+                deletedReports: result.deleted.length
+            });
+        } catch (error) {
+            req.log.error('Error erasing user', { err: error });
+            res.status(500).json({ message: 'Server error while erasing user.' });
+        }
+    });
+
+    // Vercel cron target: erases accounts whose grace period has ended, using
+    // the configured report policy. Safe to rerun.
+    router.get('/api/cron/erase-users', verifyCronSecret, ensureDbConnected, async (req, res) => {
+        try {
+            const cutoff = new Date(Date.now() - erasure.graceDays * 24 * 60 * 60 * 1000);
+            const due = await req.db.collection('users').find({ deletedAt: { $lte: cutoff } }).limit(USER_ERASURE_BATCH_SIZE).toArray();
+
+            let erasedCount = 0;
+            for (const user of due) {
+                try {
+                    const result = await eraseUser(req.db, auth, evidenceStorage, user, { reports: erasure.reportPolicy });
+                    await recordAudit(req, {
+                        action: 'user.erase',
+                        targetType: 'user',
+                        targetId: user.uid,
+                        before: user,
+                        after: { reports: erasure.reportPolicy, reassignTo: null, updatedReports: result.updatedCount, deletedReports: result.deleted.map(report => report._id) }
+                    });
+                    await publishWebhookEvents(req.db, result.deleted.map(report => reportWebhookEvent('report.deleted', report)));
+                    erasedCount += 1;
+                } catch (error) {
+                    req.log.error(`Failed to erase user ${user.uid}`, { err: error });
+                }
+            }
+
+            req.log.info(`Erased ${erasedCount} of ${due.length} users trashed more than ${erasure.graceDays} days ago.`);
+            res.status(200).json({ message: `${erasedCount} users erased.`, erasedCount, failedCount: due.length - erasedCount });
+        } catch (error) {
+            req.log.error('Error erasing expired users', { err: error });
+            res.status(500).json({ message: 'Server error while erasing users.' });
+        }
+    });
+
+    // Reports drift between Firebase Auth and the users collection without
+    // changing anything.
+    router.get('/api/admin/auth/reconcile', ensureDbConnected, requirePermission('users:reconcile'), async (req, res) => {
+        try {
+            const report = await reconcileAuthUsers(req.db, auth);
+            res.status(200).json(report);
+        } catch (error) {
+            req.log.error('Error reconciling Firebase Auth users', { err: error });
+            res.status(500).json({ message: 'Server error while reconciling users.' });
+        }
+    });
+
+    router.post('/api/admin/auth/reconcile', ensureDbConnected, requirePermission('users:reconcile'), async (req, res) => {
+        try {
+            const report = await reconcileAuthUsers(req.db, auth, { repair: true });
+            if (report.repaired > 0) {
+                await recordAudit(req, report.claimDrift.map(drift => ({
+                    action: 'user.claims.repair',
+                    targetType: 'user',
+                    targetId: drift.uid,
+                    before: drift.actual,
+                    after: drift.expected
+                })));
+            }
+            res.status(200).json(report);
+        } catch (error) {
+            req.log.error('Error repairing Firebase Auth claims', { err: error });
+            res.status(500).json({ message: 'Server error while repairing user claims.' });
+        }
+    });
+
+    return router;
+}
+
+module.exports = { createUsersRouter };
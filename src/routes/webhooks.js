@@ -0,0 +1,206 @@
+const express = require("express");
+const { ObjectId } = require("mongodb");
+const { recordAudit } = require('../services/audit');
+const { LIST_QUERY, fetchPaginatedData } = require('../services/pagination');
+const {
+    WEBHOOK_EVENTS,
+    generateWebhookSecret,
+    webhookEndpointFields,
+    dispatchWebhookDeliveries
+} = require('../services/webhooks');
+const { ID_PARAMS } = require('../services/validation');
+const { validateRequest } = require('../middleware/validate');
+
+const ENDPOINT_SCHEMA = { params: ID_PARAMS };
+const DELIVERIES_SCHEMA = { params: ID_PARAMS, query: LIST_QUERY };
+const DELIVERY_SCHEMA = { params: { deliveryId: ID_PARAMS.id } };
+
+// Endpoint documents without the signing secret, which is only ever returned
+// when it is created or rotated.
+function publicEndpointView({ secret, ...endpoint }) {
+    return endpoint;
+}
+
+function createWebhooksRouter({ config, middleware }) {
+    const router = express.Router();
+    const { ensureDbConnected, requirePermission, verifyCronSecret } = middleware;
+    const canManageWebhooks = requirePermission('webhooks:manage');
+    const endpointFields = webhookEndpointFields({ requireHttps: config.isProduction });
+    // New endpoints always start active.
+    const endpointCreateSchema = {
+        body: {
+            url: { ...endpointFields.url, required: true },
+            events: { ...endpointFields.events, required: true },
+            description: endpointFields.description
+        }
+    };
+    const endpointUpdateSchema = { params: ID_PARAMS, body: endpointFields };
+
+    router.get('/api/admin/webhooks', ensureDbConnected, canManageWebhooks, async (req, res) => {
+        try {
+            const endpoints = await req.db.collection('webhookEndpoints').find({}).sort({ createdAt: -1 }).toArray();
+            res.status(200).json({ data: endpoints.map(publicEndpointView), events: WEBHOOK_EVENTS });
+        } catch (error) {
+            req.log.error('Error listing webhook endpoints', { err: error });
+            res.status(500).json({ message: 'Server error while listing webhook endpoints.' });
+        }
+    });
+
+    router.post('/api/admin/webhooks', ensureDbConnected, canManageWebhooks, validateRequest(endpointCreateSchema), async (req, res) => {
+        try {
+            const { url, events, description } = req.body;
+
+            const now = new Date();
+            const endpoint = {
+                url,
+                events,
+                description: description || '',
+                secret: generateWebhookSecret(),
+                active: true,
+                createdBy: req.userProfile.uid,
+                createdAt: now,
+                updatedAt: now
+            };
+            const result = await req.db.collection('webhookEndpoints').insertOne(endpoint);
+
+            await recordAudit(req, { action: 'webhook.create', targetType: 'webhookEndpoint', targetId: result.insertedId, after: publicEndpointView(endpoint) });
+
+            res.status(201).json({
+                message: 'Webhook endpoint registered. Store the secret now; it will not be shown again.',
+                data: publicEndpointView(endpoint),
+                secret: endpoint.secret
+            });
+        } catch (error) {
+            req.log.error('Error creating webhook endpoint', { err: error });
+            res.status(500).json({ message: 'Server error while creating webhook endpoint.' });
+        }
+    });
+
+    router.patch('/api/admin/webhooks/:id', ensureDbConnected, canManageWebhooks, validateRequest(endpointUpdateSchema), async (req, res) => {
+        try {
+            const changes = req.body;
+            if (Object.keys(changes).length === 0) {
+                return res.status(400).json({ message: 'Nothing to update. Provide url, events, description or active.' });
+            }
+
+            const endpointsCollection = req.db.collection('webhookEndpoints');
+            const before = await endpointsCollection.findOne({ _id: new ObjectId(req.params.id) });
+            if (!before) {
+                return res.status(404).json({ message: 'Webhook endpoint not found.' });
+            }
+            const after = await endpointsCollection.findOneAndUpdate(
+                { _id: before._id },
+                { $set: { ...changes, updatedAt: new Date() } },
+                { returnDocument: 'after' }
+            );
+
+            await recordAudit(req, { action: 'webhook.update', targetType: 'webhookEndpoint', targetId: before._id, before: publicEndpointView(before), after: publicEndpointView(after) });
+
+            res.status(200).json({ message: 'Webhook endpoint updated.', data: publicEndpointView(after) });
+        } catch (error) {
+            req.log.error('Error updating webhook endpoint', { err: error });
+            res.status(500).json({ message: 'Server error while updating webhook endpoint.' });
+        }
+    });
+
+    router.post('/api/admin/webhooks/:id/rotate-secret', ensureDbConnected, canManageWebhooks, validateRequest(ENDPOINT_SCHEMA), async (req, res) => {
+        try {
+            const secret = generateWebhookSecret();
+            const after = await req.db.collection('webhookEndpoints').findOneAndUpdate(
+                { _id: new ObjectId(req.params.id) },
+                { $set: { secret, updatedAt: new Date() } },
+                { returnDocument: 'after' }
+            );
+            if (!after) {
+                return res.status(404).json({ message: 'Webhook endpoint not found.' });
+            }
+
+            await recordAudit(req, { action: 'webhook.rotate_secret', targetType: 'webhookEndpoint', targetId: after._id });
+
+            res.status(200).json({ message: 'Secret rotated. Store it now; it will not be shown again.', secret });
+        } catch (error) {
+            req.log.error('Error rotating webhook secret', { err: error });
+            res.status(500).json({ message: 'Server error while rotating webhook secret.' });
+        }
+    });
+
+    // Pending deliveries for a deleted endpoint are marked failed; the log is kept.
+    router.delete('/api/admin/webhooks/:id', ensureDbConnected, canManageWebhooks, validateRequest(ENDPOINT_SCHEMA), async (req, res) => {
+        try {
+            const before = await req.db.collection('webhookEndpoints').findOneAndDelete({ _id: new ObjectId(req.params.id) });
+            if (!before) {
+                return res.status(404).json({ message: 'Webhook endpoint not found.' });
+            }
+            await req.db.collection('webhookDeliveries').updateMany(
+                { endpointId: before._id, status: 'pending' },
+                { $set: { status: 'failed', lastError: 'Endpoint was deleted.' } }
+            );
+
+            await recordAudit(req, { action: 'webhook.delete', targetType: 'webhookEndpoint', targetId: before._id, before: publicEndpointView(before) });
+
+            res.status(200).json({ message: 'Webhook endpoint deleted.' });
+        } catch (error) {
+            req.log.error('Error deleting webhook endpoint', { err: error });
+            res.status(500).json({ message: 'Server error while deleting webhook endpoint.' });
+        }
+    });
+
+    router.get('/api/admin/webhooks/:id/deliveries', ensureDbConnected, canManageWebhooks, validateRequest(DELIVERIES_SCHEMA), async (req, res) => {
+        await fetchPaginatedData('webhookDeliveries', { endpointId: new ObjectId(req.params.id) }, req, res);
+    });
+
+    // Sends a past delivery's payload again as a new delivery, leaving the
+    // original entry in the log untouched.
+    router.post('/api/admin/webhooks/deliveries/:deliveryId/replay', ensureDbConnected, canManageWebhooks, validateRequest(DELIVERY_SCHEMA), async (req, res) => {
+        try {
+            const deliveriesCollection = req.db.collection('webhookDeliveries');
+            const original = await deliveriesCollection.findOne({ _id: new ObjectId(req.params.deliveryId) });
+            if (!original) {
+                return res.status(404).json({ message: 'Webhook delivery not found.' });
+            }
+            const endpoint = await req.db.collection('webhookEndpoints').findOne({ _id: original.endpointId });
+            if (!endpoint || !endpoint.active) {
+                return res.status(409).json({ message: 'The endpoint for this delivery was deleted or is disabled.' });
+            }
+
+            const now = new Date();
+            const replay = {
+                _id: new ObjectId(),
+                endpointId: original.endpointId,
+                event: original.event,
+                payload: original.payload,
+                status: 'pending',
+                attempts: 0,
+                nextAttemptAt: now,
+                attemptLog: [],
+                replayOf: original._id,
+                createdAt: now
+            };
+            await deliveriesCollection.insertOne(replay);
+            await dispatchWebhookDeliveries(req.db, { ids: [replay._id], limit: 1 });
+
+            await recordAudit(req, { action: 'webhook.replay', targetType: 'webhookDelivery', targetId: original._id, after: { replayId: replay._id } });
+
+            const result = await deliveriesCollection.findOne({ _id: replay._id });
+            res.status(201).json({ message: `Delivery replayed (${result.status}).`, data: result });
+        } catch (error) {
+            req.log.error('Error replaying webhook delivery', { err: error });
+            res.status(500).json({ message: 'Server error while replaying webhook delivery.' });
+        }
+    });
+
+    router.get('/api/cron/webhooks', verifyCronSecret, ensureDbConnected, async (req, res) => {
+        try {
+            const result = await dispatchWebhookDeliveries(req.db);
+            req.log.info(`Webhook sweep attempted ${result.attempted} deliveries (${result.delivered} delivered, ${result.failed} failed).`);
+            res.status(200).json(result);
+        } catch (error) {
+            req.log.error('Error dispatching webhook deliveries', { err: error });
+            res.status(500).json({ message: 'Server error while dispatching webhooks.' });
+        }
+    });
+
+    return router;
+}
+
+module.exports = { createWebhooksRouter };
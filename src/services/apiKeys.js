@@ -0,0 +1,100 @@
+const crypto = require('crypto');
+
+// What a key may be used for. Keys never act as a user, so they only unlock
+// read-only routes that don't depend on who is calling.
+const API_KEY_SCOPES = {
+    'reports:read': 'List published, suspended and banned reports.',
+    'reports:lookup': 'Check whether a phone number or Facebook link is banned or suspended.'
+};
+
+const API_KEY_PREFIX = 'amk_';
+const API_KEY_NAME_MAX_LENGTH = 100;
+const API_KEY_MAX_RATE_LIMIT = 10000;
+
+// Fields admins set on a key, as a validation shape for route schemas.
+// expiresAt: null means the key never expires.
+const API_KEY_FIELDS = {
+    name: { type: 'string', minLength: 1, maxLength: API_KEY_NAME_MAX_LENGTH },
+    scopes: { type: 'array', minItems: 1, unique: true, items: { type: 'string', required: true, enum: Object.keys(API_KEY_SCOPES) } },
+    expiresAt: { type: 'date', nullable: true },
+    expiresInDays: { type: 'integer', min: 1 },
+    rateLimitPerMinute: { type: 'integer', min: 1, max: API_KEY_MAX_RATE_LIMIT }
+};
+
+// "amk_<id>_<secret>". The id part is stored in the clear so admins can tell
+// keys apart in the list; only a hash of the full key is kept.
+function generateApiKey() {
+    const keyId = crypto.randomBytes(4).toString('hex');
+    return { key: `${API_KEY_PREFIX}${keyId}_${crypto.randomBytes(24).toString('hex')}`, keyPrefix: `${API_KEY_PREFIX}${keyId}` };
+}
+
+function hashApiKey(key) {
+    return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+// Keys are sent as `X-API-Key`, or as a Bearer token next to Firebase ID
+// tokens; the prefix tells the two apart.
+function getApiKeyFromRequest(req) {
+    const header = req.headers['x-api-key'];
+    if (typeof header === 'string' && header) {
+        return header;
+    }
+    const bearer = req.headers.authorization?.split('Bearer ')[1];
+    return bearer && bearer.startsWith(API_KEY_PREFIX) ? bearer : null;
+}
+
+// Accepts an absolute expiresAt or a relative expiresInDays; null means the
+// key never expires.
+function parseApiKeyExpiry({ expiresAt, expiresInDays }, now = new Date()) {
+    if (expiresAt !== undefined && expiresInDays !== undefined) {
+        return { error: 'Provide either expiresAt or expiresInDays, not both.' };
+    }
+    if (expiresInDays !== undefined) {
+        const days = Number(expiresInDays);
+        if (!Number.isFinite(days) || days <= 0) {
+            return { error: 'expiresInDays must be a positive number.' };
+        }
+        return { expiresAt: new Date(now.getTime() + days * 24 * 60 * 60 * 1000) };
+    }
+    if (expiresAt !== undefined && expiresAt !== null) {
+        const date = new Date(expiresAt);
+        if (isNaN(date)) {
+            return { error: 'expiresAt must be a valid date.' };
+        }
+        if (date <= now) {
+            return { error: 'expiresAt must be in the future.' };
+        }
+        return { expiresAt: date };
+    }
+    return { expiresAt: null };
+}
+
+// Resolves a presented key to its stored document, or an error message when
+// it is unknown, revoked or expired.
+async function findActiveApiKey(db, key, now = new Date()) {
+    const apiKey = await db.collection('apiKeys').findOne({ keyHash: hashApiKey(key) });
+    if (!apiKey || apiKey.revokedAt) {
+        return { error: 'Unauthorized: Invalid API key.' };
+    }
+    if (apiKey.expiresAt && apiKey.expiresAt <= now) {
+        return { error: 'Unauthorized: API key expired.' };
+    }
+    return { apiKey };
+}
+
+// Key documents without the hash.
+function publicApiKeyView({ keyHash, ...apiKey }) {
+    return apiKey;
+}
+
+module.exports = {
+    API_KEY_SCOPES,
+    API_KEY_PREFIX,
+    API_KEY_FIELDS,
+    generateApiKey,
+    hashApiKey,
+    getApiKeyFromRequest,
+    parseApiKeyExpiry,
+    findActiveApiKey,
+    publicApiKeyView
+};
@@ -0,0 +1,41 @@
+const { logger } = require('./logger');
+
+// Express resolves `req.ip` from X-Forwarded-For only through the proxies the
+// "trust proxy" setting names (see config.trustProxy), so clients cannot pick
+// their own address by sending the header themselves.
+function getClientIp(req) {
+    return req.ip || req.socket?.remoteAddress || null;
+}
+
+// Audit entries are append-only: this is the only place that writes to 'auditLog'.
+// A failed audit write is logged but never fails the action it describes.
+async function recordAudit(req, entries) {
+    const list = Array.isArray(entries) ? entries : [entries];
+    if (list.length === 0) {
+        return;
+    }
+
+    const actor = req.userProfile || req.user || {};
+    const ip = getClientIp(req);
+    const timestamp = new Date();
+
+    const docs = list.map(({ action, targetType, targetId, before = null, after = null }) => ({
+        actorUid: actor.uid || null,
+        actorRole: actor.role || null,
+        action,
+        targetType,
+        targetId: targetId != null ? String(targetId) : null,
+        before,
+        after,
+        ip,
+        timestamp
+    }));
+
+    try {
+        await req.db.collection('auditLog').insertMany(docs);
+    } catch (error) {
+        logger.error(`Failed to write audit log entries for action '${docs[0].action}'`, { err: error });
+    }
+}
+
+module.exports = { getClientIp, recordAudit };
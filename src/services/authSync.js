@@ -0,0 +1,191 @@
+const { findRole } = require('./permissions');
+const { trashUpdate } = require('./trash');
+const { logger } = require('./logger');
+
+// Firebase custom claims mirror the Mongo profile so clients can route on them.
+// Mongo stays the source of truth: the API re-reads the profile on every
+// permission check, and claims are only ever written from a profile.
+function claimsFor(userProfile) {
+    return { role: userProfile.role, status: userProfile.status };
+}
+
+function isUserNotFound(error) {
+    return error && error.code === 'auth/user-not-found';
+}
+
+// Revoking refresh tokens also makes verifyIdToken(token, true) reject every
+// ID token issued before now, so the user is signed out everywhere.
+async function revokeSessions(auth, uid) {
+    try {
+        await auth.revokeRefreshTokens(uid);
+        logger.info(`Revoked refresh tokens for user ${uid}.`);
+    } catch (error) {
+        if (!isUserNotFound(error)) throw error;
+    }
+}
+
+// Disabled Firebase users can't sign in or refresh their tokens. Used for
+// deactivated and trashed accounts, which keep their Firebase user so they can
+// be brought back.
+async function setFirebaseDisabled(auth, uid, disabled) {
+    try {
+        await auth.updateUser(uid, { disabled });
+    } catch (error) {
+        if (!isUserNotFound(error)) throw error;
+    }
+}
+
+// True when `after` can do less than `before`: a role that drops permissions,
+// or an account that is no longer approved.
+async function losesAccess(db, before, after) {
+    if (before.status === 'approved' && after.status !== 'approved') {
+        return true;
+    }
+    if (before.role === after.role) {
+        return false;
+    }
+    const [beforeRole, afterRole] = await Promise.all([findRole(db, before.role), findRole(db, after.role)]);
+    const remaining = new Set(afterRole ? afterRole.permissions : []);
+    return (beforeRole ? beforeRole.permissions : []).some(permission => !remaining.has(permission));
+}
+
+// Applies `changes` (role and/or status) to a user in Firebase first and Mongo
+// second. If Firebase refuses, nothing is saved; if Mongo fails afterwards,
+// the previous claims are put back. Claims are written even when Mongo already
+// holds the values, which repairs earlier drift. Moving into or out of
+// 'deactivated' also disables or re-enables the Firebase user.
+// Resolves to null when the profile doesn't exist, or to { error } when
+// Firebase rejected the claims.
+async function updateUserAccess(db, auth, uid, changes) {
+    const usersCollection = db.collection('users');
+    const before = await usersCollection.findOne({ uid });
+    if (!before) {
+        return null;
+    }
+    const after = { ...before, ...changes };
+    const wasDeactivated = before.status === 'deactivated';
+    const isDeactivated = after.status === 'deactivated';
+
+    try {
+        await auth.setCustomUserClaims(uid, claimsFor(after));
+    } catch (error) {
+        logger.error(`Failed to set Firebase claims for user ${uid}`, { err: error });
+        return {
+            error: isUserNotFound(error)
+                ? 'User has no Firebase Authentication account. Run the auth reconcile to review it.'
+                : 'Failed to update Firebase custom claims. No changes were saved.'
+        };
+    }
+
+    // Trashed accounts stay disabled whatever their status.
+    if (wasDeactivated !== isDeactivated && !before.deletedAt) {
+        try {
+            await setFirebaseDisabled(auth, uid, isDeactivated);
+        } catch (error) {
+            logger.error(`Failed to ${isDeactivated ? 'disable' : 'enable'} Firebase user ${uid}`, { err: error });
+            try {
+                await auth.setCustomUserClaims(uid, claimsFor(before));
+            } catch (rollbackError) {
+                logger.error(`Failed to restore Firebase claims for user ${uid}`, { err: rollbackError });
+            }
+            return { error: `Failed to ${isDeactivated ? 'disable' : 'enable'} the Firebase account. No changes were saved.` };
+        }
+    }
+
+    let result;
+    try {
+        result = await usersCollection.updateOne({ uid }, { $set: changes });
+    } catch (error) {
+        try {
+            await auth.setCustomUserClaims(uid, claimsFor(before));
+        } catch (rollbackError) {
+            logger.error(`Failed to restore Firebase claims for user ${uid} after a database error`, { err: rollbackError });
+        }
+        if (wasDeactivated !== isDeactivated && !before.deletedAt) {
+            await setFirebaseDisabled(auth, uid, wasDeactivated).catch(rollbackError => {
+                logger.error(`Failed to restore Firebase disabled flag for user ${uid}`, { err: rollbackError });
+            });
+        }
+        throw error;
+    }
+
+    const revoked = await losesAccess(db, before, after);
+    if (revoked) {
+        await revokeSessions(auth, uid);
+    }
+
+    return { before, after, changed: result.modifiedCount > 0, revoked };
+}
+
+// Moves an account to trash: the Firebase user is disabled and signed out, and
+// the profile is kept so it can be restored. Resolves to the updated profile,
+// or null if it was already in trash.
+async function trashUserAccount(db, auth, uid, { by, reason = null }) {
+    await setFirebaseDisabled(auth, uid, true);
+    await revokeSessions(auth, uid);
+    return db.collection('users').findOneAndUpdate(
+        { uid, deletedAt: { $exists: false } },
+        trashUpdate({ by, reason }),
+        { returnDocument: 'after' }
+    );
+}
+
+async function listAllFirebaseUsers(auth) {
+    const users = [];
+    let pageToken;
+    do {
+        const page = await auth.listUsers(1000, pageToken);
+        users.push(...page.users);
+        pageToken = page.pageToken;
+    } while (pageToken);
+    return users;
+}
+
+// Compares every Firebase Auth account with the users collection. With
+// `repair`, stale claims are rewritten (and sessions revoked where the claims
+// granted more than the profile does). Accounts that exist on only one side are
+// reported but left alone: an admin has to decide whether to delete them.
+async function reconcileAuthUsers(db, auth, { repair = false } = {}) {
+    const firebaseUsers = await listAllFirebaseUsers(auth);
+    const firebaseByUid = new Map(firebaseUsers.map(user => [user.uid, user]));
+    const profiles = await db.collection('users').find({}, { projection: { uid: 1, email: 1, role: 1, status: 1 } }).toArray();
+    const profileUids = new Set(profiles.map(profile => profile.uid));
+
+    const report = {
+        checked: profiles.length,
+        missingInFirebase: [],
+        missingInDatabase: firebaseUsers
+            .filter(user => !profileUids.has(user.uid))
+            .map(user => ({ uid: user.uid, email: user.email || null })),
+        claimDrift: [],
+        repaired: 0
+    };
+
+    for (const profile of profiles) {
+        const firebaseUser = firebaseByUid.get(profile.uid);
+        if (!firebaseUser) {
+            report.missingInFirebase.push({ uid: profile.uid, email: profile.email || null });
+            continue;
+        }
+
+        const expected = claimsFor(profile);
+        const actual = firebaseUser.customClaims || {};
+        if (actual.role === expected.role && actual.status === expected.status) {
+            continue;
+        }
+
+        report.claimDrift.push({ uid: profile.uid, expected, actual: { role: actual.role ?? null, status: actual.status ?? null } });
+        if (repair) {
+            await auth.setCustomUserClaims(profile.uid, expected);
+            const claimed = { role: actual.role, status: actual.status };
+            if (await losesAccess(db, claimed, profile)) {
+                await revokeSessions(auth, profile.uid);
+            }
+            report.repaired += 1;
+        }
+    }
+
+    return report;
+}
+
+module.exports = { claimsFor, revokeSessions, setFirebaseDisabled, updateUserAccess, trashUserAccount, reconcileAuthUsers };
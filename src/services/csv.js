@@ -0,0 +1,96 @@
+const EXPORT_COLUMNS = ['_id', 'name', 'facebookLink', 'phone', 'status', 'suspendedUntil', 'reason', 'reviewStatus', 'incidentCount', 'reporterId', 'reporterName', 'timestamp', 'source'];
+// Spreadsheet apps execute cells starting with these characters as formulas.
+const FORMULA_GUARDED_COLUMNS = ['name', 'reason', 'reporterName', 'source'];
+const IMPORT_MAX_ROWS = 1000;
+
+function exportValue(report, column) {
+    const value = column === 'source' ? report.source?.name : report[column];
+    if (value === undefined || value === null) {
+        return '';
+    }
+    return value instanceof Date ? value.toISOString() : String(value);
+}
+
+function toCsvCell(value, column) {
+    let cell = value;
+    if (FORMULA_GUARDED_COLUMNS.includes(column) && /^[=+\-@\t\r]/.test(cell)) {
+        cell = `'${cell}`;
+    }
+    return /[",\r\n]/.test(cell) ? `"${cell.replace(/"/g, '""')}"` : cell;
+}
+
+function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let inQuotes = false;
+    const input = text.replace(/^\uFEFF/, '');
+
+    for (let i = 0; i < input.length; i++) {
+        const char = input[i];
+        if (inQuotes) {
+            if (char === '"' && input[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                cell += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            row.push(cell);
+            cell = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && input[i + 1] === '\n') i++;
+            row.push(cell);
+            rows.push(row);
+            row = [];
+            cell = '';
+        } else {
+            cell += char;
+        }
+    }
+    if (cell || row.length > 0) {
+        row.push(cell);
+        rows.push(row);
+    }
+
+    const nonEmpty = rows.filter(cells => cells.some(value => value.trim() !== ''));
+    if (nonEmpty.length === 0) {
+        return [];
+    }
+    const [header, ...records] = nonEmpty;
+    const columns = header.map(column => column.trim());
+    return records.map(cells => Object.fromEntries(columns.map((column, index) => [column, (cells[index] ?? '').trim()])));
+}
+
+// Accepts a JSON body ({ rows, source, dryRun }) or a raw CSV / NDJSON body with
+// source and dryRun in the query string.
+function parseImportRequest(req) {
+    const contentType = req.headers['content-type'] || '';
+    if (typeof req.body === 'string') {
+        const source = req.query.source;
+        const dryRun = req.query.dryRun === true;
+        if (contentType.startsWith('text/csv')) {
+            return { rows: parseCsv(req.body), source, dryRun };
+        }
+        const rows = [];
+        const lines = req.body.split(/\r?\n/);
+        for (let i = 0; i < lines.length; i++) {
+            if (!lines[i].trim()) continue;
+            try {
+                rows.push(JSON.parse(lines[i]));
+            } catch (error) {
+                return { error: `Invalid JSON on line ${i + 1}.` };
+            }
+        }
+        return { rows, source, dryRun };
+    }
+
+    const { rows, source, dryRun } = req.body || {};
+    return { rows, source, dryRun: dryRun === true || dryRun === 'true' };
+}
+
+module.exports = { EXPORT_COLUMNS, IMPORT_MAX_ROWS, exportValue, toCsvCell, parseCsv, parseImportRequest };
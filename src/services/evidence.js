@@ -0,0 +1,177 @@
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const path = require('path');
+const multer = require('multer');
+const { ObjectId } = require("mongodb");
+const { logger } = require('./logger');
+
+// Adapters share one contract: save(key, buffer, contentType), remove(key) and
+// getDownloadUrl(key, { contentType, expiresInSeconds, req }).
+
+const EVIDENCE_MIME_SIGNATURES = {
+    'image/jpeg': [Buffer.from([0xff, 0xd8, 0xff])],
+    'image/png': [Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])],
+    'image/gif': [Buffer.from('GIF87a'), Buffer.from('GIF89a')],
+    'image/webp': [Buffer.from('RIFF')],
+    'application/pdf': [Buffer.from('%PDF-')]
+};
+const EVIDENCE_MAX_FILES = 5;
+const EVIDENCE_URL_TTL_SECONDS = 10 * 60;
+const EVIDENCE_KEY_REGEX = /^evidence\/[a-f0-9]{24}\/[a-f0-9]{64}$/;
+
+// Local files are served by GET /api/evidence/local, which checks the HMAC
+// signature these URLs carry.
+function createLocalEvidenceStorage(rootDir, urlSecret = crypto.randomBytes(32).toString('hex')) {
+    const resolve = key => path.join(rootDir, key);
+    const sign = (key, contentType, expires) => crypto.createHmac('sha256', urlSecret).update(`${key}|${contentType}|${expires}`).digest('hex');
+
+    return {
+        async save(key, buffer) {
+            await fs.mkdir(path.dirname(resolve(key)), { recursive: true });
+            await fs.writeFile(resolve(key), buffer);
+        },
+        async remove(key) {
+            await fs.rm(resolve(key), { force: true });
+        },
+        async getDownloadUrl(key, { contentType, expiresInSeconds, req }) {
+            const expires = Date.now() + expiresInSeconds * 1000;
+            const params = new URLSearchParams({ key, type: contentType, expires: String(expires), sig: sign(key, contentType, expires) });
+            return `${req.protocol}://${req.get('host')}/api/evidence/local?${params}`;
+        },
+        verifySignature(key, contentType, expires, signature) {
+            const expected = sign(key, contentType, expires);
+            return signature.length === expected.length && crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected));
+        },
+        resolve
+    };
+}
+
+// `getBucket` returns a Firebase Admin storage bucket, e.g. admin.storage().bucket(name).
+function createFirebaseEvidenceStorage(getBucket) {
+    return {
+        async save(key, buffer, contentType) {
+            await getBucket().file(key).save(buffer, { contentType, resumable: false });
+        },
+        async remove(key) {
+            await getBucket().file(key).delete({ ignoreNotFound: true });
+        },
+        async getDownloadUrl(key, { expiresInSeconds }) {
+            const [url] = await getBucket().file(key).getSignedUrl({ action: 'read', expires: Date.now() + expiresInSeconds * 1000 });
+            return url;
+        }
+    };
+}
+
+function createEvidenceStorage(evidenceConfig, getFirebaseBucket) {
+    if (evidenceConfig.storage === 'firebase') {
+        return createFirebaseEvidenceStorage(getFirebaseBucket);
+    }
+    return createLocalEvidenceStorage(path.resolve(evidenceConfig.localDir), evidenceConfig.urlSecret);
+}
+
+// Runs multer only for multipart requests and turns its errors into 400s.
+function createEvidenceUploadMiddleware(maxBytes) {
+    const evidenceUpload = multer({
+        storage: multer.memoryStorage(),
+        limits: { fileSize: maxBytes, files: EVIDENCE_MAX_FILES }
+    }).array('evidence', EVIDENCE_MAX_FILES);
+
+    return function acceptEvidenceUploads(req, res, next) {
+        evidenceUpload(req, res, error => {
+            if (error instanceof multer.MulterError) {
+                const message = error.code === 'LIMIT_FILE_SIZE'
+                    ? `Evidence files must be at most ${Math.floor(maxBytes / (1024 * 1024))} MB.`
+                    : `Invalid evidence upload: ${error.message}`;
+                return res.status(400).json({ message });
+            }
+            if (error) {
+                return next(error);
+            }
+            next();
+        });
+    };
+}
+
+function validateEvidenceFiles(files = []) {
+    for (const file of files) {
+        const signatures = EVIDENCE_MIME_SIGNATURES[file.mimetype];
+        if (!signatures) {
+            return `Unsupported evidence type for "${file.originalname}". Allowed types: ${Object.keys(EVIDENCE_MIME_SIGNATURES).join(', ')}.`;
+        }
+        if (!signatures.some(signature => file.buffer.subarray(0, signature.length).equals(signature))) {
+            return `The contents of "${file.originalname}" do not match its declared type ${file.mimetype}.`;
+        }
+    }
+    return null;
+}
+
+// Stores files under a per-report, content-addressed key and skips any file whose
+// hash is already attached to the report.
+async function attachEvidence(db, evidenceStorage, report, files, { uploadedBy, incidentId = null }) {
+    const existingHashes = new Set((report.evidence || []).map(item => item.sha256));
+    const added = [];
+
+    for (const file of files) {
+        const sha256 = crypto.createHash('sha256').update(file.buffer).digest('hex');
+        if (existingHashes.has(sha256)) {
+            continue;
+        }
+        existingHashes.add(sha256);
+
+        const key = `evidence/${report._id}/${sha256}`;
+        await evidenceStorage.save(key, file.buffer, file.mimetype);
+        added.push({
+            _id: new ObjectId(),
+            key,
+            sha256,
+            mimeType: file.mimetype,
+            size: file.size,
+            originalName: file.originalname,
+            incidentId,
+            uploadedBy,
+            uploadedAt: new Date()
+        });
+    }
+
+    if (added.length > 0) {
+        await db.collection('userReports').updateOne({ _id: report._id }, { $push: { evidence: { $each: added } } });
+    }
+    return added;
+}
+
+// Evidence can be shared across reports after a merge, so a file is only removed
+// once no remaining report references its key.
+async function deleteEvidenceForReports(db, evidenceStorage, reports) {
+    const keys = [...new Set(reports.flatMap(report => (report.evidence || []).map(item => item.key)))];
+    if (keys.length === 0) {
+        return;
+    }
+
+    const stillReferenced = await db.collection('userReports').distinct('evidence.key', { 'evidence.key': { $in: keys } });
+    for (const key of keys.filter(key => !stillReferenced.includes(key))) {
+        try {
+            await evidenceStorage.remove(key);
+        } catch (error) {
+            logger.error(`Failed to delete evidence file ${key}`, { err: error });
+        }
+    }
+}
+
+function evidenceMetadata(item) {
+    const { key, ...metadata } = item;
+    return metadata;
+}
+
+module.exports = {
+    EVIDENCE_MIME_SIGNATURES,
+    EVIDENCE_URL_TTL_SECONDS,
+    EVIDENCE_KEY_REGEX,
+    createLocalEvidenceStorage,
+    createFirebaseEvidenceStorage,
+    createEvidenceStorage,
+    createEvidenceUploadMiddleware,
+    validateEvidenceFiles,
+    attachEvidence,
+    deleteEvidenceForReports,
+    evidenceMetadata
+};
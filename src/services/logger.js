@@ -0,0 +1,101 @@
+const LOG_LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+const REDACTED = '[REDACTED]';
+const MAX_DEPTH = 6;
+
+// Values under these keys never reach the logs, wherever they are nested.
+const SENSITIVE_KEY_REGEX = /email|phone|token|password|secret|authorization|cookie|api_?key|private_?key|keyhash|^key$/i;
+// Free text (messages, error messages) is scrubbed for the same data.
+const EMAIL_REGEX = /[^\s@"'<>]+@[^\s@"'<>]+\.[a-z]{2,}/gi;
+const PHONE_REGEX = /(?<![\w+])\+?\d[\d\s()-]{7,}\d(?!\w)/g;
+const BEARER_REGEX = /Bearer\s+[^\s"']+/gi;
+const API_KEY_REGEX = /amk_[a-f0-9]+_[a-f0-9]+/gi;
+
+function redactText(text) {
+    return text
+        .replace(BEARER_REGEX, `Bearer ${REDACTED}`)
+        .replace(API_KEY_REGEX, REDACTED)
+        .replace(EMAIL_REGEX, REDACTED)
+        .replace(PHONE_REGEX, REDACTED);
+}
+
+function serializeError(error) {
+    return {
+        name: error.name,
+        message: redactText(String(error.message)),
+        ...(error.code !== undefined ? { code: error.code } : {}),
+        ...(error.stack ? { stack: redactText(error.stack) } : {})
+    };
+}
+
+function redact(value, depth = 0) {
+    if (typeof value === 'string') return redactText(value);
+    if (value === null || typeof value !== 'object') return value;
+    if (value instanceof Error) return serializeError(value);
+    if (value instanceof Date) return value.toISOString();
+    if (typeof value.toHexString === 'function') return value.toHexString();
+    if (Buffer.isBuffer(value)) return `[Buffer ${value.length} bytes]`;
+    if (depth >= MAX_DEPTH) return '[Truncated]';
+    if (Array.isArray(value)) return value.map(item => redact(item, depth + 1));
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => (
+        [key, SENSITIVE_KEY_REGEX.test(key) ? REDACTED : redact(item, depth + 1)]
+    )));
+}
+
+// Errors go to stderr so platforms that split the streams still flag them.
+function writeJsonLine(entry) {
+    const stream = LOG_LEVELS[entry.level] >= LOG_LEVELS.error ? process.stderr : process.stdout;
+    stream.write(`${JSON.stringify(entry)}\n`);
+}
+
+// Structured logger: every entry is one JSON object with a timestamp, level and
+// message, plus the logger's bound fields and the call's own `fields` (an
+// `err` field is serialized with its stack). Everything is redacted before it
+// is written. `write` receives the finished entry, so tests can capture logs.
+function createLogger({ level = 'info', fields = {}, write = writeJsonLine } = {}) {
+    if (!LOG_LEVELS[level]) {
+        throw new Error(`Unknown log level "${level}". Use one of: ${Object.keys(LOG_LEVELS).join(', ')}.`);
+    }
+
+    function log(entryLevel, message, entryFields = {}) {
+        if (LOG_LEVELS[entryLevel] < LOG_LEVELS[level]) {
+            return;
+        }
+        write({
+            time: new Date().toISOString(),
+            level: entryLevel,
+            msg: redactText(message),
+            ...redact({ ...fields, ...entryFields })
+        });
+    }
+
+    return {
+        level,
+        debug: (message, entryFields) => log('debug', message, entryFields),
+        info: (message, entryFields) => log('info', message, entryFields),
+        warn: (message, entryFields) => log('warn', message, entryFields),
+        error: (message, entryFields) => log('error', message, entryFields),
+        // A logger that adds `extraFields` (e.g. the request ID) to every entry.
+        child: extraFields => createLogger({ level, fields: { ...fields, ...extraFields }, write })
+    };
+}
+
+// The process-wide logger, for code that runs outside a request. Inside a
+// request, use `req.log`, which also carries the request ID. It logs at 'info'
+// until the entry point applies the configured level with configureLogger().
+let processLogger = createLogger();
+const logger = {
+    get level() {
+        return processLogger.level;
+    },
+    debug: (message, entryFields) => processLogger.debug(message, entryFields),
+    info: (message, entryFields) => processLogger.info(message, entryFields),
+    warn: (message, entryFields) => processLogger.warn(message, entryFields),
+    error: (message, entryFields) => processLogger.error(message, entryFields),
+    child: extraFields => processLogger.child(extraFields)
+};
+
+function configureLogger({ level }) {
+    processLogger = createLogger({ level });
+}
+
+module.exports = { LOG_LEVELS, createLogger, configureLogger, redact, logger };
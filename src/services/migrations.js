@@ -0,0 +1,50 @@
+const { logger: rootLogger } = require('./logger');
+const MIGRATIONS = require('../migrations');
+
+// One document per applied migration, keyed by its version.
+const MIGRATIONS_COLLECTION = 'migrations';
+
+function checkMigrationList(migrations) {
+    migrations.forEach((migration, index) => {
+        if (!Number.isInteger(migration.version) || typeof migration.up !== 'function') {
+            throw new Error(`Migration at position ${index} needs an integer version and an up(db) function.`);
+        }
+        if (index > 0 && migration.version <= migrations[index - 1].version) {
+            throw new Error(`Migration versions must be strictly increasing; ${migration.version} follows ${migrations[index - 1].version}.`);
+        }
+    });
+}
+
+// Migrations in `migrations` that have no record in the database yet.
+async function pendingMigrations(db, migrations = MIGRATIONS) {
+    checkMigrationList(migrations);
+    const applied = await db.collection(MIGRATIONS_COLLECTION).find({}, { projection: { _id: 1 } }).toArray();
+    const appliedVersions = new Set(applied.map(record => record._id));
+    return migrations.filter(migration => !appliedVersions.has(migration.version));
+}
+
+// Applies pending migrations in order, recording each one as soon as it
+// succeeds, and stops at the first failure so later migrations never run on a
+// half-migrated database. Resolves to the versions applied.
+async function runMigrations(db, { migrations = MIGRATIONS, logger = rootLogger } = {}) {
+    const pending = await pendingMigrations(db, migrations);
+    const applied = [];
+
+    for (const migration of pending) {
+        const startedAt = Date.now();
+        logger.info(`Applying migration ${migration.version} (${migration.name})`);
+        await migration.up(db);
+        await db.collection(MIGRATIONS_COLLECTION).insertOne({
+            _id: migration.version,
+            name: migration.name,
+            appliedAt: new Date(),
+            durationMs: Date.now() - startedAt
+        });
+        applied.push(migration.version);
+    }
+
+    logger.info(applied.length > 0 ? `Applied ${applied.length} migration(s).` : 'Database is up to date.');
+    return applied;
+}
+
+module.exports = { MIGRATIONS_COLLECTION, pendingMigrations, runMigrations };
@@ -0,0 +1,73 @@
+// Set from config (DEFAULT_PHONE_COUNTRY_CODE) by createApp() and the migrate script.
+let defaultPhoneCountryCode = '880';
+const FACEBOOK_HOSTS = ['facebook.com', 'www.facebook.com', 'm.facebook.com', 'mbasic.facebook.com', 'web.facebook.com', 'fb.com', 'www.fb.com'];
+
+// Normalizes a phone number to an E.164-style string ("+8801712345678").
+// Local numbers with a trunk prefix ("01712...") get the default country code.
+function normalizePhone(phone) {
+    if (typeof phone !== 'string') {
+        return null;
+    }
+    const trimmed = phone.trim();
+    let digits = trimmed.replace(/\D/g, '');
+    if (!digits) {
+        return null;
+    }
+
+    if (trimmed.startsWith('+')) {
+        return `+${digits}`;
+    }
+    if (digits.startsWith('00')) {
+        return `+${digits.slice(2)}`;
+    }
+    if (digits.startsWith(defaultPhoneCountryCode)) {
+        return `+${digits}`;
+    }
+    if (digits.startsWith('0')) {
+        digits = digits.replace(/^0+/, '');
+    }
+    return `+${defaultPhoneCountryCode}${digits}`;
+}
+
+// Reduces the many shapes of a Facebook profile URL to one canonical form:
+// "https://facebook.com/<username>" or "https://facebook.com/profile.php?id=<id>".
+// Returns null for anything that is not a Facebook profile URL.
+function normalizeFacebookLink(link) {
+    if (typeof link !== 'string' || !link.trim()) {
+        return null;
+    }
+
+    let url;
+    try {
+        const raw = link.trim();
+        url = new URL(/^https?:\/\//i.test(raw) ? raw : `https://${raw}`);
+    } catch (error) {
+        return null;
+    }
+
+    if (!FACEBOOK_HOSTS.includes(url.hostname.toLowerCase())) {
+        return null;
+    }
+
+    const path = url.pathname.replace(/\/+$/, '').toLowerCase();
+    if (path === '/profile.php') {
+        const id = url.searchParams.get('id');
+        return id && /^\d+$/.test(id) ? `https://facebook.com/profile.php?id=${id}` : null;
+    }
+
+    const peopleMatch = path.match(/^\/people\/[^/]+\/(\d+)$/);
+    if (peopleMatch) {
+        return `https://facebook.com/profile.php?id=${peopleMatch[1]}`;
+    }
+
+    if (!path || path === '/') {
+        return null;
+    }
+    return `https://facebook.com${path}`;
+}
+
+function setDefaultPhoneCountryCode(code) {
+    defaultPhoneCountryCode = code;
+}
+
+module.exports = { setDefaultPhoneCountryCode, normalizePhone, normalizeFacebookLink };
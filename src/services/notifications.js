@@ -0,0 +1,213 @@
+const nodemailer = require('nodemailer');
+const { BUILT_IN_ROLES } = require('./permissions');
+const { logger: rootLogger } = require('./logger');
+
+// Message templates keyed by notification type. `{{field}}` placeholders are
+// filled from the notification data; missing fields render as empty strings.
+const NOTIFICATION_TEMPLATES = {
+    'registration.pending': {
+        subject: 'New account awaiting approval',
+        body: '{{fbName}} ({{email}}) registered and is waiting for an administrator to approve the account.'
+    },
+    'account.approved': {
+        subject: 'Your account has been approved',
+        body: 'Hi {{fbName}}, an administrator approved your account. You can now sign in and submit reports.'
+    },
+    'account.rejected': {
+        subject: 'Your account was not approved',
+        body: 'Hi {{fbName}}, an administrator rejected your account. Please contact support if you believe this is an error.'
+    },
+    'account.deactivated': {
+        subject: 'Your account has been deactivated',
+        body: 'Hi {{fbName}}, an administrator deactivated your account. Please contact support if you believe this is an error.'
+    },
+    'account.pending': {
+        subject: 'Your account is awaiting review',
+        body: 'Hi {{fbName}}, your account was moved back to pending and is waiting for an administrator to review it.'
+    },
+    'account.deletion_requested': {
+        subject: 'Account deletion requested',
+        body: '{{fbName}} ({{email}}) asked for their account to be deleted. {{reason}}'
+    },
+    'account.deletion_confirmed': {
+        subject: 'Your account is being deleted',
+        body: 'Hi {{fbName}}, an administrator confirmed your deletion request. Your account has been disabled and will be erased in {{graceDays}} days.'
+    },
+    'account.deletion_rejected': {
+        subject: 'Your account deletion request was declined',
+        body: 'Hi {{fbName}}, an administrator declined your account deletion request. {{note}}'
+    },
+    'account.role': {
+        subject: 'Your role has changed',
+        body: 'Hi {{fbName}}, your role is now "{{role}}". Sign in again to see the change.'
+    },
+    'report.submitted': {
+        subject: 'New report awaiting review',
+        body: '{{reporterName}} reported {{name}}. The report is waiting in the review queue.'
+    },
+    'report.verified': {
+        subject: 'Your report was published',
+        body: 'Your report about {{name}} was verified by a reviewer and is now public.'
+    },
+    'report.rejected': {
+        subject: 'Your report was not published',
+        body: 'Your report about {{name}} was rejected by a reviewer. {{note}}'
+    },
+    'report.trashed': {
+        subject: 'A report you filed was removed',
+        body: 'The report about {{name}} was moved to trash by {{actorName}}.'
+    }
+};
+
+function renderTemplate(type, data) {
+    const template = NOTIFICATION_TEMPLATES[type];
+    if (!template) {
+        throw new Error(`Unknown notification type '${type}'.`);
+    }
+    const fill = text => text.replace(/\{\{(\w+)\}\}/g, (match, field) => (data[field] == null ? '' : String(data[field]))).trim();
+    return { subject: fill(template.subject), body: fill(template.body) };
+}
+
+// Transports expose `deliver(notification, { db, recipient })`. `recipient`
+// is the user profile; `notification` is { type, subject, body, data }.
+
+// Stored for GET /api/me/notifications.
+function createInAppTransport() {
+    return {
+        name: 'inapp',
+        async deliver(notification, { db, recipient }) {
+            await db.collection('notifications').insertOne({
+                recipientUid: recipient.uid,
+                ...notification,
+                readAt: null,
+                createdAt: new Date()
+            });
+        }
+    };
+}
+
+function createSmtpTransport({ host, port, secure, user, password, from }) {
+    const transporter = nodemailer.createTransport({
+        host,
+        port,
+        secure,
+        auth: user ? { user, pass: password } : undefined
+    });
+    return {
+        name: 'smtp',
+        async deliver(notification, { recipient }) {
+            if (!recipient.email) return;
+            await transporter.sendMail({ from, to: recipient.email, subject: notification.subject, text: notification.body });
+        }
+    };
+}
+
+function createWebhookTransport(url) {
+    return {
+        name: 'webhook',
+        async deliver(notification, { recipient }) {
+            const response = await fetch(url, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ ...notification, recipient: { uid: recipient.uid, email: recipient.email || null } }),
+                signal: AbortSignal.timeout(5000)
+            });
+            if (!response.ok) {
+                throw new Error(`Notification webhook responded with ${response.status}.`);
+            }
+        }
+    };
+}
+
+// Keeps deliveries in memory; used by tests and local development.
+function createStubTransport() {
+    const sent = [];
+    return {
+        name: 'stub',
+        sent,
+        async deliver(notification, { recipient }) {
+            sent.push({ ...notification, recipientUid: recipient.uid });
+        }
+    };
+}
+
+function createNotificationTransports(notificationsConfig) {
+    return notificationsConfig.transports.map(name => {
+        switch (name) {
+            case 'inapp': return createInAppTransport();
+            case 'smtp': return createSmtpTransport(notificationsConfig.smtp);
+            case 'webhook': return createWebhookTransport(notificationsConfig.webhookUrl);
+            case 'stub': return createStubTransport();
+            default: throw new Error(`Unknown notification transport '${name}'.`);
+        }
+    });
+}
+
+// Returns the notify helpers routes use. Like audit writes, notifications never
+// fail the action that triggered them: delivery errors are logged and dropped.
+function createNotifier(transports, { logger = rootLogger } = {}) {
+    // Templates can address the recipient by name; explicit data wins, so
+    // 'registration.pending' still shows the registrant's name to admins.
+    async function send(db, recipients, type, data) {
+        await Promise.all(recipients.flatMap(recipient => transports.map(async transport => {
+            const notification = { type, ...renderTemplate(type, { fbName: recipient.fbName, ...data }), data };
+            try {
+                await transport.deliver(notification, { db, recipient });
+            } catch (error) {
+                logger.error(`Failed to deliver '${type}' notification to ${recipient.uid} via ${transport.name}`, { err: error });
+            }
+        })));
+    }
+
+    async function notifyUsers(db, uids, type, data = {}) {
+        try {
+            const unique = [...new Set(uids.filter(Boolean))];
+            if (unique.length === 0) return;
+            const recipients = await db.collection('users').find({ uid: { $in: unique }, deletedAt: { $exists: false } }).toArray();
+            await send(db, recipients, type, data);
+        } catch (error) {
+            logger.error(`Failed to send '${type}' notifications`, { err: error });
+        }
+    }
+
+    // For recipients that notifyUsers() would skip, such as accounts that were
+    // just moved to trash.
+    async function notifyProfiles(db, profiles, type, data = {}) {
+        try {
+            await send(db, profiles.filter(Boolean), type, data);
+        } catch (error) {
+            logger.error(`Failed to send '${type}' notifications`, { err: error });
+        }
+    }
+
+    // Notifies every approved user whose role grants `permission`.
+    async function notifyPermissionHolders(db, permission, type, data = {}) {
+        try {
+            const storedRoles = await db.collection('roles').find({}).toArray();
+            const storedNames = new Set(storedRoles.map(role => role._id));
+            const roles = [
+                ...storedRoles.filter(role => role.permissions.includes(permission)).map(role => role._id),
+                ...Object.entries(BUILT_IN_ROLES)
+                    .filter(([name, role]) => (name === 'superadmin' || !storedNames.has(name)) && role.permissions.includes(permission))
+                    .map(([name]) => name)
+            ];
+            const recipients = await db.collection('users').find({ role: { $in: roles }, status: 'approved', deletedAt: { $exists: false } }).toArray();
+            await send(db, recipients, type, data);
+        } catch (error) {
+            logger.error(`Failed to send '${type}' notifications`, { err: error });
+        }
+    }
+
+    return { notifyUsers, notifyProfiles, notifyPermissionHolders };
+}
+
+module.exports = {
+    NOTIFICATION_TEMPLATES,
+    renderTemplate,
+    createInAppTransport,
+    createSmtpTransport,
+    createWebhookTransport,
+    createStubTransport,
+    createNotificationTransports,
+    createNotifier
+};
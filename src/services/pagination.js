@@ -0,0 +1,276 @@
+const { ObjectId } = require("mongodb");
+const {
+    SEARCH_MAX_LENGTH,
+    SEARCH_MIN_SCORE,
+    escapeRegExp,
+    buildReportSearch,
+    withSearchMatch,
+    stripSearchFields
+} = require('./search');
+const { REPORT_STATUSES } = require('./reports');
+
+const MAX_PAGE_LIMIT = 100;
+const COUNT_ESTIMATE_CAP = 10000;
+
+// Query parameters every list accepts, as a validation shape for route
+// schemas. Routes add the filters their own list supports.
+const LIST_QUERY = {
+    limit: { type: 'integer', min: 1 },
+    page: { type: 'integer', min: 1 },
+    sort: { type: 'string', maxLength: 50 },
+    after: { type: 'string', maxLength: 1024 },
+    from: { type: 'date' },
+    to: { type: 'date' },
+    count: { type: 'string', enum: ['exact', 'estimated', 'none'] }
+};
+const REPORT_LIST_QUERY = {
+    ...LIST_QUERY,
+    search: { type: 'string', maxLength: SEARCH_MAX_LENGTH },
+    status: { type: 'string', enum: [...REPORT_STATUSES, 'expired'] },
+    reporter: { type: 'string', maxLength: 128 },
+    excludeSelfReports: { type: 'boolean' }
+};
+
+// Per-collection list settings: which fields clients may sort on, the default
+// sort, and the date field that `from`/`to` filter.
+const LIST_SETTINGS = {
+    userReports: { sortFields: ['timestamp', 'name', 'status'], defaultSort: '-timestamp', dateField: 'timestamp' },
+    users: { sortFields: ['registrationDate', 'fbName', 'status'], defaultSort: '-registrationDate', dateField: 'registrationDate' },
+    auditLog: { sortFields: ['timestamp'], defaultSort: '-timestamp', dateField: 'timestamp' },
+    appeals: { sortFields: ['timestamp', 'status'], defaultSort: '-timestamp', dateField: 'timestamp' },
+    notifications: { sortFields: ['createdAt'], defaultSort: '-createdAt', dateField: 'createdAt' },
+    webhookDeliveries: { sortFields: ['createdAt', 'lastAttemptAt'], defaultSort: '-createdAt', dateField: 'createdAt' }
+};
+
+// Cursors are opaque to clients: base64url JSON of the last row's sort value and _id.
+function encodeCursor(doc, field) {
+    const value = doc[field];
+    const payload = { v: value instanceof Date ? { $date: value.toISOString() } : (value ?? null), id: String(doc._id) };
+    return Buffer.from(JSON.stringify(payload)).toString('base64url');
+}
+
+// The decoded value goes straight into a filter, so only the shapes
+// encodeCursor() writes are accepted; anything else could smuggle query
+// operators such as $regex into a public list.
+function decodeCursorValue(v) {
+    if (v === null || typeof v === 'string' || (typeof v === 'number' && Number.isFinite(v))) {
+        return { value: v };
+    }
+    if (v && typeof v === 'object' && !Array.isArray(v) && Object.keys(v).length === 1 && typeof v.$date === 'string') {
+        const date = new Date(v.$date);
+        return isNaN(date) ? null : { value: date };
+    }
+    return null;
+}
+
+function decodeCursor(cursor) {
+    try {
+        const { v, id } = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+        if (typeof id !== 'string' || !ObjectId.isValid(id)) {
+            return null;
+        }
+        const decoded = decodeCursorValue(v);
+        return decoded && { value: decoded.value, id: new ObjectId(id) };
+    } catch (error) {
+        return null;
+    }
+}
+
+function parseListOptions(collectionName, query) {
+    const settings = LIST_SETTINGS[collectionName] || LIST_SETTINGS.userReports;
+
+    const requestedLimit = parseInt(query.limit) || 25;
+    const limit = Math.min(Math.max(requestedLimit, 1), MAX_PAGE_LIMIT);
+    const page = Math.max(parseInt(query.page) || 1, 1);
+
+    const sortParam = typeof query.sort === 'string' && query.sort ? query.sort : settings.defaultSort;
+    const sortField = sortParam.replace(/^-/, '');
+    if (!settings.sortFields.includes(sortField)) {
+        return { error: `Invalid sort field. Allowed: ${settings.sortFields.join(', ')}.` };
+    }
+    const sortDirection = sortParam.startsWith('-') ? -1 : 1;
+
+    let after = null;
+    if (query.after) {
+        after = decodeCursor(query.after);
+        if (!after) {
+            return { error: 'Invalid cursor.', code: 'invalid_cursor' };
+        }
+    }
+
+    const fromDate = query.from ? new Date(query.from) : null;
+    const toDate = query.to ? new Date(query.to) : null;
+    if ((fromDate && isNaN(fromDate)) || (toDate && isNaN(toDate))) {
+        return { error: 'Invalid date range. "from" and "to" must be valid dates.' };
+    }
+
+    const count = query.count || 'exact';
+    if (!['exact', 'estimated', 'none'].includes(count)) {
+        return { error: 'Invalid count mode. Must be "exact", "estimated" or "none".' };
+    }
+
+    return { limit, page, sortField, sortDirection, after, fromDate, toDate, dateField: settings.dateField, count };
+}
+
+async function countListItems(collection, queryConditions, mode) {
+    if (mode === 'none') {
+        return { totalItems: null, totalIsEstimate: false };
+    }
+    if (mode === 'estimated') {
+        const capped = await collection.countDocuments(queryConditions, { limit: COUNT_ESTIMATE_CAP });
+        return { totalItems: capped, totalIsEstimate: capped === COUNT_ESTIMATE_CAP };
+    }
+    return { totalItems: await collection.countDocuments(queryConditions), totalIsEstimate: false };
+}
+
+// Builds the filter shared by list and export endpoints. Report search is not
+// part of it: it needs the ranking pipeline from buildReportSearch().
+function buildListQuery(collectionName, baseQuery, query, options, includeDeleted) {
+    const searchTerm = getSearchTerm(query);
+    const statusFilter = query.status;
+    const roleFilter = query.role;
+
+    let queryConditions = { ...baseQuery };
+
+    if (collectionName === 'userReports' || collectionName === 'users') {
+        if (!includeDeleted) {
+            queryConditions.deletedAt = { $exists: false };
+        } else {
+            queryConditions.deletedAt = { $exists: true };
+        }
+    }
+
+    if (statusFilter) {
+        queryConditions.status = statusFilter;
+    }
+
+    if (roleFilter) {
+        const roles = roleFilter.split(',').map(r => r.trim());
+        if (roles.length > 1) {
+            queryConditions.role = { $in: roles };
+        } else {
+            queryConditions.role = roles[0];
+        }
+    }
+
+    if (options.fromDate || options.toDate) {
+        const dateRange = {};
+        if (options.fromDate) dateRange.$gte = options.fromDate;
+        if (options.toDate) dateRange.$lte = options.toDate;
+        queryConditions = { $and: [queryConditions, { [options.dateField]: dateRange }] };
+    }
+
+    if (collectionName === 'userReports' && query.reporter) {
+        const reporter = String(query.reporter);
+        queryConditions = { $and: [queryConditions, { $or: [{ reporterId: reporter }, { 'incidents.reporterId': reporter }] }] };
+    }
+
+    if (collectionName === 'userReports' && query.excludeSelfReports === true) {
+        queryConditions = { $and: [queryConditions, { $expr: { $ne: ["$name", "$reporterName"] } }] };
+    }
+
+    if (searchTerm && collectionName === 'users') {
+        const searchRegex = new RegExp(escapeRegExp(searchTerm), 'i');
+        queryConditions = { $and: [queryConditions, { $or: ['email', 'fbName'].map(field => ({ [field]: { $regex: searchRegex } })) }] };
+    }
+
+    return queryConditions;
+}
+
+function getSearchTerm(query) {
+    return typeof query.search === 'string' ? query.search.trim().slice(0, SEARCH_MAX_LENGTH) : '';
+}
+
+// `mapItem` lets a route add computed fields to each row before it is sent.
+// Lists that hide who filed a report pass `allowReporterFilter: false`, so the
+// `reporter` filter cannot reveal it either.
+async function fetchPaginatedData(collectionName, baseQuery = {}, req, res, includeDeleted = false, { mapItem = item => item, allowReporterFilter = true } = {}) {
+    try {
+        const options = parseListOptions(collectionName, req.query);
+        if (options.error) {
+            return res.status(400).json({ code: options.code, message: options.error });
+        }
+        if (req.query.reporter !== undefined && !allowReporterFilter) {
+            return res.status(403).json({ message: 'Access denied: Only moderators can filter reports by reporter.' });
+        }
+        const { limit, page, sortField, sortDirection, after } = options;
+        const skip = (page - 1) * limit;
+        const searchTerm = getSearchTerm(req.query);
+
+        const collection = req.db.collection(collectionName);
+        const queryConditions = buildListQuery(collectionName, baseQuery, req.query, options, includeDeleted);
+
+        if (collectionName === 'userReports' && searchTerm) {
+            if (after) {
+                return res.status(400).json({ message: 'Cursor pagination is not supported for search results. Use "page" instead.' });
+            }
+
+            const search = buildReportSearch(searchTerm);
+            const countStage = options.count === 'none' ? [] : [{ $count: 'count' }];
+            const [result] = await collection.aggregate([
+                { $match: { $and: [queryConditions, search.match] } },
+                { $addFields: { _searchScore: search.scoreExpression } },
+                { $match: { _searchScore: { $gte: SEARCH_MIN_SCORE } } },
+                { $sort: { _searchScore: -1, timestamp: -1, _id: -1 } },
+                {
+                    $facet: {
+                        data: [{ $skip: skip }, { $limit: limit }],
+                        total: countStage.length > 0 ? countStage : [{ $limit: 0 }]
+                    }
+                }
+            ]).toArray();
+
+            const totalCount = options.count === 'none' ? null : (result.total[0]?.count || 0);
+            return res.status(200).json({
+                data: result.data.map(report => mapItem(withSearchMatch(stripSearchFields(report), search))),
+                currentPage: page,
+                itemsPerPage: limit,
+                totalItems: totalCount,
+                totalPages: totalCount === null ? null : Math.ceil(totalCount / limit),
+                nextCursor: null
+            });
+        }
+
+        const { totalItems: totalCount, totalIsEstimate } = await countListItems(collection, queryConditions, options.count);
+
+        let pageConditions = queryConditions;
+        if (after) {
+            const comparison = sortDirection === -1 ? '$lt' : '$gt';
+            pageConditions = {
+                $and: [queryConditions, {
+                    $or: [
+                        { [sortField]: { [comparison]: after.value } },
+                        { [sortField]: after.value, _id: { [comparison]: after.id } }
+                    ]
+                }]
+            };
+        }
+
+        let cursor = collection.find(pageConditions)
+            .project(collectionName === 'userReports' ? { searchGrams: 0, phoneDigits: 0 } : {})
+            .sort({ [sortField]: sortDirection, _id: sortDirection });
+        if (!after) {
+            cursor = cursor.skip(skip);
+        }
+        const rows = await cursor.limit(limit + 1).toArray();
+
+        const hasMore = rows.length > limit;
+        const data = hasMore ? rows.slice(0, limit) : rows;
+
+        res.status(200).json({
+            data: data.map(mapItem),
+            currentPage: after ? null : page,
+            itemsPerPage: limit,
+            totalItems: totalCount,
+            totalIsEstimate,
+            totalPages: totalCount === null ? null : Math.ceil(totalCount / limit),
+            nextCursor: hasMore ? encodeCursor(data[data.length - 1], sortField) : null
+        });
+
+    } catch (error) {
+        req.log.error(`Error fetching paginated data from ${collectionName}`, { err: error });
+        res.status(500).json({ message: `Server error while fetching data from ${collectionName}` });
+    }
+}
+
+module.exports = { LIST_QUERY, REPORT_LIST_QUERY, parseListOptions, buildListQuery, getSearchTerm, fetchPaginatedData };
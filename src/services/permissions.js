@@ -0,0 +1,123 @@
+// Every action the API guards, as `<resource>:<action>[:<scope>]`. An `:own`
+// permission only covers records the caller created; the route checks ownership.
+const PERMISSIONS = {
+    'reports:create': 'Submit reports.',
+    'reports:read:own': 'List reports you filed.',
+    'reports:read:any': 'See every field of any report, including reporter identities and trashed reports.',
+    'reports:edit:own': 'Edit reports you filed while they await review.',
+    'reports:edit:any': 'Edit any report and revert it to an earlier version.',
+    'reports:lookup': 'Check whether a phone number or Facebook link is banned or suspended.',
+    'reports:evidence:own': 'Upload and view evidence on reports you filed.',
+    'reports:evidence:any': 'View and upload evidence on any report.',
+    'reports:trash:own': 'Move reports you filed to trash.',
+    'reports:trash:any': 'Move any report to trash.',
+    'reports:trash:read': 'View trashed reports.',
+    'reports:restore:any': 'Restore trashed reports.',
+    'reports:delete:any': 'Permanently delete reports.',
+    'reports:review': 'Verify or reject submitted reports and view the review queue.',
+    'reports:status:set': 'Change suspensions and escalate reports to banned.',
+    'reports:merge': 'Merge and split report clusters.',
+    'reports:export': 'Export reports.',
+    'reports:import': 'Import reports.',
+    'reports:reindex': 'Rebuild the report search index.',
+    'appeals:read': 'View appeals.',
+    'appeals:handle': 'Claim, comment on and decide appeals.',
+    'users:read': 'List user accounts.',
+    'users:status:set': 'Approve, reject or reset user accounts.',
+    'users:delete': 'Move user accounts to trash.',
+    'users:restore': 'Restore user accounts from trash.',
+    'users:erase': 'Permanently erase trashed user accounts and decide what happens to their reports.',
+    'users:role:set': 'Assign roles to users.',
+    'users:reconcile': 'Compare and repair Firebase Auth accounts against user profiles.',
+    'audit:read': 'View the audit log.',
+    'stats:read': 'View dashboard statistics.',
+    'webhooks:manage': 'Register partner webhook endpoints and replay deliveries.',
+    'apikeys:manage': 'Issue and revoke API keys for machine clients.',
+    'roles:manage': 'Create, edit and delete custom roles.'
+};
+
+const USER_PERMISSIONS = ['reports:create', 'reports:read:own', 'reports:edit:own', 'reports:lookup', 'reports:evidence:own', 'reports:trash:own'];
+
+const ADMIN_PERMISSIONS = [
+    ...USER_PERMISSIONS,
+    'reports:read:any',
+    'reports:edit:any',
+    'reports:evidence:any',
+    'reports:trash:any',
+    'reports:trash:read',
+    'reports:restore:any',
+    'reports:delete:any',
+    'reports:review',
+    'reports:status:set',
+    'reports:merge',
+    'reports:export',
+    'reports:import',
+    'appeals:read',
+    'appeals:handle',
+    'users:read',
+    'users:status:set',
+    'users:delete',
+    'users:restore',
+    'stats:read'
+];
+
+// Built-in roles apply until a document with the same _id is saved in 'roles'.
+// 'superadmin' always holds every permission so the system can't be locked out.
+const BUILT_IN_ROLES = {
+    user: { description: 'Approved community member.', permissions: USER_PERMISSIONS },
+    admin: { description: 'Moderator for reports, appeals and accounts.', permissions: ADMIN_PERMISSIONS },
+    superadmin: { description: 'Full access, including roles and the audit log.', permissions: Object.keys(PERMISSIONS) }
+};
+
+const ROLE_NAME_REGEX = /^[a-z][a-z0-9_-]{1,31}$/;
+const ROLE_DESCRIPTION_MAX_LENGTH = 200;
+
+// Fields admins set on a role, as a validation shape for route schemas.
+const ROLE_FIELDS = {
+    description: { type: 'string', maxLength: ROLE_DESCRIPTION_MAX_LENGTH },
+    permissions: { type: 'array', unique: true, items: { type: 'string', required: true, enum: Object.keys(PERMISSIONS) } }
+};
+
+function isBuiltInRole(name) {
+    return Object.prototype.hasOwnProperty.call(BUILT_IN_ROLES, name);
+}
+
+// Resolves a role to its definition, or null if the role doesn't exist.
+async function findRole(db, name) {
+    if (typeof name !== 'string') {
+        return null;
+    }
+    if (name === 'superadmin') {
+        return { _id: name, builtIn: true, ...BUILT_IN_ROLES.superadmin };
+    }
+
+    const stored = await db.collection('roles').findOne({ _id: name });
+    if (stored) {
+        return { ...stored, builtIn: isBuiltInRole(name) };
+    }
+    return isBuiltInRole(name) ? { _id: name, builtIn: true, ...BUILT_IN_ROLES[name] } : null;
+}
+
+async function listRoles(db) {
+    const stored = await db.collection('roles').find({}).sort({ _id: 1 }).toArray();
+    const storedByName = new Map(stored.map(role => [role._id, role]));
+
+    const builtIn = Object.entries(BUILT_IN_ROLES).map(([name, role]) => (
+        name !== 'superadmin' && storedByName.has(name)
+            ? { ...storedByName.get(name), builtIn: true }
+            : { _id: name, builtIn: true, ...role }
+    ));
+    const custom = stored.filter(role => !isBuiltInRole(role._id)).map(role => ({ ...role, builtIn: false }));
+    return [...builtIn, ...custom];
+}
+
+// Returns an error message, or null when every entry is a known permission.
+module.exports = {
+    PERMISSIONS,
+    BUILT_IN_ROLES,
+    ROLE_NAME_REGEX,
+    ROLE_FIELDS,
+    isBuiltInRole,
+    findRole,
+    listRoles
+};
@@ -0,0 +1,46 @@
+const { normalizePhone } = require('./normalize');
+
+const FB_NAME_MAX_LENGTH = 100;
+const AVATAR_URL_MAX_LENGTH = 2048;
+const DELETION_REASON_MAX_LENGTH = 1000;
+// Digits with optional +, -, (, ) or spaces, and at least one digit.
+const CONTACT_PHONE_REGEX = /^[+]?[0-9\s()-]*[0-9][0-9\s()-]*$/;
+
+// Fields users may change on their own profile, as a validation shape (see
+// services/validation.js). Optional fields accept null to clear them.
+const EDITABLE_PROFILE_FIELDS = {
+    fbName: { type: 'string', minLength: 1, maxLength: FB_NAME_MAX_LENGTH },
+    contactPhone: {
+        type: 'string',
+        nullable: true,
+        maxLength: 30,
+        pattern: CONTACT_PHONE_REGEX,
+        patternMessage: 'must be a phone number using only digits, +, -, (, ) or spaces'
+    },
+    contactEmail: { type: 'email', nullable: true },
+    avatarUrl: { type: 'url', nullable: true, maxLength: AVATAR_URL_MAX_LENGTH, protocols: ['https:'] }
+};
+
+// Turns a validated PATCH /api/me body into the fields to $set. Phone numbers
+// are stored normalized.
+function profileChanges(body) {
+    const changes = { ...body };
+    if (changes.contactPhone) {
+        changes.contactPhone = normalizePhone(changes.contactPhone);
+    }
+    return changes;
+}
+
+// What anyone may see about an account.
+function publicProfileView(user) {
+    return { uid: user.uid, fbName: user.fbName, avatarUrl: user.avatarUrl ?? null };
+}
+
+module.exports = {
+    FB_NAME_MAX_LENGTH,
+    CONTACT_PHONE_REGEX,
+    DELETION_REASON_MAX_LENGTH,
+    EDITABLE_PROFILE_FIELDS,
+    profileChanges,
+    publicProfileView
+};
@@ -0,0 +1,210 @@
+const { normalizePhone, normalizeFacebookLink } = require('./normalize');
+const { incidentsOf, primaryIncidentIndex, clusterFields } = require('./reports');
+
+// The report fields an edit may change. Each version stores a snapshot of all
+// of them, so any version can be restored on its own.
+const EDITABLE_REPORT_FIELDS = ['name', 'facebookLink', 'phone', 'status', 'reason', 'suspendedUntil'];
+const VERSION_INSERT_ATTEMPTS = 5;
+
+function snapshotOf(report) {
+    return Object.fromEntries(EDITABLE_REPORT_FIELDS.map(field => [field, report[field] ?? null]));
+}
+
+function sameValue(a, b) {
+    if (a instanceof Date || b instanceof Date) {
+        return a instanceof Date && b instanceof Date && a.getTime() === b.getTime();
+    }
+    return a === b;
+}
+
+// Resolves to `{ [field]: { from, to } }` for every field that differs, or null
+// when nothing changed.
+function diffSnapshots(before, after) {
+    const changes = {};
+    for (const field of EDITABLE_REPORT_FIELDS) {
+        if (!sameValue(before[field], after[field])) {
+            changes[field] = { from: before[field], to: after[field] };
+        }
+    }
+    return Object.keys(changes).length > 0 ? changes : null;
+}
+
+// Builds the input for validateReportInput from a partial PATCH body, so an edit
+// passes the same checks as a submission. Resolves to { input, keepStatus }:
+// when the body sets neither status nor suspendedUntil, both are carried over
+// exactly as stored. A still-running suspension is also kept when the body
+// re-sends the 'suspended' status without a new end.
+function mergeReportEdit(report, body, now = new Date()) {
+    const unknown = Object.keys(body).filter(field => !EDITABLE_REPORT_FIELDS.includes(field));
+    if (unknown.length > 0) {
+        return { error: `${unknown.join(', ')} cannot be edited. Editable fields: ${EDITABLE_REPORT_FIELDS.join(', ')}.` };
+    }
+    if (Object.keys(body).length === 0) {
+        return { error: `Provide at least one of: ${EDITABLE_REPORT_FIELDS.join(', ')}.` };
+    }
+
+    const { suspendedUntil, ...current } = snapshotOf(report);
+    const keepStatus = body.status === undefined && body.suspendedUntil === undefined;
+    if (keepStatus) {
+        return { input: { ...current, ...body, suspendedUntil }, keepStatus };
+    }
+
+    const input = { ...current, ...body };
+    if (body.suspendedUntil === undefined && input.status === 'suspended' && suspendedUntil > now) {
+        input.suspendedUntil = suspendedUntil.toISOString();
+    }
+    return { input, keepStatus };
+}
+
+// Version 1 is the report as it stood before its first edit. It is only written
+// then, so reports that are never edited have no history rows. A concurrent
+// first edit may insert it at the same time, which is fine.
+async function ensureInitialVersion(db, report) {
+    try {
+        await db.collection('reportVersions').updateOne(
+            { reportId: report._id, version: 1 },
+            {
+                $setOnInsert: {
+                    action: 'original',
+                    changes: null,
+                    snapshot: snapshotOf(report),
+                    changedBy: report.reporterId ?? null,
+                    changedByName: report.reporterName ?? null,
+                    changedAt: report.timestamp ?? report._id.getTimestamp()
+                }
+            },
+            { upsert: true }
+        );
+    } catch (error) {
+        if (error.code !== 11000) throw error;
+    }
+}
+
+// Inserts `version` under the report's next version number and resolves to the
+// row. Concurrent edits race for the same number under the unique
+// { reportId, version } index; the loser retries with the number after it.
+async function insertNextVersion(db, version) {
+    const reportVersionsCollection = db.collection('reportVersions');
+    for (let attempt = 1; ; attempt++) {
+        const [latest] = await reportVersionsCollection.find({ reportId: version.reportId }).sort({ version: -1 }).limit(1).toArray();
+        const row = { ...version, version: latest.version + 1 };
+        try {
+            await reportVersionsCollection.insertOne(row);
+            return row;
+        } catch (error) {
+            if (error.code !== 11000 || attempt === VERSION_INSERT_ATTEMPTS) throw error;
+        }
+    }
+}
+
+// Writes `fields` (a full snapshot) to the report and records it as the next
+// version. The incident filed by the report's reporter mirrors the top-level
+// fields, so it is edited too and the dedupe and search keys are rebuilt.
+// Resolves to { report, version }, or { unchanged: true } when nothing changes.
+// `note` explains a status change in the status history.
+//
+// Moderation actions that change more than the snapshot pass the rest along:
+// `incidents` replaces the report's incidents as they are (no mirroring),
+// `update` adds operators for other fields, and `changes` lists those that
+// belong in the version's changes.
+async function applyReportEdit(db, report, fields, {
+    by,
+    byName,
+    action = 'edit',
+    revertedTo,
+    note,
+    incidents,
+    update: extraUpdate = {},
+    changes: extraChanges = null,
+    now = new Date()
+}) {
+    const before = snapshotOf(report);
+    const after = snapshotOf(fields);
+    const snapshotChanges = diffSnapshots(before, after);
+    const changes = snapshotChanges || extraChanges ? { ...snapshotChanges, ...extraChanges } : null;
+    if (!changes) {
+        return { unchanged: true };
+    }
+
+    await ensureInitialVersion(db, report);
+
+    let updatedIncidents = incidents;
+    if (!updatedIncidents) {
+        const current = incidentsOf(report);
+        const primaryIndex = primaryIncidentIndex(report);
+        const primary = {
+            ...current[primaryIndex],
+            ...after,
+            phoneNormalized: normalizePhone(after.phone),
+            facebookLinkNormalized: normalizeFacebookLink(after.facebookLink)
+        };
+        updatedIncidents = current.map((incident, index) => (index === primaryIndex ? primary : incident));
+    }
+
+    const update = {
+        $set: { ...after, ...clusterFields(updatedIncidents), updatedAt: now, ...extraUpdate.$set },
+        $unset: { ...extraUpdate.$unset },
+        $push: { ...extraUpdate.$push }
+    };
+    if (changes.status || changes.suspendedUntil) {
+        if (changes.status && before.status === 'expired') {
+            update.$unset.expiredAt = "";
+        }
+        update.$push.statusHistory = {
+            from: before.status,
+            to: after.status,
+            ...(after.status === 'suspended' ? { suspendedUntil: after.suspendedUntil } : {}),
+            changedBy: by,
+            note: note || (action === 'revert' ? `Reverted to version ${revertedTo}.` : 'Report edited.'),
+            changedAt: now
+        };
+    }
+    for (const operator of ['$unset', '$push']) {
+        if (Object.keys(update[operator]).length === 0) {
+            delete update[operator];
+        }
+    }
+
+    // The version is claimed before the report changes, so a failed write can
+    // never leave an edit without its history row.
+    const version = await insertNextVersion(db, {
+        reportId: report._id,
+        action,
+        ...(action === 'revert' ? { revertedTo } : {}),
+        changes,
+        snapshot: after,
+        changedBy: by,
+        changedByName: byName ?? null,
+        changedAt: now
+    });
+    const updatedReport = await db.collection('userReports').findOneAndUpdate({ _id: report._id }, update, { returnDocument: 'after' });
+
+    return { report: updatedReport, version };
+}
+
+// Resolves to the reports that were expired, as they were before the update.
+// Each expiry is recorded as a version, like any other status change.
+async function expireSuspensions(db, now = new Date()) {
+    const due = await db.collection('userReports').find({ status: 'suspended', suspendedUntil: { $lte: now } }).toArray();
+    for (const report of due) {
+        await applyReportEdit(db, report, { ...report, status: 'expired' }, {
+            by: 'system',
+            action: 'expire',
+            note: 'Suspension period ended.',
+            incidents: incidentsOf(report),
+            update: { $set: { expiredAt: now } },
+            now
+        });
+    }
+    return due;
+}
+
+// History goes with the report when it is permanently deleted.
+async function deleteReportVersions(db, reports) {
+    if (reports.length === 0) {
+        return;
+    }
+    await db.collection('reportVersions').deleteMany({ reportId: { $in: reports.map(report => report._id) } });
+}
+
+module.exports = { EDITABLE_REPORT_FIELDS, snapshotOf, diffSnapshots, mergeReportEdit, applyReportEdit, expireSuspensions, deleteReportVersions };
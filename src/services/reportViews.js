@@ -0,0 +1,150 @@
+const { incidentsOf, VERIFIED_REPORTS_QUERY } = require('./reports');
+const { buildReportSearch } = require('./search');
+const { fetchPaginatedData } = require('./pagination');
+
+const RELATED_REPORTS_LIMIT = 10;
+// Stricter than list search: a related report should share most of the name.
+const RELATED_NAME_MIN_SCORE = 0.5;
+
+// Fields anyone may see. Everything else (reporter and moderator UIDs, review
+// and trash history, evidence storage keys, dedupe keys holding full phone
+// numbers) is only returned to holders of 'reports:read:any'.
+const REPORT_VIEW_FIELDS = [
+    '_id', 'name', 'facebookLink', 'phone', 'status', 'suspendedUntil', 'expiredAt', 'reason', 'reporterName',
+    'timestamp', 'reviewStatus', 'incidentCount', 'lastReportedAt', 'updatedAt', 'search'
+];
+const INCIDENT_VIEW_FIELDS = ['_id', 'name', 'facebookLink', 'phone', 'status', 'suspendedUntil', 'reason', 'reporterName', 'timestamp'];
+
+// 'full' for moderators, 'member' for approved accounts and API keys,
+// 'public' for everyone else.
+function reportAudience(req) {
+    if (req.permissions?.has('reports:read:any')) {
+        return 'full';
+    }
+    return req.apiKey || req.permissions?.size > 0 ? 'member' : 'public';
+}
+
+// Keeps the last three digits and any formatting: "017-1234 5678" -> "***-**** *678".
+function maskPhone(phone) {
+    return typeof phone === 'string' ? phone.replace(/\d(?=(?:\D*\d){3})/g, '*') : phone;
+}
+
+function maskName(name) {
+    return typeof name === 'string' && name ? `${name[0]}***` : null;
+}
+
+function pick(doc, fields) {
+    return Object.fromEntries(fields.filter(field => doc[field] !== undefined).map(field => [field, doc[field]]));
+}
+
+function reportView(report, audience) {
+    if (audience === 'full') {
+        const { searchGrams, phoneDigits, ...rest } = report;
+        return rest;
+    }
+
+    const masked = item => (audience === 'public' ? { ...item, phone: maskPhone(item.phone), reporterName: maskName(item.reporterName) } : item);
+    return {
+        ...masked(pick(report, REPORT_VIEW_FIELDS)),
+        incidents: incidentsOf(report).map(incident => masked(pick(incident, INCIDENT_VIEW_FIELDS))),
+        evidenceCount: (report.evidence || []).length
+    };
+}
+
+function sharedKeyConditions(report) {
+    return [
+        { phoneKeys: { $in: report.phoneKeys || [] } },
+        { facebookLinkKeys: { $in: report.facebookLinkKeys || [] } }
+    ];
+}
+
+// Other live reports that share a phone or Facebook link with `report`, or have
+// a similar name. Each carries `relatedBy` naming what matched.
+async function findRelatedReports(db, report, { verifiedOnly }) {
+    const search = buildReportSearch(report.name || '');
+    const visible = { _id: { $ne: report._id }, deletedAt: { $exists: false }, ...(verifiedOnly ? VERIFIED_REPORTS_QUERY : {}) };
+
+    const related = await db.collection('userReports').aggregate([
+        { $match: { $and: [visible, { $or: [...sharedKeyConditions(report), search.match] }] } },
+        { $addFields: { _nameScore: search.scoreExpression } },
+        { $match: { $or: [...sharedKeyConditions(report), { _nameScore: { $gte: RELATED_NAME_MIN_SCORE } }] } },
+        { $sort: { lastReportedAt: -1, _id: -1 } },
+        { $limit: RELATED_REPORTS_LIMIT }
+    ]).toArray();
+
+    const shares = (keys, otherKeys) => (keys || []).some(key => (otherKeys || []).includes(key));
+    return related.map(({ _nameScore, ...other }) => ({
+        ...other,
+        relatedBy: [
+            ...(shares(report.phoneKeys, other.phoneKeys) ? ['phone'] : []),
+            ...(shares(report.facebookLinkKeys, other.facebookLinkKeys) ? ['facebookLink'] : []),
+            ...(_nameScore >= RELATED_NAME_MIN_SCORE ? ['name'] : [])
+        ]
+    }));
+}
+
+// How often the person behind `report` was reported, across `report` and every
+// live report sharing one of its phones or Facebook links. Similar names alone
+// are not counted, since they may be someone else.
+async function summarizeReportedPerson(db, report, { verifiedOnly }) {
+    const [summary] = await db.collection('userReports').aggregate([
+        {
+            $match: {
+                $or: [
+                    { _id: report._id },
+                    { $and: [{ deletedAt: { $exists: false }, ...(verifiedOnly ? VERIFIED_REPORTS_QUERY : {}) }, { $or: sharedKeyConditions(report) }] }
+                ]
+            }
+        },
+        { $unwind: { path: '$incidents', preserveNullAndEmptyArrays: true } },
+        {
+            $group: {
+                _id: null,
+                reportIds: { $addToSet: '$_id' },
+                timesReported: { $sum: 1 },
+                reporters: { $addToSet: { $ifNull: ['$incidents.reporterId', '$reporterId'] } },
+                banned: { $sum: { $cond: [{ $eq: [{ $ifNull: ['$incidents.status', '$status'] }, 'banned'] }, 1, 0] } },
+                suspended: { $sum: { $cond: [{ $eq: [{ $ifNull: ['$incidents.status', '$status'] }, 'suspended'] }, 1, 0] } },
+                firstReportedAt: { $min: { $ifNull: ['$incidents.timestamp', '$timestamp'] } },
+                lastReportedAt: { $max: { $ifNull: ['$incidents.timestamp', '$timestamp'] } }
+            }
+        }
+    ]).toArray();
+
+    if (!summary) {
+        return { reportCount: 0, timesReported: 0, reporterCount: 0, byStatus: { banned: 0, suspended: 0 }, firstReportedAt: null, lastReportedAt: null };
+    }
+    return {
+        reportCount: summary.reportIds.length,
+        timesReported: summary.timesReported,
+        reporterCount: summary.reporters.filter(Boolean).length,
+        byStatus: { banned: summary.banned, suspended: summary.suspended },
+        firstReportedAt: summary.firstReportedAt,
+        lastReportedAt: summary.lastReportedAt
+    };
+}
+
+// Options for fetchPaginatedData on report lists: rows only carry the fields
+// the caller's audience may see.
+function reportListOptions(req) {
+    const audience = reportAudience(req);
+    return { mapItem: report => reportView(report, audience), allowReporterFilter: audience === 'full' };
+}
+
+// Lists every report the signed-in caller filed an incident on, including
+// unreviewed ones. Served under both /api/userReports/mine and /api/me/reports.
+function listOwnReports(req, res) {
+    const uid = req.user.uid;
+    return fetchPaginatedData('userReports', { $or: [{ reporterId: uid }, { 'incidents.reporterId': uid }] }, req, res, false, reportListOptions(req));
+}
+
+module.exports = {
+    RELATED_REPORTS_LIMIT,
+    reportAudience,
+    maskPhone,
+    reportView,
+    reportListOptions,
+    listOwnReports,
+    findRelatedReports,
+    summarizeReportedPerson
+};
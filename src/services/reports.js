@@ -0,0 +1,192 @@
+const { normalizePhone, normalizeFacebookLink } = require('./normalize');
+const { searchFields } = require('./search');
+
+// Reports created before incidents were introduced carry a single implicit incident
+// in their top-level fields.
+function incidentsOf(report) {
+    if (Array.isArray(report.incidents) && report.incidents.length > 0) {
+        return report.incidents;
+    }
+    return [{
+        _id: report._id,
+        name: report.name,
+        facebookLink: report.facebookLink,
+        phone: report.phone,
+        phoneNormalized: normalizePhone(report.phone),
+        facebookLinkNormalized: normalizeFacebookLink(report.facebookLink),
+        status: report.status,
+        reason: report.reason,
+        reporterId: report.reporterId,
+        reporterName: report.reporterName,
+        timestamp: report.timestamp
+    }];
+}
+
+// The incident the report's top-level fields mirror: the one filed by the
+// report's reporter, or the first one.
+function primaryIncidentIndex(report) {
+    return Math.max(0, incidentsOf(report).findIndex(incident => incident.reporterId === report.reporterId));
+}
+
+// The top-level copy of an incident that lists, lookups and webhooks read.
+function reportFieldsFrom(incident) {
+    return {
+        name: incident.name,
+        facebookLink: incident.facebookLink,
+        phone: incident.phone,
+        status: incident.status,
+        suspendedUntil: incident.suspendedUntil ?? null,
+        reason: incident.reason,
+        reporterId: incident.reporterId,
+        reporterName: incident.reporterName,
+        timestamp: incident.timestamp
+    };
+}
+
+// Reports created before the review workflow were already public, so a missing
+// reviewStatus counts as verified.
+const VERIFIED_REPORTS_QUERY = { reviewStatus: { $in: ['verified', null] } };
+
+// Suspensions past their suspendedUntil are treated as expired at query time even
+// before the sweep has rewritten their status.
+function activeSuspensionQuery(now = new Date()) {
+    return { status: 'suspended', $or: [{ suspendedUntil: null }, { suspendedUntil: { $gt: now } }] };
+}
+
+function parseSuspensionEnd({ suspendedUntil, durationDays }, now = new Date()) {
+    if (suspendedUntil !== undefined && durationDays !== undefined) {
+        return { error: 'Provide either suspendedUntil or durationDays, not both.' };
+    }
+    if (durationDays !== undefined) {
+        const days = Number(durationDays);
+        if (!Number.isFinite(days) || days <= 0) {
+            return { error: 'durationDays must be a positive number.' };
+        }
+        return { until: new Date(now.getTime() + days * 24 * 60 * 60 * 1000) };
+    }
+    if (suspendedUntil !== undefined && suspendedUntil !== null) {
+        const until = new Date(suspendedUntil);
+        if (isNaN(until)) {
+            return { error: 'suspendedUntil must be a valid date.' };
+        }
+        if (until <= now) {
+            return { error: 'suspendedUntil must be in the future.' };
+        }
+        return { until };
+    }
+    return { until: null };
+}
+
+const STATUS_SEVERITY = { expired: 0, suspended: 1, banned: 2 };
+
+// A new incident can make a report stricter, never more lenient: a ban outranks
+// a suspension, and of two suspensions the later end wins (no end is the
+// latest). Resolves to the report's new { status, suspendedUntil }, or null
+// when the incident changes nothing.
+function escalatedStatus(report, incident) {
+    const current = STATUS_SEVERITY[report.status] ?? 0;
+    const incoming = STATUS_SEVERITY[incident.status] ?? 0;
+    if (incoming > current) {
+        return { status: incident.status, suspendedUntil: incident.suspendedUntil ?? null };
+    }
+    const endsLater = incident.suspendedUntil == null || incident.suspendedUntil > report.suspendedUntil;
+    if (incident.status === 'suspended' && report.status === 'suspended' && report.suspendedUntil && endsLater) {
+        return { status: 'suspended', suspendedUntil: incident.suspendedUntil ?? null };
+    }
+    return null;
+}
+
+function clusterFields(incidents) {
+    const unique = values => [...new Set(values.filter(Boolean))];
+    return {
+        incidents,
+        incidentCount: incidents.length,
+        phoneKeys: unique(incidents.map(incident => incident.phoneNormalized)),
+        facebookLinkKeys: unique(incidents.map(incident => incident.facebookLinkNormalized)),
+        ...searchFields(incidents),
+        lastReportedAt: incidents.reduce((latest, incident) => (
+            !latest || incident.timestamp > latest ? incident.timestamp : latest
+        ), null)
+    };
+}
+
+const REPORT_STATUSES = ['suspended', 'banned'];
+const REPORT_FIELD_LIMITS = { name: 100, facebookLink: 2048, phone: 30, reason: 2000 };
+const PHONE_REGEX = /^[+]?[0-9\s()-]*$/;
+
+// Shared by report submission, editing and bulk import so all apply the same
+// rules. Route schemas check types first; import rows come straight from CSV.
+// With `keepStatus`, status and suspendedUntil are the report's stored values
+// and pass through unchecked, since an edit that leaves them alone must not
+// fail on an expired report or a suspension that has just lapsed.
+function validateReportInput({ name, facebookLink, phone, status, reason, suspendedUntil }, { keepStatus = false } = {}) {
+    if (!name || !facebookLink || !phone || !status || !reason) {
+        return { error: 'All required fields (name, facebookLink, phone, status, reason) are required.' };
+    }
+
+    for (const [field, value] of Object.entries({ name, facebookLink, phone, reason })) {
+        if (typeof value !== 'string') {
+            return { error: `${field} must be a string.` };
+        }
+        if (value.length > REPORT_FIELD_LIMITS[field]) {
+            return { error: `${field} must be at most ${REPORT_FIELD_LIMITS[field]} characters.` };
+        }
+    }
+
+    if (!PHONE_REGEX.test(phone)) {
+        return { error: 'Invalid phone number format. Please use only digits, +, -, (, ) or spaces.' };
+    }
+
+    let suspensionEnd = { until: suspendedUntil ?? null };
+    if (!keepStatus) {
+        if (!REPORT_STATUSES.includes(status)) {
+            return { error: 'Invalid status provided.' };
+        }
+        if (suspendedUntil !== undefined && status !== 'suspended') {
+            return { error: 'suspendedUntil can only be set on suspended reports.' };
+        }
+        suspensionEnd = parseSuspensionEnd({ suspendedUntil });
+        if (suspensionEnd.error) {
+            return { error: suspensionEnd.error };
+        }
+    }
+
+    const phoneNormalized = normalizePhone(phone);
+    if (!phoneNormalized) {
+        return { error: 'Invalid phone number. It must contain at least one digit.' };
+    }
+
+    const facebookLinkNormalized = normalizeFacebookLink(facebookLink);
+    if (!facebookLinkNormalized) {
+        return { error: 'Invalid Facebook link. Must point to a Facebook profile.' };
+    }
+
+    return {
+        value: {
+            name,
+            facebookLink,
+            phone,
+            status,
+            reason,
+            phoneNormalized,
+            facebookLinkNormalized,
+            suspendedUntil: suspensionEnd.until
+        }
+    };
+}
+
+module.exports = {
+    REPORT_STATUSES,
+    REPORT_FIELD_LIMITS,
+    STATUS_SEVERITY,
+    PHONE_REGEX,
+    incidentsOf,
+    primaryIncidentIndex,
+    reportFieldsFrom,
+    VERIFIED_REPORTS_QUERY,
+    activeSuspensionQuery,
+    parseSuspensionEnd,
+    escalatedStatus,
+    clusterFields,
+    validateReportInput
+};
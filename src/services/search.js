@@ -0,0 +1,139 @@
+const { normalizePhone, normalizeFacebookLink } = require('./normalize');
+
+// Reports carry precomputed trigrams ('searchGrams') of their name, Facebook
+// handle and reason, plus digit-only phones ('phoneDigits'). Queries are tokenized
+// the same way, so user input never reaches the database as a regular expression.
+
+const SEARCH_MAX_LENGTH = 100;
+const SEARCH_MIN_SCORE = 0.3;
+const SEARCH_FIELDS = ['name', 'facebookLink', 'phone', 'reason'];
+const NAME_ALIASES = {
+    md: 'muhammad', mohd: 'muhammad', mohammad: 'muhammad', mohammed: 'muhammad', muhammed: 'muhammad', mohamed: 'muhammad', mohamad: 'muhammad',
+    abdul: 'abdul', abdur: 'abdul', abd: 'abdul'
+};
+
+function escapeRegExp(value) {
+    return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function tokenize(text) {
+    if (typeof text !== 'string') {
+        return [];
+    }
+    return text
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .split(/[^\p{L}\p{N}]+/u)
+        .filter(token => token.length > 1)
+        .map(token => NAME_ALIASES[token] || token);
+}
+
+function trigrams(tokens) {
+    const grams = new Set();
+    for (const token of tokens) {
+        if (token.length <= 3) {
+            grams.add(token);
+            continue;
+        }
+        for (let i = 0; i <= token.length - 3; i++) {
+            grams.add(token.slice(i, i + 3));
+        }
+    }
+    return [...grams];
+}
+
+function facebookHandle(link) {
+    const normalized = normalizeFacebookLink(link);
+    if (!normalized) {
+        return typeof link === 'string' ? link : '';
+    }
+    return normalized.replace(/^https:\/\/facebook\.com\//, '').replace('profile.php?id=', '');
+}
+
+function fieldTokens(field, value) {
+    return tokenize(field === 'facebookLink' ? facebookHandle(value) : value);
+}
+
+function searchFields(incidents) {
+    const tokens = incidents.flatMap(incident => ['name', 'facebookLink', 'reason'].flatMap(field => fieldTokens(field, incident[field])));
+    const phoneDigits = incidents.flatMap(incident => [
+        typeof incident.phone === 'string' ? incident.phone.replace(/\D/g, '') : null,
+        incident.phoneNormalized ? incident.phoneNormalized.replace(/\D/g, '') : null
+    ]);
+    return {
+        searchGrams: trigrams(tokens),
+        phoneDigits: [...new Set(phoneDigits.filter(Boolean))]
+    };
+}
+
+function stripSearchFields(report) {
+    const { searchGrams, phoneDigits, _searchScore, ...rest } = report;
+    return { ...rest, _searchScore };
+}
+
+// Builds the $match filter and a relevance score: the share of query trigrams a
+// report contains, plus 1 when the digits of the query appear in one of its phones.
+function buildReportSearch(term) {
+    const digits = term.replace(/\D/g, '');
+    const phoneQuery = digits.length >= 5 ? digits : null;
+    const grams = trigrams(tokenize(term).filter(token => !(phoneQuery && /^\d+$/.test(token))));
+
+    const clauses = [];
+    if (grams.length > 0) {
+        clauses.push({ searchGrams: { $in: grams } });
+    }
+    if (phoneQuery) {
+        clauses.push({ phoneDigits: { $regex: escapeRegExp(phoneQuery) } });
+    }
+
+    const gramScore = grams.length > 0
+        ? { $divide: [{ $size: { $setIntersection: [{ $ifNull: ['$searchGrams', []] }, grams] } }, grams.length] }
+        : 0;
+    const phoneScore = phoneQuery
+        ? {
+            $cond: [
+                { $gt: [{ $size: { $filter: { input: { $ifNull: ['$phoneDigits', []] }, cond: { $regexMatch: { input: '$$this', regex: escapeRegExp(phoneQuery) } } } } }, 0] },
+                1,
+                0
+            ]
+        }
+        : 0;
+
+    return {
+        grams,
+        phoneQuery,
+        match: clauses.length > 0 ? { $or: clauses } : { _id: null },
+        scoreExpression: { $add: [gramScore, phoneScore] }
+    };
+}
+
+// Reports which top-level fields produced the match so clients can highlight them.
+function withSearchMatch(report, search) {
+    const queryGrams = new Set(search.grams);
+    const matchedFields = SEARCH_FIELDS.filter(field => {
+        if (field === 'phone') {
+            return Boolean(search.phoneQuery) && typeof report.phone === 'string' &&
+                (report.phone.replace(/\D/g, '').includes(search.phoneQuery) || (normalizePhone(report.phone) || '').includes(search.phoneQuery));
+        }
+        if (queryGrams.size === 0) {
+            return false;
+        }
+        const fieldGrams = trigrams(fieldTokens(field, report[field]));
+        const shared = fieldGrams.filter(gram => queryGrams.has(gram)).length;
+        return shared / queryGrams.size >= SEARCH_MIN_SCORE;
+    });
+
+    const { _searchScore, ...rest } = report;
+    return { ...rest, search: { score: Number(_searchScore.toFixed(3)), matchedFields } };
+}
+
+module.exports = {
+    SEARCH_MAX_LENGTH,
+    SEARCH_MIN_SCORE,
+    escapeRegExp,
+    searchFields,
+    stripSearchFields,
+    buildReportSearch,
+    withSearchMatch
+};
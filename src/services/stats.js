@@ -0,0 +1,162 @@
+const STATS_MAX_TOP = 50;
+const STATS_DEFAULT_RANGE_DAYS = 30;
+const STATS_MAX_RANGE_DAYS = { day: 366, week: 5 * 366 };
+
+// Turns `[{ _id, count }]` group output into `{ [_id]: count }`. Documents
+// missing the grouped field are counted under 'none'.
+function countsById(rows) {
+    return Object.fromEntries(rows.map(row => [row._id ?? 'none', row.count]));
+}
+
+function parseStatsOptions(query, now = new Date()) {
+    const interval = query.interval || 'day';
+    if (!['day', 'week'].includes(interval)) {
+        return { error: 'Invalid interval. Must be "day" or "week".' };
+    }
+
+    const to = query.to ? new Date(query.to) : now;
+    const from = query.from ? new Date(query.from) : new Date(to.getTime() - STATS_DEFAULT_RANGE_DAYS * 24 * 60 * 60 * 1000);
+    if (isNaN(from) || isNaN(to)) {
+        return { error: 'Invalid date range. "from" and "to" must be valid dates.' };
+    }
+    if (from >= to) {
+        return { error: '"from" must be before "to".' };
+    }
+    if (to - from > STATS_MAX_RANGE_DAYS[interval] * 24 * 60 * 60 * 1000) {
+        return { error: `The range can span at most ${STATS_MAX_RANGE_DAYS[interval]} days for a "${interval}" interval.` };
+    }
+
+    const top = Math.min(Math.max(parseInt(query.top) || 10, 1), STATS_MAX_TOP);
+    return { from, to, interval, top };
+}
+
+// Everything is computed with one $facet per collection so a dashboard load
+// costs three aggregations. Totals cover all data; the trend, top reporters
+// and most-reported lists only count incidents filed within [from, to].
+async function collectDashboardStats(db, { from, to, interval, top }) {
+    // One row per incident as `incident`. Reports from before incidents existed
+    // count as a single incident made of their top-level fields, like
+    // incidentsOf() treats them; without stored dedupe keys, their raw phone
+    // and link stand in for the normalized ones.
+    const fromIncidentOrReport = (field, ...fallbacks) => ({ $ifNull: [`$incidents.${field}`, ...fallbacks] });
+    const liveIncidentsInRange = [
+        { $match: { deletedAt: { $exists: false } } },
+        { $unwind: { path: '$incidents', preserveNullAndEmptyArrays: true } },
+        {
+            $addFields: {
+                incident: {
+                    timestamp: fromIncidentOrReport('timestamp', '$timestamp'),
+                    reporterId: fromIncidentOrReport('reporterId', '$reporterId'),
+                    reporterName: fromIncidentOrReport('reporterName', '$reporterName'),
+                    phoneNormalized: fromIncidentOrReport('phoneNormalized', { $arrayElemAt: ['$phoneKeys', 0] }, '$phone'),
+                    facebookLinkNormalized: fromIncidentOrReport('facebookLinkNormalized', { $arrayElemAt: ['$facebookLinkKeys', 0] }, '$facebookLink')
+                }
+            }
+        },
+        { $match: { 'incident.timestamp': { $gte: from, $lte: to } } }
+    ];
+    const topBy = field => [
+        ...liveIncidentsInRange,
+        { $group: { _id: `$incident.${field}`, count: { $sum: 1 }, reportIds: { $addToSet: '$_id' } } },
+        { $match: { _id: { $ne: null } } },
+        { $sort: { count: -1, _id: 1 } },
+        { $limit: top }
+    ];
+
+    const [reportFacets] = await db.collection('userReports').aggregate([
+        {
+            $facet: {
+                byStatus: [{ $match: { deletedAt: { $exists: false } } }, { $group: { _id: '$status', count: { $sum: 1 } } }],
+                byReviewStatus: [{ $match: { deletedAt: { $exists: false } } }, { $group: { _id: '$reviewStatus', count: { $sum: 1 } } }],
+                trashed: [{ $match: { deletedAt: { $exists: true } } }, { $count: 'count' }],
+                trashedInRange: [{ $match: { deletedAt: { $gte: from, $lte: to } } }, { $count: 'count' }],
+                trend: [
+                    ...liveIncidentsInRange,
+                    {
+                        $group: {
+                            _id: { $dateTrunc: { date: '$incident.timestamp', unit: interval, ...(interval === 'week' ? { startOfWeek: 'monday' } : {}) } },
+                            count: { $sum: 1 }
+                        }
+                    },
+                    { $sort: { _id: 1 } }
+                ],
+                topReporters: [
+                    ...liveIncidentsInRange,
+                    { $group: { _id: '$incident.reporterId', reporterName: { $last: '$incident.reporterName' }, count: { $sum: 1 } } },
+                    { $match: { _id: { $ne: null } } },
+                    { $sort: { count: -1, _id: 1 } },
+                    { $limit: top }
+                ],
+                mostReportedPhones: topBy('phoneNormalized'),
+                mostReportedLinks: topBy('facebookLinkNormalized')
+            }
+        }
+    ]).toArray();
+
+    const [userFacets] = await db.collection('users').aggregate([
+        {
+            $facet: {
+                byStatus: [{ $group: { _id: '$status', count: { $sum: 1 } } }],
+                byRole: [{ $group: { _id: '$role', count: { $sum: 1 } } }]
+            }
+        }
+    ]).toArray();
+
+    // Profiles don't record when they were approved, but every approval is in
+    // the audit log together with the profile as it was before.
+    const [approvals] = await db.collection('auditLog').aggregate([
+        { $match: { action: 'user.status', 'after.status': 'approved', 'before.status': { $ne: 'approved' }, 'before.registrationDate': { $type: 'date' } } },
+        { $sort: { timestamp: 1 } },
+        { $group: { _id: '$targetId', approvedAt: { $first: '$timestamp' }, registeredAt: { $first: '$before.registrationDate' } } },
+        { $group: { _id: null, count: { $sum: 1 }, averageMs: { $avg: { $subtract: ['$approvedAt', '$registeredAt'] } } } }
+    ]).toArray();
+
+    const usersByStatus = countsById(userFacets.byStatus);
+    const withReports = rows => rows.map(({ _id, count, reportIds }) => ({ value: _id, count, reportCount: reportIds.length }));
+
+    return {
+        range: { from, to, interval },
+        reports: {
+            byStatus: countsById(reportFacets.byStatus),
+            byReviewStatus: countsById(reportFacets.byReviewStatus),
+            trend: reportFacets.trend.map(({ _id, count }) => ({ period: _id, count })),
+            topReporters: reportFacets.topReporters.map(({ _id, reporterName, count }) => ({ reporterId: _id, reporterName, count })),
+            mostReportedPhones: withReports(reportFacets.mostReportedPhones),
+            mostReportedLinks: withReports(reportFacets.mostReportedLinks)
+        },
+        trash: {
+            total: reportFacets.trashed[0]?.count || 0,
+            inRange: reportFacets.trashedInRange[0]?.count || 0
+        },
+        users: {
+            byStatus: usersByStatus,
+            byRole: countsById(userFacets.byRole),
+            pendingApprovals: usersByStatus.pending || 0,
+            approvals: {
+                count: approvals?.count || 0,
+                averageTimeToApprovalHours: approvals ? Math.round(approvals.averageMs / (60 * 60 * 1000) * 10) / 10 : null
+            }
+        }
+    };
+}
+
+// Per-instance cache for dashboard stats. Serverless instances each keep their
+// own copy, which is fine for numbers that are allowed to be a minute old.
+function createStatsCache(ttlMs) {
+    const entries = new Map();
+    return {
+        get(key) {
+            const entry = entries.get(key);
+            return entry && entry.expiresAt > Date.now() ? entry.value : null;
+        },
+        set(key, value) {
+            const now = Date.now();
+            for (const [storedKey, entry] of entries) {
+                if (entry.expiresAt <= now) entries.delete(storedKey);
+            }
+            entries.set(key, { value, expiresAt: now + ttlMs });
+        }
+    };
+}
+
+module.exports = { STATS_MAX_TOP, parseStatsOptions, collectDashboardStats, createStatsCache };
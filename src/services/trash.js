@@ -0,0 +1,56 @@
+const { deleteEvidenceForReports } = require('./evidence');
+const { deleteReportVersions } = require('./reportVersions');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const TRASH_REASON_MAX_LENGTH = 500;
+const TRASH_PURGE_BATCH_SIZE = 200;
+
+// Every trash and restore is appended to the report's `trashHistory`, so the
+// report itself shows who removed and brought it back, and why.
+function trashUpdate({ by, reason = null, now = new Date() }) {
+    return {
+        $set: { deletedAt: now, deletedBy: by, deletedReason: reason },
+        $push: { trashHistory: { action: 'trashed', by, reason, at: now } }
+    };
+}
+
+function restoreUpdate({ by, now = new Date() }) {
+    return {
+        $unset: { deletedAt: "", deletedBy: "", deletedReason: "" },
+        $push: { trashHistory: { action: 'restored', by, reason: null, at: now } }
+    };
+}
+
+// Adds when a trashed report will be purged and how many (started) days it
+// has left.
+function withRetention(report, retentionDays, now = new Date()) {
+    const purgeAt = new Date(report.deletedAt.getTime() + retentionDays * DAY_MS);
+    return { ...report, purgeAt, daysRemaining: Math.max(0, Math.ceil((purgeAt - now) / DAY_MS)) };
+}
+
+// Permanently deletes reports that have been in trash longer than the
+// retention period. Runs in batches so a cron invocation stays short; calling
+// it again simply continues where the last run stopped. Resolves to the purged
+// reports as they were before deletion.
+async function purgeExpiredTrash(db, evidenceStorage, retentionDays, now = new Date()) {
+    const userReportsCollection = db.collection('userReports');
+    const expiredQuery = { deletedAt: { $lte: new Date(now.getTime() - retentionDays * DAY_MS) } };
+
+    const expired = await userReportsCollection.find(expiredQuery).sort({ deletedAt: 1 }).limit(TRASH_PURGE_BATCH_SIZE).toArray();
+    if (expired.length === 0) {
+        return [];
+    }
+
+    await userReportsCollection.deleteMany({ ...expiredQuery, _id: { $in: expired.map(report => report._id) } });
+    await deleteEvidenceForReports(db, evidenceStorage, expired);
+    await deleteReportVersions(db, expired);
+    return expired;
+}
+
+module.exports = {
+    TRASH_REASON_MAX_LENGTH,
+    trashUpdate,
+    restoreUpdate,
+    withRetention,
+    purgeExpiredTrash
+};
@@ -0,0 +1,122 @@
+const { incidentsOf, primaryIncidentIndex, reportFieldsFrom, clusterFields } = require('./reports');
+const { deleteEvidenceForReports } = require('./evidence');
+const { deleteReportVersions } = require('./reportVersions');
+const { revokeSessions } = require('./authSync');
+
+// What happens to the reports a user filed when their account is erased:
+// - reassign: another account becomes the reporter
+// - anonymize: reports stay, credited to ANONYMOUS_REPORTER
+// - cascade: their incidents are removed, and reports left without any are deleted
+const REPORT_ERASURE_POLICIES = ['reassign', 'anonymize', 'cascade'];
+const ANONYMOUS_REPORTER = { uid: null, fbName: 'Deleted user' };
+
+function reporterQuery(uid) {
+    return { $or: [{ reporterId: uid }, { 'incidents.reporterId': uid }] };
+}
+
+// Resolves to { reassignTo } (the target profile, for 'reassign') or { error }.
+async function validateErasureOptions(db, uid, { reports, reassignTo }) {
+    if (!REPORT_ERASURE_POLICIES.includes(reports)) {
+        return { error: `reports must be one of: ${REPORT_ERASURE_POLICIES.join(', ')}.` };
+    }
+    if (reports !== 'reassign') {
+        return reassignTo !== undefined ? { error: 'reassignTo is only used with reports "reassign".' } : {};
+    }
+    if (typeof reassignTo !== 'string' || !reassignTo || reassignTo === uid) {
+        return { error: 'reassignTo must be the UID of another account.' };
+    }
+    const target = await db.collection('users').findOne({ uid: reassignTo, deletedAt: { $exists: false } });
+    if (!target) {
+        return { error: 'The account in reassignTo does not exist or is in trash.' };
+    }
+    return { reassignTo: target };
+}
+
+async function replaceReporter(db, uid, reporter) {
+    const userReportsCollection = db.collection('userReports');
+    const updatedCount = await userReportsCollection.countDocuments(reporterQuery(uid));
+
+    await userReportsCollection.updateMany(
+        { 'incidents.reporterId': uid },
+        { $set: { 'incidents.$[incident].reporterId': reporter.uid, 'incidents.$[incident].reporterName': reporter.fbName } },
+        { arrayFilters: [{ 'incident.reporterId': uid }] }
+    );
+    await userReportsCollection.updateMany(
+        { reporterId: uid },
+        { $set: { reporterId: reporter.uid, reporterName: reporter.fbName } }
+    );
+    return { updatedCount, deleted: [] };
+}
+
+// Evidence attached to a removed incident goes with it.
+async function removeReporterIncidents(db, evidenceStorage, uid) {
+    const userReportsCollection = db.collection('userReports');
+    const reports = await userReportsCollection.find(reporterQuery(uid)).toArray();
+    const deleted = [];
+    const removedEvidence = [];
+    let updatedCount = 0;
+
+    for (const report of reports) {
+        const incidents = incidentsOf(report);
+        const remaining = incidents.filter(incident => incident.reporterId !== uid);
+        if (remaining.length === 0) {
+            deleted.push(report);
+            continue;
+        }
+
+        const removedIds = new Set(incidents.filter(incident => incident.reporterId === uid).map(incident => String(incident._id)));
+        const isRemovedEvidence = item => item.incidentId != null && removedIds.has(String(item.incidentId));
+        const evidence = report.evidence || [];
+
+        // As with a split, a report whose primary incident is removed takes its
+        // top-level fields from the first incident it keeps.
+        const update = { $set: { ...clusterFields(remaining), evidence: evidence.filter(item => !isRemovedEvidence(item)) } };
+        if (removedIds.has(String(incidents[primaryIncidentIndex(report)]._id))) {
+            const fields = reportFieldsFrom(remaining[0]);
+            Object.assign(update.$set, fields);
+            if (fields.status !== report.status) {
+                update.$push = { statusHistory: { from: report.status, to: fields.status, changedBy: 'system', note: 'Reporter account erased.', changedAt: new Date() } };
+            }
+        }
+
+        await userReportsCollection.updateOne({ _id: report._id }, update);
+        removedEvidence.push(...evidence.filter(isRemovedEvidence));
+        updatedCount += 1;
+    }
+
+    if (deleted.length > 0) {
+        await userReportsCollection.deleteMany({ _id: { $in: deleted.map(report => report._id) } });
+        await deleteReportVersions(db, deleted);
+    }
+    await deleteEvidenceForReports(db, evidenceStorage, [...deleted, { evidence: removedEvidence }]);
+    return { updatedCount, deleted };
+}
+
+// Permanently removes an account: the Firebase user, the profile and its
+// notifications, with the user's reports handled per `options.reports`
+// (already checked by validateErasureOptions). The Firebase user goes first,
+// so a failure part-way leaves the profile in trash and erasure can be retried.
+// Resolves to { updatedCount, deleted } for the affected reports.
+async function eraseUser(db, auth, evidenceStorage, user, { reports, reassignTo }) {
+    await revokeSessions(auth, user.uid);
+    try {
+        await auth.deleteUser(user.uid);
+    } catch (error) {
+        if (error.code !== 'auth/user-not-found') throw error;
+    }
+
+    let result;
+    if (reports === 'reassign') {
+        result = await replaceReporter(db, user.uid, reassignTo);
+    } else if (reports === 'anonymize') {
+        result = await replaceReporter(db, user.uid, ANONYMOUS_REPORTER);
+    } else {
+        result = await removeReporterIncidents(db, evidenceStorage, user.uid);
+    }
+
+    await db.collection('notifications').deleteMany({ recipientUid: user.uid });
+    await db.collection('users').deleteOne({ uid: user.uid });
+    return result;
+}
+
+module.exports = { REPORT_ERASURE_POLICIES, ANONYMOUS_REPORTER, validateErasureOptions, eraseUser };
@@ -0,0 +1,184 @@
+const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Control characters are dropped from every string; multiline fields keep
+// newlines and tabs.
+const CONTROL_CHARACTERS = /\p{Cc}/gu;
+const CONTROL_CHARACTERS_EXCEPT_LINE_BREAKS = /[^\P{Cc}\n\t]/gu;
+const OBJECT_ID_REGEX = /^[a-f0-9]{24}$/i;
+
+function sanitizeString(value, multiline) {
+    const cleaned = value
+        .normalize('NFC')
+        .replace(/\r\n?/g, '\n')
+        .replace(multiline ? CONTROL_CHARACTERS_EXCEPT_LINE_BREAKS : CONTROL_CHARACTERS, multiline ? '' : ' ');
+    return cleaned.trim();
+}
+
+// Params shape for routes that address a document by its ObjectId.
+const ID_PARAMS = { id: { type: 'objectId', required: true } };
+
+// Each checker takes a present (not undefined or null) value and its field
+// spec, and returns { value } or { error }.
+const TYPE_CHECKERS = {
+    string(value, spec) {
+        if (typeof value !== 'string') {
+            return { error: 'must be a string' };
+        }
+        const cleaned = sanitizeString(value, spec.multiline);
+        if (spec.required && !cleaned) {
+            return { error: 'is required' };
+        }
+        if (spec.minLength !== undefined && cleaned.length < spec.minLength) {
+            return { error: spec.minLength === 1 ? 'must not be empty' : `must be at least ${spec.minLength} characters` };
+        }
+        if (spec.maxLength !== undefined && cleaned.length > spec.maxLength) {
+            return { error: `must be at most ${spec.maxLength} characters` };
+        }
+        if (spec.enum && !spec.enum.includes(cleaned)) {
+            return { error: `must be one of: ${spec.enum.join(', ')}` };
+        }
+        if (spec.pattern && !spec.pattern.test(cleaned)) {
+            return { error: spec.patternMessage || 'has an invalid format' };
+        }
+        return { value: cleaned };
+    },
+    email(value, spec) {
+        const result = TYPE_CHECKERS.string(value, { maxLength: 254, ...spec });
+        if (result.error) return result;
+        return EMAIL_REGEX.test(result.value) ? { value: result.value.toLowerCase() } : { error: 'must be a valid email address' };
+    },
+    // Absolute URLs whose scheme is in `protocols` (http and https by default).
+    url(value, spec) {
+        const result = TYPE_CHECKERS.string(value, { maxLength: 2048, ...spec });
+        if (result.error) return result;
+        const protocols = spec.protocols || ['http:', 'https:'];
+        let parsed;
+        try {
+            parsed = new URL(result.value);
+        } catch (error) {
+            return { error: 'must be a valid absolute URL' };
+        }
+        if (!protocols.includes(parsed.protocol)) {
+            return { error: `must use ${protocols.map(protocol => protocol.slice(0, -1)).join(' or ')}` };
+        }
+        return result;
+    },
+    // Query strings and multipart fields arrive as text, so numeric strings are accepted.
+    integer(value, spec) {
+        const number = typeof value === 'string' && /^-?\d+$/.test(value.trim()) ? Number(value) : value;
+        if (!Number.isInteger(number)) {
+            return { error: 'must be an integer' };
+        }
+        if (spec.min !== undefined && number < spec.min) {
+            return { error: `must be at least ${spec.min}` };
+        }
+        if (spec.max !== undefined && number > spec.max) {
+            return { error: `must be at most ${spec.max}` };
+        }
+        return { value: number };
+    },
+    boolean(value) {
+        if (value === true || value === 'true') return { value: true };
+        if (value === false || value === 'false') return { value: false };
+        return { error: 'must be true or false' };
+    },
+    // Kept as the caller sent it; routes parse it where they already did.
+    date(value) {
+        if (typeof value !== 'string' || isNaN(new Date(value))) {
+            return { error: 'must be a valid date' };
+        }
+        return { value: value.trim() };
+    },
+    objectId(value) {
+        return typeof value === 'string' && OBJECT_ID_REGEX.test(value)
+            ? { value }
+            : { error: 'must be a valid ID' };
+    },
+    array(value, spec) {
+        if (!Array.isArray(value)) {
+            return { error: 'must be an array' };
+        }
+        if (spec.minItems !== undefined && value.length < spec.minItems) {
+            return { error: `must contain at least ${spec.minItems} items` };
+        }
+        if (spec.maxItems !== undefined && value.length > spec.maxItems) {
+            return { error: `must contain at most ${spec.maxItems} items` };
+        }
+        // Without `items`, entries are passed through for the route to check.
+        if (!spec.items) {
+            return { value };
+        }
+        const items = [];
+        for (const [index, item] of value.entries()) {
+            const result = checkField(item, spec.items);
+            if (result.error) {
+                return { error: `item ${index} ${result.error}` };
+            }
+            items.push(result.value);
+        }
+        return { value: spec.unique ? [...new Set(items)] : items };
+    }
+};
+
+// Empty strings count as missing (forms send them for blank inputs) unless the
+// field sets a minimum length.
+function checkField(value, spec) {
+    if (value === undefined || value === null || (value === '' && !spec.minLength)) {
+        if (value === null && spec.nullable) {
+            return { value: null };
+        }
+        if (spec.required) {
+            return { error: 'is required' };
+        }
+        return { value: undefined };
+    }
+    return TYPE_CHECKERS[spec.type](value, spec);
+}
+
+// Checks `input` against `shape` ({ field: spec }). Fields not in the shape are
+// rejected, and the returned value only holds the declared fields that were
+// present, sanitized. Resolves to { value } or { fields } listing every failure.
+function validateShape(shape, input, location) {
+    const fields = [];
+    if (input !== undefined && (typeof input !== 'object' || input === null || Array.isArray(input))) {
+        return { fields: [{ location, field: null, message: 'must be an object' }] };
+    }
+
+    const source = input || {};
+    for (const field of Object.keys(source)) {
+        if (!Object.hasOwn(shape, field)) {
+            fields.push({ location, field, message: 'is not allowed' });
+        }
+    }
+
+    const value = {};
+    for (const [field, spec] of Object.entries(shape)) {
+        const result = checkField(source[field], spec);
+        if (result.error) {
+            fields.push({ location, field, message: result.error });
+        } else if (result.value !== undefined) {
+            value[field] = result.value;
+        }
+    }
+
+    return fields.length > 0 ? { fields } : { value };
+}
+
+// A route schema declares the shapes of any of `params`, `query` and `body`.
+// Locations it leaves out are not checked.
+function validateRequestParts(schema, req) {
+    const fields = [];
+    const value = {};
+    for (const location of ['params', 'query', 'body']) {
+        if (!schema[location]) continue;
+        const result = validateShape(schema[location], req[location], location);
+        if (result.fields) {
+            fields.push(...result.fields);
+        } else {
+            value[location] = result.value;
+        }
+    }
+    return fields.length > 0 ? { fields } : { value };
+}
+
+module.exports = { ID_PARAMS, sanitizeString, validateShape, validateRequestParts };
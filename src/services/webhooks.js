@@ -0,0 +1,225 @@
+const crypto = require('crypto');
+const { ObjectId } = require("mongodb");
+const { logger } = require('./logger');
+
+const WEBHOOK_EVENTS = ['report.created', 'report.status_changed', 'report.trashed', 'report.restored', 'report.deleted', 'user.approved'];
+const WEBHOOK_DESCRIPTION_MAX_LENGTH = 200;
+const WEBHOOK_MAX_ATTEMPTS = 8;
+const WEBHOOK_BASE_BACKOFF_MS = 30 * 1000;
+const WEBHOOK_MAX_BACKOFF_MS = 6 * 60 * 60 * 1000;
+const WEBHOOK_TIMEOUT_MS = 5000;
+const WEBHOOK_LOCK_MS = 60 * 1000;
+// Deliveries attempted inline by the request that produced them; the rest wait
+// for the cron sweep.
+const WEBHOOK_INLINE_LIMIT = 20;
+
+function generateWebhookSecret() {
+    return `whsec_${crypto.randomBytes(32).toString('hex')}`;
+}
+
+// Receivers verify `X-Webhook-Signature` by computing the same HMAC over
+// "<X-Webhook-Timestamp>.<raw body>" with their endpoint secret.
+function signWebhookPayload(secret, timestamp, body) {
+    return `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+}
+
+// 30s, 1m, 2m, 4m, ... capped at 6h.
+function webhookBackoffMs(attempts) {
+    return Math.min(WEBHOOK_BASE_BACKOFF_MS * 2 ** (attempts - 1), WEBHOOK_MAX_BACKOFF_MS);
+}
+
+// The fields partners get for a report: what the public lists show, without
+// reporter identities.
+function webhookReportView(report) {
+    return {
+        _id: report._id,
+        name: report.name,
+        facebookLink: report.facebookLink,
+        phone: report.phone,
+        status: report.status,
+        suspendedUntil: report.suspendedUntil ?? null,
+        reviewStatus: report.reviewStatus ?? null,
+        incidentCount: report.incidentCount ?? 1,
+        timestamp: report.timestamp,
+        lastReportedAt: report.lastReportedAt ?? report.timestamp
+    };
+}
+
+// Builds a { event, payload } pair for publishWebhookEvents(). Status changes
+// carry the previous status fields so receivers can tell what moved.
+function reportWebhookEvent(event, report, previous = null) {
+    const payload = { report: webhookReportView(report) };
+    if (previous) {
+        payload.previous = {
+            status: previous.status,
+            reviewStatus: previous.reviewStatus ?? null,
+            suspendedUntil: previous.suspendedUntil ?? null
+        };
+    }
+    return { event, payload };
+}
+
+// Fields admins set on an endpoint, as a validation shape for route schemas.
+// Production only delivers to https URLs.
+function webhookEndpointFields({ requireHttps }) {
+    return {
+        url: { type: 'url', protocols: requireHttps ? ['https:'] : ['http:', 'https:'] },
+        events: { type: 'array', minItems: 1, unique: true, items: { type: 'string', required: true, enum: WEBHOOK_EVENTS } },
+        description: { type: 'string', maxLength: WEBHOOK_DESCRIPTION_MAX_LENGTH },
+        active: { type: 'boolean' }
+    };
+}
+
+async function attemptDelivery(db, delivery, endpoint) {
+    const deliveries = db.collection('webhookDeliveries');
+    const startedAt = new Date();
+    const body = JSON.stringify({ id: delivery._id, event: delivery.event, createdAt: delivery.createdAt, data: delivery.payload });
+    const timestamp = String(Math.floor(startedAt.getTime() / 1000));
+
+    let responseStatus = null;
+    let error = null;
+    if (!endpoint || !endpoint.active) {
+        error = 'Endpoint was deleted or disabled.';
+    } else {
+        try {
+            const response = await fetch(endpoint.url, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'User-Agent': 'admin-management-server-webhooks',
+                    'X-Webhook-Id': String(delivery._id),
+                    'X-Webhook-Event': delivery.event,
+                    'X-Webhook-Timestamp': timestamp,
+                    'X-Webhook-Signature': signWebhookPayload(endpoint.secret, timestamp, body)
+                },
+                body,
+                redirect: 'manual',
+                signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS)
+            });
+            responseStatus = response.status;
+            if (!response.ok) {
+                error = `Endpoint responded with ${response.status}.`;
+            }
+        } catch (fetchError) {
+            error = fetchError.name === 'TimeoutError' ? `Timed out after ${WEBHOOK_TIMEOUT_MS}ms.` : fetchError.message;
+        }
+    }
+
+    const attempts = delivery.attempts + 1;
+    const attempt = { at: startedAt, responseStatus, error, durationMs: Date.now() - startedAt.getTime() };
+    const gaveUp = error && (attempts >= WEBHOOK_MAX_ATTEMPTS || !endpoint || !endpoint.active);
+    const update = {
+        $set: {
+            attempts,
+            lastAttemptAt: startedAt,
+            lastResponseStatus: responseStatus,
+            lastError: error,
+            status: !error ? 'delivered' : gaveUp ? 'failed' : 'pending',
+            ...(error ? {} : { deliveredAt: new Date() }),
+            ...(error && !gaveUp ? { nextAttemptAt: new Date(Date.now() + webhookBackoffMs(attempts)) } : {})
+        },
+        $unset: { lockedUntil: '' },
+        $push: { attemptLog: attempt }
+    };
+    return deliveries.findOneAndUpdate({ _id: delivery._id }, update, { returnDocument: 'after' });
+}
+
+// Claims due deliveries one at a time (so concurrent sweeps never send the same
+// delivery twice), then attempts the claimed batch in parallel. `ids` restricts
+// the sweep to specific deliveries, which is how requests send their own
+// events right away.
+async function dispatchWebhookDeliveries(db, { ids = null, limit = 50, now = new Date() } = {}) {
+    const deliveries = db.collection('webhookDeliveries');
+    const endpoints = db.collection('webhookEndpoints');
+    const claimedDeliveries = [];
+
+    for (let i = 0; i < limit; i++) {
+        const claimed = await deliveries.findOneAndUpdate(
+            {
+                ...(ids ? { _id: { $in: ids } } : {}),
+                status: 'pending',
+                nextAttemptAt: { $lte: now },
+                $or: [{ lockedUntil: { $exists: false } }, { lockedUntil: { $lte: now } }]
+            },
+            { $set: { lockedUntil: new Date(now.getTime() + WEBHOOK_LOCK_MS) } },
+            { sort: { nextAttemptAt: 1 }, returnDocument: 'after' }
+        );
+        if (!claimed) break;
+        claimedDeliveries.push(claimed);
+    }
+
+    const results = await Promise.all(claimedDeliveries.map(async delivery => {
+        const endpoint = await endpoints.findOne({ _id: delivery.endpointId });
+        return attemptDelivery(db, delivery, endpoint);
+    }));
+
+    return {
+        attempted: results.length,
+        delivered: results.filter(result => result.status === 'delivered').length,
+        failed: results.filter(result => result.status === 'failed').length
+    };
+}
+
+// Stores one delivery per subscribed endpoint in the 'webhookDeliveries' outbox.
+// Returns the new delivery ids.
+async function enqueueWebhookEvent(db, event, payload) {
+    const subscribers = await db.collection('webhookEndpoints').find({ active: true, events: event }).project({ _id: 1 }).toArray();
+    if (subscribers.length === 0) {
+        return [];
+    }
+
+    const now = new Date();
+    const docs = subscribers.map(endpoint => ({
+        _id: new ObjectId(),
+        endpointId: endpoint._id,
+        event,
+        payload,
+        status: 'pending',
+        attempts: 0,
+        nextAttemptAt: now,
+        attemptLog: [],
+        createdAt: now
+    }));
+    await db.collection('webhookDeliveries').insertMany(docs);
+    return docs.map(doc => doc._id);
+}
+
+// Partners only hear about reports the public lists show. Reports pending
+// review or rejected stay private, except for the status change that
+// withdraws a report partners were already sent.
+function isPublishedReportEvent({ payload }) {
+    const published = reviewStatus => (reviewStatus ?? 'verified') === 'verified';
+    return !payload.report || published(payload.report.reviewStatus) || Boolean(payload.previous && published(payload.previous.reviewStatus));
+}
+
+// Queues `events` ([{ event, payload }]) and attempts them before the response
+// is sent: Vercel may freeze the function afterwards, so anything that doesn't
+// get through here is retried from the outbox by the cron sweep. Like audit
+// writes, failures are logged and never fail the triggering request.
+async function publishWebhookEvents(db, events) {
+    try {
+        const ids = [];
+        for (const { event, payload } of events.filter(isPublishedReportEvent)) {
+            ids.push(...await enqueueWebhookEvent(db, event, payload));
+        }
+        if (ids.length > 0) {
+            await dispatchWebhookDeliveries(db, { ids: ids.slice(0, WEBHOOK_INLINE_LIMIT), limit: WEBHOOK_INLINE_LIMIT });
+        }
+    } catch (error) {
+        logger.error(`Failed to publish webhook events (${events.map(({ event }) => event).join(', ')})`, { err: error });
+    }
+}
+
+module.exports = {
+    WEBHOOK_EVENTS,
+    WEBHOOK_MAX_ATTEMPTS,
+    generateWebhookSecret,
+    signWebhookPayload,
+    webhookBackoffMs,
+    webhookReportView,
+    reportWebhookEvent,
+    webhookEndpointFields,
+    dispatchWebhookDeliveries,
+    enqueueWebhookEvent,
+    publishWebhookEvents
+};
@@ -0,0 +1,216 @@
+const os = require('os');
+const path = require('path');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const { MongoClient, ObjectId } = require('mongodb');
+const { createApp } = require('../src/app');
+const { loadConfig } = require('../src/config');
+const { createMemoryQuotaStore } = require('../src/middleware/rateLimit');
+const { createInAppTransport, createStubTransport } = require('../src/services/notifications');
+const { createLogger } = require('../src/services/logger');
+const { runMigrations } = require('../src/services/migrations');
+
+const CRON_SECRET = 'test-cron-secret';
+
+const USERS = {
+    superadmin: { uid: 'superadmin-uid', email: 'superadmin@example.com', fbName: 'Super Admin', role: 'superadmin', status: 'approved' },
+    admin: { uid: 'admin-uid', email: 'admin@example.com', fbName: 'Admin', role: 'admin', status: 'approved' },
+    user: { uid: 'user-uid', email: 'user@example.com', fbName: 'Regular User', role: 'user', status: 'approved' },
+    pending: { uid: 'pending-uid', email: 'pending@example.com', fbName: 'Pending User', role: 'user', status: 'pending' }
+};
+
+// Signed in with Firebase but not registered through POST /api/users yet.
+const NEWCOMER = { uid: 'new-uid', email: 'new@example.com', fbName: 'New User' };
+
+// Fixed ids so permission tests can address fixtures without looking them up.
+const FIXTURES = {
+    reportId: new ObjectId('64b000000000000000000001'),
+    trashedReportId: new ObjectId('64b000000000000000000002'),
+    secondReportId: new ObjectId('64b000000000000000000003'),
+    incidentId: new ObjectId('64b000000000000000000004'),
+    appealId: new ObjectId('64b000000000000000000005')
+};
+
+function fixtureReport(_id, overrides = {}) {
+    const incidentId = overrides.incidentId || new ObjectId();
+    const name = overrides.name || 'Mohammad Rahim';
+    const phone = overrides.phone || '01712345678';
+    const facebookLink = overrides.facebookLink || 'https://facebook.com/rahim.scam';
+    const incident = {
+        _id: incidentId,
+        name,
+        facebookLink,
+        phone,
+        phoneNormalized: `+880${phone.replace(/^0/, '')}`,
+        facebookLinkNormalized: facebookLink,
+        status: 'banned',
+        suspendedUntil: null,
+        reason: 'Took payment and never delivered.',
+        reporterId: USERS.user.uid,
+        reporterName: USERS.user.fbName,
+        timestamp: new Date('2025-01-01T00:00:00Z')
+    };
+    return {
+        _id,
+        name,
+        facebookLink,
+        phone,
+        status: 'banned',
+        suspendedUntil: null,
+        reason: incident.reason,
+        reporterId: USERS.user.uid,
+        reporterName: USERS.user.fbName,
+        timestamp: incident.timestamp,
+        reviewStatus: 'verified',
+        incidents: [incident],
+        incidentCount: 1,
+        phoneKeys: [incident.phoneNormalized],
+        facebookLinkKeys: [facebookLink],
+        ...overrides.fields
+    };
+}
+
+// Stands in for firebase-admin's auth(): a token is simply the uid it belongs to.
+// Set `failClaimsFor` to a uid to make setCustomUserClaims reject for it.
+function createFakeAuth() {
+    const claims = new Map();
+    const revokedUsers = new Set();
+    const disabledUsers = new Set();
+    const deletedUsers = [];
+
+    return {
+        claims,
+        revokedUsers,
+        disabledUsers,
+        deletedUsers,
+        failClaimsFor: null,
+        async verifyIdToken(token, checkRevoked = false) {
+            const user = [...Object.values(USERS), NEWCOMER].find(candidate => candidate.uid === token);
+            if (!user) {
+                const error = new Error('Decoding Firebase ID token failed.');
+                error.code = 'auth/argument-error';
+                throw error;
+            }
+            if (checkRevoked && disabledUsers.has(user.uid)) {
+                const error = new Error('The user account has been disabled by an administrator.');
+                error.code = 'auth/user-disabled';
+                throw error;
+            }
+            if (checkRevoked && revokedUsers.has(user.uid)) {
+                const error = new Error('The Firebase ID token has been revoked.');
+                error.code = 'auth/id-token-revoked';
+                throw error;
+            }
+            return { uid: user.uid, email: user.email, ...claims.get(user.uid) };
+        },
+        async setCustomUserClaims(uid, customClaims) {
+            if (uid === this.failClaimsFor) {
+                const error = new Error('Firebase is unavailable.');
+                error.code = 'auth/internal-error';
+                throw error;
+            }
+            claims.set(uid, customClaims);
+        },
+        async revokeRefreshTokens(uid) {
+            revokedUsers.add(uid);
+        },
+        async listUsers() {
+            return {
+                users: Object.values(USERS)
+                    .filter(user => !deletedUsers.includes(user.uid))
+                    .map(user => ({ uid: user.uid, email: user.email, customClaims: claims.get(user.uid) }))
+            };
+        },
+        async updateUser(uid, { disabled }) {
+            if (disabled) disabledUsers.add(uid);
+            else disabledUsers.delete(uid);
+        },
+        async deleteUser(uid) {
+            deletedUsers.push(uid);
+        }
+    };
+}
+
+async function startTestServer(env = {}) {
+    const mongoServer = await MongoMemoryServer.create();
+    const client = new MongoClient(mongoServer.getUri());
+    await client.connect();
+    const db = client.db('admin_management_test');
+    // Log entries are kept instead of printed, so tests can assert on them.
+    const logs = [];
+    const logger = createLogger({ level: 'debug', write: entry => logs.push(entry) });
+    await runMigrations(db, { logger });
+
+    const auth = createFakeAuth();
+    const config = loadConfig({
+        NODE_ENV: 'test',
+        MONGODB_URI: mongoServer.getUri(),
+        MONGODB_DB_NAME: db.databaseName,
+        CRON_SECRET,
+        EVIDENCE_LOCAL_DIR: path.join(os.tmpdir(), `evidence-${process.pid}`),
+        ...env
+    });
+    const outbox = createStubTransport();
+    const app = createApp({
+        db,
+        auth,
+        config,
+        quotaStore: createMemoryQuotaStore(),
+        notificationTransports: [createInAppTransport(), outbox],
+        logger
+    });
+
+    async function reset() {
+        const collections = await db.collections();
+        await Promise.all(collections.map(collection => collection.deleteMany({})));
+        auth.claims.clear();
+        auth.revokedUsers.clear();
+        auth.disabledUsers.clear();
+        auth.deletedUsers.length = 0;
+        auth.failClaimsFor = null;
+        outbox.sent.length = 0;
+        logs.length = 0;
+
+        await db.collection('users').insertMany(Object.values(USERS).map(user => ({
+            ...user,
+            registrationDate: new Date('2025-01-01T00:00:00Z')
+        })));
+        await db.collection('userReports').insertMany([
+            fixtureReport(FIXTURES.reportId, { incidentId: FIXTURES.incidentId }),
+            fixtureReport(FIXTURES.secondReportId, { name: 'Karim Uddin', phone: '01898765432', facebookLink: 'https://facebook.com/karim.uddin' }),
+            fixtureReport(FIXTURES.trashedReportId, {
+                name: 'Trashed Person',
+                phone: '01555555555',
+                facebookLink: 'https://facebook.com/trashed.person',
+                fields: { deletedAt: new Date('2025-02-01T00:00:00Z'), deletedBy: USERS.user.uid }
+            })
+        ]);
+        await db.collection('appeals').insertOne({
+            _id: FIXTURES.appealId,
+            reportId: FIXTURES.reportId,
+            contact: { name: 'Rahim', email: 'rahim@example.com', phone: null },
+            explanation: 'This is not me.',
+            status: 'open',
+            assignedTo: null,
+            comments: [],
+            resolution: null,
+            trackingTokenHash: 'fixture-token-hash',
+            timestamp: new Date('2025-03-01T00:00:00Z'),
+            updatedAt: new Date('2025-03-01T00:00:00Z')
+        });
+    }
+
+    async function stop() {
+        await client.close();
+        await mongoServer.stop();
+    }
+
+    return { app, db, auth, notifications: outbox.sent, logs, reset, stop };
+}
+
+// `role` is a key of USERS, or 'newcomer' for NEWCOMER; anything else is anonymous.
+function bearer(role) {
+    const account = role === 'newcomer' ? NEWCOMER : USERS[role];
+    return account ? { Authorization: `Bearer ${account.uid}` } : {};
+}
+
+module.exports = { USERS, NEWCOMER, FIXTURES, CRON_SECRET, fixtureReport, createFakeAuth, startTestServer, bearer };
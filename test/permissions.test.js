@@ -0,0 +1,183 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const request = require('supertest');
+const { USERS, FIXTURES, CRON_SECRET, startTestServer, bearer } = require('./helpers');
+
+const ROLES = ['anonymous', 'pending', 'user', 'admin', 'superadmin'];
+const ANYONE = ROLES;
+const SIGNED_IN = ['pending', 'user', 'admin', 'superadmin'];
+const APPROVED = ['user', 'admin', 'superadmin'];
+const ADMINS = ['admin', 'superadmin'];
+const SUPERADMINS = ['superadmin'];
+
+const reportId = FIXTURES.reportId.toString();
+const secondReportId = FIXTURES.secondReportId.toString();
+const trashedReportId = FIXTURES.trashedReportId.toString();
+const appealId = FIXTURES.appealId.toString();
+
+// Every route the app exposes, with the roles that may get past its permission
+// checks. "Allowed" means the response is neither 401 nor 403.
+const ROUTES = [
+    { method: 'get', path: '/', allowed: ANYONE },
+    { method: 'get', path: '/healthz', allowed: ANYONE },
+    { method: 'get', path: '/readyz', allowed: ANYONE },
+
+    { method: 'post', path: '/api/userReports', allowed: APPROVED, body: { name: 'New Person', facebookLink: 'https://facebook.com/new.person', phone: '01911111111', status: 'banned', reason: 'Scammed me.' } },
+    { method: 'get', path: '/api/userReports', allowed: ANYONE },
+    { method: 'get', path: '/api/userReports/mine', allowed: APPROVED },
+    { method: 'get', path: `/api/userReports/${reportId}`, allowed: ANYONE },
+    { method: 'patch', path: `/api/userReports/${reportId}`, allowed: APPROVED, body: { reason: 'Took payment twice and never delivered.' } },
+    { method: 'get', path: `/api/userReports/${reportId}/history`, allowed: APPROVED },
+    { method: 'delete', path: `/api/userReports/${reportId}`, allowed: APPROVED },
+    { method: 'get', path: `/api/userReports/${reportId}/evidence`, allowed: APPROVED },
+    { method: 'post', path: `/api/userReports/${reportId}/evidence`, allowed: APPROVED },
+    { method: 'get', path: '/api/suspendedUsers', allowed: ANYONE },
+    { method: 'get', path: '/api/bannedUsers', allowed: ANYONE },
+    { method: 'get', path: '/api/allUserReports', allowed: ANYONE },
+    { method: 'get', path: '/api/lookup?phone=01712345678', allowed: APPROVED },
+
+    { method: 'delete', path: `/api/admin/userReports/${reportId}`, allowed: ADMINS },
+    { method: 'get', path: '/api/admin/userReports/export', allowed: ADMINS },
+    { method: 'post', path: '/api/admin/userReports/import', allowed: ADMINS, body: { source: 'Permission check', dryRun: true, rows: [{ name: 'New Person', facebookLink: 'https://facebook.com/new.person', phone: '01911111111', status: 'banned', reason: 'Scammed me.' }] } },
+    { method: 'post', path: `/api/admin/userReports/${reportId}/merge`, allowed: ADMINS, body: { sourceIds: [secondReportId] } },
+    { method: 'post', path: `/api/admin/userReports/${reportId}/split`, allowed: ADMINS, body: { incidentIds: [FIXTURES.incidentId.toString()] } },
+    { method: 'patch', path: `/api/admin/userReports/${reportId}/review`, allowed: ADMINS, body: { decision: 'rejected', note: 'Not enough detail.' } },
+    { method: 'patch', path: `/api/admin/userReports/${reportId}/suspension`, allowed: ADMINS, body: { suspendedUntil: '2099-01-01T00:00:00Z' } },
+    { method: 'patch', path: `/api/admin/userReports/${reportId}/escalate`, allowed: ADMINS, body: {} },
+    { method: 'post', path: `/api/admin/userReports/${reportId}/revert`, allowed: ADMINS, body: { version: 1 } },
+    { method: 'get', path: '/api/admin/reviewQueue', allowed: ADMINS },
+    { method: 'post', path: '/api/admin/userReports/reindex-search', allowed: SUPERADMINS },
+
+    { method: 'get', path: '/api/trashedReports', allowed: ADMINS },
+    { method: 'patch', path: `/api/trashedReports/${trashedReportId}/restore`, allowed: ADMINS },
+    { method: 'delete', path: `/api/trashedReports/${trashedReportId}/permanent`, allowed: ADMINS },
+    { method: 'post', path: '/api/trashedReports/bulk-action', allowed: ADMINS, body: { action: 'restore', ids: [trashedReportId] } },
+
+    { method: 'post', path: '/api/users', allowed: SIGNED_IN, body: { email: 'new@example.com', fbName: 'New User' } },
+    { method: 'get', path: `/api/users/${USERS.user.uid}`, allowed: ANYONE },
+    { method: 'get', path: '/api/users', allowed: ADMINS },
+    { method: 'patch', path: `/api/users/${USERS.pending.uid}/status`, allowed: ADMINS, body: { status: 'approved' } },
+    { method: 'patch', path: `/api/users/${USERS.user.uid}/role`, allowed: SUPERADMINS, body: { role: 'admin' } },
+    { method: 'delete', path: `/api/users/${USERS.pending.uid}`, allowed: ADMINS },
+    { method: 'get', path: '/api/admin/deletionRequests', allowed: ADMINS },
+    { method: 'post', path: `/api/admin/deletionRequests/${USERS.pending.uid}/confirm`, allowed: ADMINS },
+    { method: 'post', path: `/api/admin/deletionRequests/${USERS.pending.uid}/reject`, allowed: ADMINS },
+    { method: 'get', path: '/api/trashedUsers', allowed: ADMINS },
+    { method: 'patch', path: `/api/trashedUsers/${USERS.pending.uid}/restore`, allowed: ADMINS },
+    { method: 'delete', path: `/api/trashedUsers/${USERS.pending.uid}/permanent`, allowed: SUPERADMINS, body: { reports: 'anonymize' } },
+    { method: 'get', path: '/api/admin/auth/reconcile', allowed: SUPERADMINS },
+    { method: 'post', path: '/api/admin/auth/reconcile', allowed: SUPERADMINS },
+
+    { method: 'post', path: '/api/appeals', allowed: ANYONE, body: { reportId, contactName: 'Rahim', contactEmail: 'rahim@example.com', explanation: 'This report is about someone else.' } },
+    { method: 'get', path: '/api/appeals/track/unknown-token', allowed: ANYONE },
+    { method: 'post', path: '/api/appeals/track/unknown-token/comments', allowed: ANYONE, body: { message: 'Any update?' } },
+    { method: 'get', path: '/api/admin/appeals', allowed: ADMINS },
+    { method: 'get', path: `/api/admin/appeals/${appealId}`, allowed: ADMINS },
+    { method: 'patch', path: `/api/admin/appeals/${appealId}/claim`, allowed: ADMINS },
+    { method: 'post', path: `/api/admin/appeals/${appealId}/comments`, allowed: ADMINS, body: { message: 'Looking into it.' } },
+    { method: 'patch', path: `/api/admin/appeals/${appealId}/decision`, allowed: ADMINS, body: { decision: 'denied', note: 'Report stands.' } },
+
+    { method: 'get', path: '/api/admin/audit', allowed: SUPERADMINS },
+
+    { method: 'get', path: '/api/admin/webhooks', allowed: SUPERADMINS },
+    { method: 'post', path: '/api/admin/webhooks', allowed: SUPERADMINS, body: { url: 'https://partner.example.com/hook', events: ['report.created'] } },
+    { method: 'patch', path: `/api/admin/webhooks/${reportId}`, allowed: SUPERADMINS, body: { active: false } },
+    { method: 'post', path: `/api/admin/webhooks/${reportId}/rotate-secret`, allowed: SUPERADMINS },
+    { method: 'delete', path: `/api/admin/webhooks/${reportId}`, allowed: SUPERADMINS },
+    { method: 'get', path: `/api/admin/webhooks/${reportId}/deliveries`, allowed: SUPERADMINS },
+    { method: 'post', path: `/api/admin/webhooks/deliveries/${reportId}/replay`, allowed: SUPERADMINS },
+
+    { method: 'get', path: '/api/admin/stats', allowed: ADMINS },
+
+    { method: 'get', path: '/api/admin/apiKeys', allowed: SUPERADMINS },
+    { method: 'post', path: '/api/admin/apiKeys', allowed: SUPERADMINS, body: { name: 'Discord bot', scopes: ['reports:lookup'] } },
+    { method: 'patch', path: `/api/admin/apiKeys/${reportId}`, allowed: SUPERADMINS, body: { name: 'Renamed' } },
+    { method: 'delete', path: `/api/admin/apiKeys/${reportId}`, allowed: SUPERADMINS },
+
+    { method: 'get', path: '/api/me', allowed: SIGNED_IN },
+    { method: 'patch', path: '/api/me', allowed: SIGNED_IN, body: { fbName: 'Renamed' } },
+    { method: 'get', path: '/api/me/reports', allowed: SIGNED_IN },
+    { method: 'post', path: '/api/me/deletionRequest', allowed: SIGNED_IN, body: { reason: 'Leaving.' } },
+    { method: 'delete', path: '/api/me/deletionRequest', allowed: SIGNED_IN },
+    { method: 'get', path: '/api/me/notifications', allowed: SIGNED_IN },
+    { method: 'get', path: '/api/me/notifications/unread-count', allowed: SIGNED_IN },
+    { method: 'post', path: '/api/me/notifications/read-all', allowed: SIGNED_IN },
+
+    { method: 'get', path: '/api/admin/roles', allowed: SUPERADMINS },
+    { method: 'post', path: '/api/admin/roles', allowed: SUPERADMINS, body: { name: 'reviewer', permissions: ['reports:review'] } },
+    { method: 'patch', path: '/api/admin/roles/admin', allowed: SUPERADMINS, body: { description: 'Moderators.' } },
+    { method: 'delete', path: '/api/admin/roles/reviewer', allowed: SUPERADMINS }
+];
+
+describe('permission matrix', () => {
+    let server;
+
+    before(async () => {
+        server = await startTestServer();
+    });
+
+    after(async () => {
+        await server.stop();
+    });
+
+    beforeEach(async () => {
+        await server.reset();
+    });
+
+    for (const route of ROUTES) {
+        for (const role of ROLES) {
+            const allowed = route.allowed.includes(role);
+
+            it(`${route.method.toUpperCase()} ${route.path} is ${allowed ? 'allowed' : 'denied'} for ${role}`, async () => {
+                let pending = request(server.app)[route.method](route.path).set(bearer(role));
+                if (route.body) pending = pending.send(route.body);
+                const res = await pending;
+
+                if (allowed) {
+                    assert.ok(![401, 403].includes(res.status), `expected access, got ${res.status}: ${JSON.stringify(res.body)}`);
+                } else {
+                    assert.equal(res.status, role === 'anonymous' ? 401 : 403, JSON.stringify(res.body));
+                }
+            });
+        }
+    }
+
+    it('only shows the public profile view to anonymous callers and other users', async () => {
+        for (const role of ['anonymous', 'pending', 'user']) {
+            const res = await request(server.app).get(`/api/users/${USERS.admin.uid}`).set(bearer(role));
+            assert.deepEqual(res.body, { uid: USERS.admin.uid, fbName: USERS.admin.fbName, avatarUrl: null }, role);
+        }
+
+        const hidden = await request(server.app).get(`/api/users/${USERS.pending.uid}`);
+        assert.equal(hidden.status, 404);
+
+        const self = await request(server.app).get(`/api/users/${USERS.pending.uid}`).set(bearer('pending'));
+        assert.equal(self.body.email, USERS.pending.email);
+
+        const asAdmin = await request(server.app).get(`/api/users/${USERS.user.uid}`).set(bearer('admin'));
+        assert.equal(asAdmin.body.role, 'user');
+    });
+
+    it('rejects tokens the verifier does not recognise', async () => {
+        const res = await request(server.app).get('/api/admin/reviewQueue').set('Authorization', 'Bearer forged-token');
+        assert.equal(res.status, 401);
+    });
+
+    for (const path of ['/api/cron/expire-suspensions', '/api/cron/webhooks', '/api/cron/purge-trash', '/api/cron/erase-users']) {
+        it(`guards ${path} with the cron secret`, async () => {
+            const missing = await request(server.app).get(path);
+            assert.equal(missing.status, 401);
+
+            const asAdmin = await request(server.app).get(path).set(bearer('superadmin'));
+            assert.equal(asAdmin.status, 401);
+
+            const withSecret = await request(server.app).get(path).set('Authorization', `Bearer ${CRON_SECRET}`);
+            assert.equal(withSecret.status, 200);
+        });
+    }
+
+    it('rejects local evidence links without a valid signature', async () => {
+        const res = await request(server.app).get('/api/evidence/local').query({ key: `evidence/${reportId}/${'a'.repeat(64)}`, type: 'image/png', expires: Date.now() + 60000, sig: 'bogus' });
+        assert.equal(res.status, 403);
+    });
+});
@@ -0,0 +1,1576 @@
+const http = require('http');
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const request = require('supertest');
+const { ObjectId, Collection } = require('mongodb');
+const { signWebhookPayload } = require('../src/services/webhooks');
+const { runMigrations, pendingMigrations } = require('../src/services/migrations');
+const { USERS, FIXTURES, CRON_SECRET, fixtureReport, startTestServer, bearer } = require('./helpers');
+
+const NEW_REPORT = {
+    name: 'Jamal Hossain',
+    facebookLink: 'https://www.facebook.com/jamal.hossain',
+    phone: '01911111111',
+    status: 'banned',
+    reason: 'Sold a phone that never arrived.'
+};
+
+describe('report workflows', () => {
+    let server;
+
+    before(async () => {
+        server = await startTestServer({ REPORT_QUOTA_PER_USER: '3' });
+    });
+
+    after(async () => {
+        await server.stop();
+    });
+
+    beforeEach(async () => {
+        await server.reset();
+    });
+
+    it('holds new reports for review until an admin verifies them', async () => {
+        const created = await request(server.app).post('/api/userReports').set(bearer('user')).send(NEW_REPORT);
+        assert.equal(created.status, 201);
+        assert.equal(created.body.data.reviewStatus, 'pending_review');
+
+        const before = await request(server.app).get('/api/userReports');
+        assert.ok(!before.body.data.some(report => report._id === String(created.body.insertedId)));
+
+        const reviewed = await request(server.app)
+            .patch(`/api/admin/userReports/${created.body.insertedId}/review`)
+            .set(bearer('admin'))
+            .send({ decision: 'verified' });
+        assert.equal(reviewed.status, 200);
+
+        const after = await request(server.app).get('/api/userReports');
+        assert.ok(after.body.data.some(report => report._id === String(created.body.insertedId)));
+    });
+
+    it('adds a matching submission to the existing report as a new incident', async () => {
+        const res = await request(server.app).post('/api/userReports').set(bearer('admin')).send({
+            ...NEW_REPORT,
+            name: 'Rahim',
+            phone: '+880 1712-345678'
+        });
+
+        assert.equal(res.status, 200);
+        assert.equal(res.body.merged, true);
+        assert.equal(res.body.reportId, FIXTURES.reportId.toString());
+
+        const report = await server.db.collection('userReports').findOne({ _id: FIXTURES.reportId });
+        assert.equal(report.incidentCount, 2);
+        assert.equal(report.reviewStatus, 'pending_review');
+        assert.equal(report.reviewHistory.at(-1).to, 'pending_review');
+
+        const publicList = await request(server.app).get('/api/userReports');
+        assert.ok(!publicList.body.data.some(item => item._id === FIXTURES.reportId.toString()));
+    });
+
+    it('escalates a suspended report when a new incident bans the same person', async () => {
+        await server.db.collection('userReports').updateOne({ _id: FIXTURES.reportId }, { $set: { status: 'suspended', suspendedUntil: new Date(Date.now() + 86400000) } });
+
+        await request(server.app).post('/api/userReports').set(bearer('admin')).send({ ...NEW_REPORT, phone: '01712345678' });
+
+        const report = await server.db.collection('userReports').findOne({ _id: FIXTURES.reportId });
+        assert.equal(report.status, 'banned');
+        assert.equal(report.suspendedUntil, null);
+        assert.deepEqual(report.statusHistory.map(({ from, to }) => ({ from, to })), [{ from: 'suspended', to: 'banned' }]);
+    });
+
+    it('starts a new report instead of reopening a rejected one', async () => {
+        await server.db.collection('userReports').updateOne({ _id: FIXTURES.reportId }, { $set: { reviewStatus: 'rejected' } });
+
+        const res = await request(server.app).post('/api/userReports').set(bearer('admin')).send({ ...NEW_REPORT, phone: '01712345678' });
+        assert.equal(res.status, 201);
+        assert.notEqual(String(res.body.insertedId), FIXTURES.reportId.toString());
+
+        const rejected = await server.db.collection('userReports').findOne({ _id: FIXTURES.reportId });
+        assert.equal(rejected.incidentCount, 1);
+    });
+
+    it('moves the top-level fields to a remaining incident when the original is split off', async () => {
+        await request(server.app).post('/api/userReports').set(bearer('admin')).send({ ...NEW_REPORT, phone: '01712345678' });
+
+        const res = await request(server.app)
+            .post(`/api/admin/userReports/${FIXTURES.reportId}/split`)
+            .set(bearer('admin'))
+            .send({ incidentIds: [FIXTURES.incidentId.toString()] });
+        assert.equal(res.status, 200);
+        assert.equal(res.body.data.name, NEW_REPORT.name);
+        assert.equal(res.body.data.reporterId, USERS.admin.uid);
+        assert.equal(res.body.data.incidentCount, 1);
+
+        const splitOff = await server.db.collection('userReports').findOne({ _id: new ObjectId(res.body.insertedId) });
+        assert.equal(splitOff.name, 'Mohammad Rahim');
+        assert.equal(splitOff.reporterId, USERS.user.uid);
+    });
+
+    it('keeps the stricter status when a banned report is merged into a suspended one', async () => {
+        await server.db.collection('userReports').updateOne({ _id: FIXTURES.reportId }, { $set: { status: 'suspended', suspendedUntil: new Date(Date.now() + 86400000) } });
+
+        const res = await request(server.app)
+            .post(`/api/admin/userReports/${FIXTURES.reportId}/merge`)
+            .set(bearer('admin'))
+            .send({ sourceIds: [FIXTURES.secondReportId.toString()] });
+        assert.equal(res.status, 200);
+        assert.equal(res.body.data.status, 'banned');
+        assert.equal(res.body.data.suspendedUntil, null);
+        assert.deepEqual(res.body.data.statusHistory.map(({ from, to }) => ({ from, to })), [{ from: 'suspended', to: 'banned' }]);
+
+        const banned = await request(server.app).get('/api/bannedUsers');
+        assert.ok(banned.body.data.some(report => report._id === FIXTURES.reportId.toString()));
+    });
+
+    it('sends the target back to review when an unreviewed report is merged in', async () => {
+        await server.db.collection('userReports').updateOne({ _id: FIXTURES.secondReportId }, { $set: { reviewStatus: 'pending_review' } });
+
+        const res = await request(server.app)
+            .post(`/api/admin/userReports/${FIXTURES.reportId}/merge`)
+            .set(bearer('admin'))
+            .send({ sourceIds: [FIXTURES.secondReportId.toString()] });
+        assert.equal(res.status, 200);
+        assert.equal(res.body.data.reviewStatus, 'pending_review');
+        assert.equal(res.body.data.reviewHistory.at(-1).from, 'verified');
+
+        const publicList = await request(server.app).get('/api/userReports');
+        assert.ok(!publicList.body.data.some(report => report._id === FIXTURES.reportId.toString()));
+    });
+
+    it('checks the import body and ignores rejected reports when deduplicating', async () => {
+        const invalid = await request(server.app).post('/api/admin/userReports/import').set(bearer('admin')).send({ source: 'x'.repeat(201), rows: [], extra: true });
+        assert.equal(invalid.status, 400);
+        assert.deepEqual(invalid.body.fields.map(field => field.field).sort(), ['extra', 'rows', 'source']);
+
+        await server.db.collection('userReports').updateOne({ _id: FIXTURES.reportId }, { $set: { reviewStatus: 'rejected' } });
+        const res = await request(server.app).post('/api/admin/userReports/import').set(bearer('admin')).send({
+            source: 'Partner list',
+            dryRun: true,
+            rows: [{ ...NEW_REPORT, phone: '01712345678' }, { ...NEW_REPORT, phone: '01898765432', facebookLink: 'https://facebook.com/someone.else' }]
+        });
+        assert.equal(res.status, 200);
+        assert.deepEqual(res.body.rows.map(row => row.status), ['valid', 'duplicate']);
+    });
+
+    it('refuses submissions past the per-user quota', async () => {
+        const statuses = [];
+        for (let i = 0; i < 4; i++) {
+            const res = await request(server.app).post('/api/userReports').set(bearer('user')).send({
+                ...NEW_REPORT,
+                phone: `0191111111${i}`,
+                facebookLink: `https://facebook.com/quota.test.${i}`
+            });
+            statuses.push(res.status);
+        }
+
+        assert.deepEqual(statuses.slice(0, 3), [201, 201, 201]);
+        assert.equal(statuses[3], 429);
+    });
+
+    it('lets a reporter trash their report and an admin restore it, with an audit trail', async () => {
+        const trashed = await request(server.app).delete(`/api/userReports/${FIXTURES.reportId}`).set(bearer('user'));
+        assert.equal(trashed.status, 200);
+
+        const publicList = await request(server.app).get('/api/userReports');
+        assert.ok(!publicList.body.data.some(report => report._id === FIXTURES.reportId.toString()));
+
+        const restored = await request(server.app).patch(`/api/trashedReports/${FIXTURES.reportId}/restore`).set(bearer('admin'));
+        assert.equal(restored.status, 200);
+
+        const report = await server.db.collection('userReports').findOne({ _id: FIXTURES.reportId });
+        assert.equal(report.deletedAt, undefined);
+
+        const entry = await server.db.collection('auditLog').findOne({ action: 'report.restore', targetId: FIXTURES.reportId.toString() });
+        assert.equal(entry.actorUid, USERS.admin.uid);
+    });
+
+    it('does not let a user trash someone else\'s report', async () => {
+        await server.db.collection('userReports').updateOne({ _id: FIXTURES.reportId }, { $set: { reporterId: 'someone-else' } });
+
+        const res = await request(server.app).delete(`/api/userReports/${FIXTURES.reportId}`).set(bearer('user'));
+        assert.equal(res.status, 403);
+    });
+
+    it('records the trash reason and a history of trashes and restores', async () => {
+        const trashed = await request(server.app).delete(`/api/userReports/${FIXTURES.reportId}`).set(bearer('admin')).send({ reason: 'Duplicate of another report.' });
+        assert.equal(trashed.status, 200);
+        const again = await request(server.app).delete(`/api/userReports/${FIXTURES.reportId}`).set(bearer('admin')).send({ reason: 'Second try.' });
+        assert.equal(again.body.message, 'User report was already in trash.');
+
+        const list = await request(server.app).get('/api/trashedReports').set(bearer('admin'));
+        const item = list.body.data.find(report => report._id === FIXTURES.reportId.toString());
+        assert.equal(item.deletedReason, 'Duplicate of another report.');
+        assert.equal(item.daysRemaining, 30);
+
+        await request(server.app).patch(`/api/trashedReports/${FIXTURES.reportId}/restore`).set(bearer('superadmin'));
+
+        const report = await server.db.collection('userReports').findOne({ _id: FIXTURES.reportId });
+        assert.equal(report.deletedReason, undefined);
+        assert.deepEqual(
+            report.trashHistory.map(({ action, by, reason }) => ({ action, by, reason })),
+            [
+                { action: 'trashed', by: USERS.admin.uid, reason: 'Duplicate of another report.' },
+                { action: 'restored', by: USERS.superadmin.uid, reason: null }
+            ]
+        );
+    });
+
+    it('purges reports past the trash retention period and nothing else', async () => {
+        await request(server.app).delete(`/api/userReports/${FIXTURES.reportId}`).set(bearer('user'));
+
+        const list = await request(server.app).get('/api/trashedReports').set(bearer('admin'));
+        assert.equal(list.body.data.find(report => report._id === FIXTURES.trashedReportId.toString()).daysRemaining, 0);
+
+        const sweep = await request(server.app).get('/api/cron/purge-trash').set('Authorization', `Bearer ${CRON_SECRET}`);
+        assert.equal(sweep.body.purgedCount, 1);
+        const rerun = await request(server.app).get('/api/cron/purge-trash').set('Authorization', `Bearer ${CRON_SECRET}`);
+        assert.equal(rerun.body.purgedCount, 0);
+
+        assert.equal(await server.db.collection('userReports').countDocuments({ _id: FIXTURES.trashedReportId }), 0);
+        assert.equal(await server.db.collection('userReports').countDocuments({ _id: FIXTURES.reportId }), 1);
+        const entry = await server.db.collection('auditLog').findOne({ action: 'report.purge' });
+        assert.equal(entry.targetId, FIXTURES.trashedReportId.toString());
+    });
+
+    it('rejects trash reasons that are not short strings', async () => {
+        const res = await request(server.app).delete(`/api/userReports/${FIXTURES.reportId}`).set(bearer('user')).send({ reason: 'x'.repeat(501) });
+        assert.equal(res.status, 400);
+    });
+
+    it('rejects malformed report ids', async () => {
+        const res = await request(server.app).patch('/api/trashedReports/not-an-id/restore').set(bearer('admin'));
+        assert.equal(res.status, 400);
+    });
+
+    it('returns 404 for reports that do not exist', async () => {
+        const res = await request(server.app).patch(`/api/admin/userReports/${new ObjectId()}/review`).set(bearer('admin')).send({ decision: 'verified' });
+        assert.equal(res.status, 404);
+    });
+});
+
+describe('user administration', () => {
+    let server;
+
+    before(async () => {
+        server = await startTestServer();
+    });
+
+    after(async () => {
+        await server.stop();
+    });
+
+    beforeEach(async () => {
+        await server.reset();
+    });
+
+    it('only registers the signed-in caller\'s own account', async () => {
+        const anonymous = await request(server.app).post('/api/users').send({ email: 'new@example.com', fbName: 'New User' });
+        assert.equal(anonymous.status, 401);
+
+        const impostor = await request(server.app).post('/api/users').set(bearer('newcomer')).send({ uid: USERS.admin.uid, email: 'new@example.com', fbName: 'New User' });
+        assert.equal(impostor.status, 403);
+
+        const created = await request(server.app).post('/api/users').set(bearer('newcomer')).send({ email: 'new@example.com', fbName: 'New User' });
+        assert.equal(created.status, 201);
+        assert.equal(created.body.userProfile.uid, 'new-uid');
+        assert.equal(created.body.userProfile.status, 'pending');
+    });
+
+    it('approves pending registrations', async () => {
+        const res = await request(server.app).patch(`/api/users/${USERS.pending.uid}/status`).set(bearer('admin')).send({ status: 'approved' });
+        assert.equal(res.status, 200);
+
+        const user = await server.db.collection('users').findOne({ uid: USERS.pending.uid });
+        assert.equal(user.status, 'approved');
+    });
+
+    it('mirrors role changes into Firebase custom claims', async () => {
+        const res = await request(server.app).patch(`/api/users/${USERS.user.uid}/role`).set(bearer('superadmin')).send({ role: 'admin' });
+        assert.equal(res.status, 200);
+        assert.deepEqual(server.auth.claims.get(USERS.user.uid), { role: 'admin', status: 'approved' });
+        assert.ok(!server.auth.revokedUsers.has(USERS.user.uid));
+    });
+
+    it('revokes sessions when a user is demoted', async () => {
+        const res = await request(server.app).patch(`/api/users/${USERS.admin.uid}/role`).set(bearer('superadmin')).send({ role: 'user' });
+        assert.equal(res.status, 200);
+        assert.ok(server.auth.revokedUsers.has(USERS.admin.uid));
+
+        const retry = await request(server.app).get('/api/userReports/mine').set(bearer('admin'));
+        assert.equal(retry.status, 401);
+    });
+
+    it('writes status into claims and revokes sessions on rejection', async () => {
+        const res = await request(server.app).patch(`/api/users/${USERS.user.uid}/status`).set(bearer('admin')).send({ status: 'rejected' });
+        assert.equal(res.status, 200);
+        assert.deepEqual(server.auth.claims.get(USERS.user.uid), { role: 'user', status: 'rejected' });
+        assert.ok(server.auth.revokedUsers.has(USERS.user.uid));
+    });
+
+    it('re-syncs claims even when the role is unchanged', async () => {
+        const res = await request(server.app).patch(`/api/users/${USERS.admin.uid}/role`).set(bearer('superadmin')).send({ role: 'admin' });
+        assert.equal(res.status, 200);
+        assert.deepEqual(server.auth.claims.get(USERS.admin.uid), { role: 'admin', status: 'approved' });
+    });
+
+    it('leaves the profile untouched when Firebase rejects the claims', async () => {
+        server.auth.failClaimsFor = USERS.user.uid;
+
+        const res = await request(server.app).patch(`/api/users/${USERS.user.uid}/role`).set(bearer('superadmin')).send({ role: 'admin' });
+        assert.equal(res.status, 502);
+
+        const user = await server.db.collection('users').findOne({ uid: USERS.user.uid });
+        assert.equal(user.role, 'user');
+    });
+
+    it('reports and repairs claim drift', async () => {
+        server.auth.claims.set(USERS.user.uid, { role: 'superadmin', status: 'approved' });
+        await server.db.collection('users').insertOne({ uid: 'orphan-uid', email: 'orphan@example.com', role: 'user', status: 'approved' });
+
+        const report = await request(server.app).get('/api/admin/auth/reconcile').set(bearer('superadmin'));
+        assert.equal(report.status, 200);
+        assert.deepEqual(report.body.missingInFirebase.map(user => user.uid), ['orphan-uid']);
+        assert.ok(report.body.claimDrift.some(drift => drift.uid === USERS.user.uid));
+        assert.equal(report.body.repaired, 0);
+
+        const repaired = await request(server.app).post('/api/admin/auth/reconcile').set(bearer('superadmin'));
+        assert.equal(repaired.status, 200);
+        assert.deepEqual(server.auth.claims.get(USERS.user.uid), { role: 'user', status: 'approved' });
+        assert.ok(server.auth.revokedUsers.has(USERS.user.uid));
+    });
+
+    it('stops superadmins from demoting themselves', async () => {
+        const res = await request(server.app).patch(`/api/users/${USERS.superadmin.uid}/role`).set(bearer('superadmin')).send({ role: 'user' });
+        assert.equal(res.status, 400);
+    });
+
+    it('stops admins from deleting other admins', async () => {
+        const res = await request(server.app).delete(`/api/users/${USERS.superadmin.uid}`).set(bearer('admin'));
+        assert.equal(res.status, 403);
+        assert.deepEqual(server.auth.deletedUsers, []);
+    });
+
+    it('stops admins from changing the status of privileged accounts', async () => {
+        const res = await request(server.app).patch(`/api/users/${USERS.superadmin.uid}/status`).set(bearer('admin')).send({ status: 'rejected' });
+        assert.equal(res.status, 403);
+        assert.ok(!server.auth.disabledUsers.has(USERS.superadmin.uid));
+        const superadmin = await server.db.collection('users').findOne({ uid: USERS.superadmin.uid });
+        assert.equal(superadmin.status, 'approved');
+    });
+
+    it('moves deleted users to trash and disables them in Firebase', async () => {
+        const res = await request(server.app).delete(`/api/users/${USERS.user.uid}`).set(bearer('admin')).send({ reason: 'Spam account.' });
+        assert.equal(res.status, 200);
+        assert.deepEqual(server.auth.deletedUsers, []);
+        assert.ok(server.auth.disabledUsers.has(USERS.user.uid));
+        assert.ok(server.auth.revokedUsers.has(USERS.user.uid));
+
+        const list = await request(server.app).get('/api/users').set(bearer('admin'));
+        assert.ok(!list.body.data.some(user => user.uid === USERS.user.uid));
+        const trash = await request(server.app).get('/api/trashedUsers').set(bearer('admin'));
+        assert.deepEqual(trash.body.data.map(user => [user.uid, user.deletedReason, user.daysRemaining]), [[USERS.user.uid, 'Spam account.', 30]]);
+
+        const signedIn = await request(server.app).get('/api/userReports/mine').set(bearer('user'));
+        assert.equal(signedIn.status, 401);
+    });
+
+    it('restores trashed users and re-enables them', async () => {
+        await request(server.app).delete(`/api/users/${USERS.user.uid}`).set(bearer('admin'));
+
+        const res = await request(server.app).patch(`/api/trashedUsers/${USERS.user.uid}/restore`).set(bearer('admin'));
+        assert.equal(res.status, 200);
+        assert.ok(!server.auth.disabledUsers.has(USERS.user.uid));
+
+        const profile = await server.db.collection('users').findOne({ uid: USERS.user.uid });
+        assert.equal(profile.deletedAt, undefined);
+        assert.deepEqual(profile.trashHistory.map(entry => entry.action), ['trashed', 'restored']);
+    });
+
+    it('deactivates accounts by disabling them in Firebase', async () => {
+        const res = await request(server.app).patch(`/api/users/${USERS.user.uid}/status`).set(bearer('admin')).send({ status: 'deactivated' });
+        assert.equal(res.status, 200);
+        assert.ok(server.auth.disabledUsers.has(USERS.user.uid));
+
+        await request(server.app).patch(`/api/users/${USERS.user.uid}/status`).set(bearer('admin')).send({ status: 'approved' });
+        assert.ok(!server.auth.disabledUsers.has(USERS.user.uid));
+    });
+
+    it('requires an explicit report policy to erase a trashed user', async () => {
+        await request(server.app).delete(`/api/users/${USERS.user.uid}`).set(bearer('admin'));
+
+        const missing = await request(server.app).delete(`/api/trashedUsers/${USERS.user.uid}/permanent`).set(bearer('superadmin'));
+        assert.equal(missing.status, 400);
+
+        const notTrashed = await request(server.app).delete(`/api/trashedUsers/${USERS.admin.uid}/permanent`).set(bearer('superadmin')).send({ reports: 'anonymize' });
+        assert.equal(notTrashed.status, 404);
+    });
+
+    it('anonymizes reports when erasing a user', async () => {
+        await request(server.app).delete(`/api/users/${USERS.user.uid}`).set(bearer('admin'));
+
+        const res = await request(server.app).delete(`/api/trashedUsers/${USERS.user.uid}/permanent`).set(bearer('superadmin')).send({ reports: 'anonymize' });
+        assert.equal(res.status, 200);
+        assert.equal(res.body.updatedReports, 3);
+        assert.deepEqual(server.auth.deletedUsers, [USERS.user.uid]);
+        assert.equal(await server.db.collection('users').countDocuments({ uid: USERS.user.uid }), 0);
+
+        const report = await server.db.collection('userReports').findOne({ _id: FIXTURES.reportId });
+        assert.equal(report.reporterId, null);
+        assert.equal(report.incidents[0].reporterName, 'Deleted user');
+    });
+
+    it('reassigns reports to another account when erasing a user', async () => {
+        await request(server.app).delete(`/api/users/${USERS.user.uid}`).set(bearer('admin'));
+
+        const res = await request(server.app).delete(`/api/trashedUsers/${USERS.user.uid}/permanent`).set(bearer('superadmin')).send({ reports: 'reassign', reassignTo: USERS.admin.uid });
+        assert.equal(res.status, 200);
+
+        const reassigned = await server.db.collection('userReports').countDocuments({ reporterId: USERS.admin.uid, 'incidents.reporterId': USERS.admin.uid });
+        assert.equal(reassigned, 3);
+    });
+
+    it('cascades by removing the user\'s incidents and emptied reports', async () => {
+        const otherIncident = { ...fixtureReport(FIXTURES.secondReportId).incidents[0], _id: new ObjectId(), reporterId: USERS.admin.uid, reporterName: USERS.admin.fbName };
+        await server.db.collection('userReports').updateOne({ _id: FIXTURES.secondReportId }, { $push: { incidents: otherIncident } });
+        await request(server.app).delete(`/api/users/${USERS.user.uid}`).set(bearer('admin'));
+
+        const res = await request(server.app).delete(`/api/trashedUsers/${USERS.user.uid}/permanent`).set(bearer('superadmin')).send({ reports: 'cascade' });
+        assert.deepEqual([res.body.updatedReports, res.body.deletedReports], [1, 2]);
+
+        const shared = await server.db.collection('userReports').findOne({ _id: FIXTURES.secondReportId });
+        assert.equal(shared.reporterId, USERS.admin.uid);
+        assert.equal(shared.incidentCount, 1);
+        assert.equal(await server.db.collection('userReports').countDocuments({ _id: FIXTURES.reportId }), 0);
+    });
+
+    it('rebuilds a report from the remaining incident when its primary reporter is erased', async () => {
+        const suspendedUntil = new Date(Date.now() + 86400000);
+        const otherIncident = {
+            ...fixtureReport(FIXTURES.secondReportId).incidents[0],
+            _id: new ObjectId(),
+            name: 'Karim U.',
+            phone: '01898765000',
+            status: 'suspended',
+            suspendedUntil,
+            reason: 'Sold a counterfeit phone.',
+            reporterId: USERS.admin.uid,
+            reporterName: USERS.admin.fbName
+        };
+        await server.db.collection('userReports').updateOne({ _id: FIXTURES.secondReportId }, { $push: { incidents: otherIncident } });
+        await request(server.app).delete(`/api/users/${USERS.user.uid}`).set(bearer('admin'));
+
+        await request(server.app).delete(`/api/trashedUsers/${USERS.user.uid}/permanent`).set(bearer('superadmin')).send({ reports: 'cascade' });
+
+        const report = await server.db.collection('userReports').findOne({ _id: FIXTURES.secondReportId });
+        assert.deepEqual(
+            { name: report.name, phone: report.phone, status: report.status, suspendedUntil: report.suspendedUntil, reason: report.reason, reporterId: report.reporterId },
+            { name: 'Karim U.', phone: '01898765000', status: 'suspended', suspendedUntil, reason: 'Sold a counterfeit phone.', reporterId: USERS.admin.uid }
+        );
+        assert.deepEqual(report.statusHistory.map(({ from, to }) => ({ from, to })), [{ from: 'banned', to: 'suspended' }]);
+    });
+
+    it('erases users past the grace period from the cron sweep', async () => {
+        await request(server.app).delete(`/api/users/${USERS.user.uid}`).set(bearer('admin'));
+        await request(server.app).delete(`/api/users/${USERS.pending.uid}`).set(bearer('admin'));
+        await server.db.collection('users').updateOne({ uid: USERS.pending.uid }, { $set: { deletedAt: new Date('2025-01-01T00:00:00Z') } });
+
+        const sweep = await request(server.app).get('/api/cron/erase-users').set('Authorization', `Bearer ${CRON_SECRET}`);
+        assert.equal(sweep.body.erasedCount, 1);
+        assert.deepEqual(server.auth.deletedUsers, [USERS.pending.uid]);
+        assert.equal(await server.db.collection('users').countDocuments({ uid: USERS.user.uid }), 1);
+    });
+});
+
+describe('appeals', () => {
+    let server;
+
+    before(async () => {
+        server = await startTestServer();
+    });
+
+    after(async () => {
+        await server.stop();
+    });
+
+    beforeEach(async () => {
+        await server.reset();
+    });
+
+    it('gives the appellant a tracking token that shows the appeal status', async () => {
+        const created = await request(server.app).post('/api/appeals').send({
+            reportId: FIXTURES.reportId.toString(),
+            contactName: 'Rahim',
+            contactEmail: 'rahim@example.com',
+            explanation: 'The phone number in this report is not mine.'
+        });
+        assert.equal(created.status, 201);
+        assert.ok(created.body.trackingToken);
+
+        const tracked = await request(server.app).get(`/api/appeals/track/${created.body.trackingToken}`);
+        assert.equal(tracked.status, 200);
+        assert.equal(tracked.body.status, 'open');
+    });
+
+    it('applies the per-IP quota whatever X-Forwarded-For says', async () => {
+        const statuses = [];
+        for (let i = 0; i < 6; i++) {
+            const res = await request(server.app).post('/api/appeals').set('X-Forwarded-For', `203.0.113.${i}`).send({
+                reportId: FIXTURES.reportId.toString(),
+                contactName: 'Rahim',
+                contactEmail: 'rahim@example.com',
+                explanation: 'The phone number in this report is not mine.'
+            });
+            statuses.push(res.status);
+        }
+        // The quota store outlives reset(), so earlier appeals count too.
+        assert.equal(statuses.at(-1), 429);
+    });
+
+    it('records a status change from an accepted appeal in the report history', async () => {
+        const res = await request(server.app)
+            .patch(`/api/admin/appeals/${FIXTURES.appealId}/decision`)
+            .set(bearer('admin'))
+            .send({ decision: 'accepted', reportAction: 'change_status', reportStatus: 'suspended', note: 'Wrong number.' });
+        assert.equal(res.status, 200);
+
+        const report = await server.db.collection('userReports').findOne({ _id: FIXTURES.reportId });
+        assert.equal(report.status, 'suspended');
+        assert.equal(report.statusHistory.at(-1).note, 'Appeal accepted: Wrong number.');
+
+        const history = await request(server.app).get(`/api/userReports/${FIXTURES.reportId}/history`).set(bearer('admin'));
+        assert.deepEqual(history.body.data.map(version => version.action), ['original', 'appeal']);
+        assert.deepEqual(history.body.data[1].changes.status, { from: 'banned', to: 'suspended' });
+    });
+
+    it('does not let an accepted appeal make the report stricter', async () => {
+        await server.db.collection('userReports').updateOne({ _id: FIXTURES.reportId }, { $set: { status: 'suspended' } });
+
+        const res = await request(server.app)
+            .patch(`/api/admin/appeals/${FIXTURES.appealId}/decision`)
+            .set(bearer('admin'))
+            .send({ decision: 'accepted', reportAction: 'change_status', reportStatus: 'banned' });
+        assert.equal(res.status, 400);
+
+        const report = await server.db.collection('userReports').findOne({ _id: FIXTURES.reportId });
+        assert.equal(report.status, 'suspended');
+        const appeal = await server.db.collection('appeals').findOne({ _id: FIXTURES.appealId });
+        assert.equal(appeal.status, 'open');
+    });
+
+    it('applies only one of two concurrent decisions', async () => {
+        const decide = body => request(server.app).patch(`/api/admin/appeals/${FIXTURES.appealId}/decision`).set(bearer('admin')).send(body);
+        const results = await Promise.all([
+            decide({ decision: 'accepted', reportAction: 'trash' }),
+            decide({ decision: 'denied', note: 'Report stands.' })
+        ]);
+        assert.deepEqual(results.map(res => res.status).sort(), [200, 409]);
+
+        const appeal = await server.db.collection('appeals').findOne({ _id: FIXTURES.appealId });
+        const report = await server.db.collection('userReports').findOne({ _id: FIXTURES.reportId });
+        assert.equal(Boolean(report.deletedAt), appeal.status === 'accepted');
+        assert.equal(await server.db.collection('auditLog').countDocuments({ action: 'appeal.decide' }), 1);
+    });
+});
+
+describe('roles and permissions', () => {
+    let server;
+
+    before(async () => {
+        server = await startTestServer();
+    });
+
+    after(async () => {
+        await server.stop();
+    });
+
+    beforeEach(async () => {
+        await server.reset();
+    });
+
+    it('lets admins trash any report', async () => {
+        const res = await request(server.app).delete(`/api/userReports/${FIXTURES.reportId}`).set(bearer('admin'));
+        assert.equal(res.status, 200);
+
+        const entry = await server.db.collection('auditLog').findOne({ action: 'report.trash' });
+        assert.equal(entry.actorUid, USERS.admin.uid);
+    });
+
+    it('grants exactly the permissions of a custom role', async () => {
+        const created = await request(server.app).post('/api/admin/roles').set(bearer('superadmin')).send({
+            name: 'reviewer',
+            description: 'Verifies submitted reports.',
+            permissions: ['reports:create', 'reports:read:own', 'reports:review']
+        });
+        assert.equal(created.status, 201);
+
+        const assigned = await request(server.app).patch(`/api/users/${USERS.user.uid}/role`).set(bearer('superadmin')).send({ role: 'reviewer' });
+        assert.equal(assigned.status, 200);
+
+        const queue = await request(server.app).get('/api/admin/reviewQueue').set(bearer('user'));
+        assert.equal(queue.status, 200);
+
+        const exported = await request(server.app).get('/api/admin/userReports/export').set(bearer('user'));
+        assert.equal(exported.status, 403);
+
+        const trashed = await request(server.app).delete(`/api/userReports/${FIXTURES.reportId}`).set(bearer('user'));
+        assert.equal(trashed.status, 403);
+    });
+
+    it('applies changes to built-in roles', async () => {
+        const res = await request(server.app).patch('/api/admin/roles/user').set(bearer('superadmin')).send({ permissions: ['reports:read:own'] });
+        assert.equal(res.status, 200);
+
+        const submitted = await request(server.app).post('/api/userReports').set(bearer('user')).send(NEW_REPORT);
+        assert.equal(submitted.status, 403);
+    });
+
+    it('rejects unknown permissions and roles', async () => {
+        const badPermission = await request(server.app).post('/api/admin/roles').set(bearer('superadmin')).send({ name: 'auditor', permissions: ['audit:write'] });
+        assert.equal(badPermission.status, 400);
+
+        const badRole = await request(server.app).patch(`/api/users/${USERS.user.uid}/role`).set(bearer('superadmin')).send({ role: 'auditor' });
+        assert.equal(badRole.status, 400);
+    });
+
+    it('refuses to delete a role that is still assigned', async () => {
+        await request(server.app).post('/api/admin/roles').set(bearer('superadmin')).send({ name: 'auditor', permissions: ['audit:read'] });
+        await request(server.app).patch(`/api/users/${USERS.user.uid}/role`).set(bearer('superadmin')).send({ role: 'auditor' });
+
+        const res = await request(server.app).delete('/api/admin/roles/auditor').set(bearer('superadmin'));
+        assert.equal(res.status, 409);
+    });
+
+    it('denies every permission to rejected accounts', async () => {
+        await server.db.collection('users').updateOne({ uid: USERS.admin.uid }, { $set: { status: 'rejected' } });
+
+        const res = await request(server.app).get('/api/admin/reviewQueue').set(bearer('admin'));
+        assert.equal(res.status, 403);
+    });
+
+    it('ignores role claims that disagree with the database', async () => {
+        server.auth.claims.set(USERS.user.uid, { role: 'superadmin' });
+
+        const res = await request(server.app).get('/api/admin/audit').set(bearer('user'));
+        assert.equal(res.status, 403);
+    });
+});
+
+describe('notifications', () => {
+    let server;
+
+    before(async () => {
+        server = await startTestServer();
+    });
+
+    after(async () => {
+        await server.stop();
+    });
+
+    beforeEach(async () => {
+        await server.reset();
+    });
+
+    it('tells admins about new registrations', async () => {
+        const res = await request(server.app).post('/api/users').set(bearer('newcomer')).send({ email: 'new@example.com', fbName: 'New User' });
+        assert.equal(res.status, 201);
+
+        const recipients = server.notifications.filter(n => n.type === 'registration.pending').map(n => n.recipientUid).sort();
+        assert.deepEqual(recipients, [USERS.admin.uid, USERS.superadmin.uid]);
+        assert.match(server.notifications[0].body, /New User \(new@example.com\)/);
+    });
+
+    it('lets a pending user read and dismiss their approval notification', async () => {
+        await request(server.app).patch(`/api/users/${USERS.pending.uid}/status`).set(bearer('admin')).send({ status: 'approved' });
+
+        const list = await request(server.app).get('/api/me/notifications?unread=true').set(bearer('pending'));
+        assert.equal(list.status, 200);
+        assert.equal(list.body.data.length, 1);
+        assert.equal(list.body.data[0].type, 'account.approved');
+        assert.match(list.body.data[0].body, /Hi Pending User/);
+
+        const read = await request(server.app).patch(`/api/me/notifications/${list.body.data[0]._id}/read`).set(bearer('pending'));
+        assert.equal(read.status, 200);
+
+        const count = await request(server.app).get('/api/me/notifications/unread-count').set(bearer('pending'));
+        assert.equal(count.body.unreadCount, 0);
+    });
+
+    it('does not let users mark other users\' notifications as read', async () => {
+        await request(server.app).patch(`/api/users/${USERS.pending.uid}/status`).set(bearer('admin')).send({ status: 'approved' });
+        const notification = await server.db.collection('notifications').findOne({ recipientUid: USERS.pending.uid });
+
+        const res = await request(server.app).patch(`/api/me/notifications/${notification._id}/read`).set(bearer('user'));
+        assert.equal(res.status, 404);
+    });
+
+    it('tells reporters when their report is reviewed', async () => {
+        await server.db.collection('userReports').updateOne({ _id: FIXTURES.reportId }, { $set: { reviewStatus: 'pending_review' } });
+
+        await request(server.app).patch(`/api/admin/userReports/${FIXTURES.reportId}/review`).set(bearer('admin')).send({ decision: 'rejected', note: 'Needs a screenshot.' });
+
+        const sent = server.notifications.find(n => n.recipientUid === USERS.user.uid);
+        assert.equal(sent.type, 'report.rejected');
+        assert.equal(sent.body, 'Your report about Mohammad Rahim was rejected by a reviewer. Reviewer note: Needs a screenshot.');
+    });
+
+    it('tells reviewers about new reports and reporters about trashing', async () => {
+        await request(server.app).post('/api/userReports').set(bearer('user')).send(NEW_REPORT);
+        assert.ok(server.notifications.some(n => n.type === 'report.submitted' && n.recipientUid === USERS.admin.uid));
+
+        await request(server.app).delete(`/api/userReports/${FIXTURES.reportId}`).set(bearer('admin'));
+        assert.ok(server.notifications.some(n => n.type === 'report.trashed' && n.recipientUid === USERS.user.uid));
+    });
+});
+
+describe('outbound webhooks', () => {
+    let server;
+    let receiver;
+    let receiverUrl;
+    let received;
+    let respondWith;
+
+    before(async () => {
+        server = await startTestServer();
+        receiver = http.createServer((req, res) => {
+            let body = '';
+            req.on('data', chunk => { body += chunk; });
+            req.on('end', () => {
+                received.push({ headers: req.headers, body });
+                res.writeHead(respondWith).end();
+            });
+        });
+        await new Promise(resolve => receiver.listen(0, '127.0.0.1', resolve));
+        receiverUrl = `http://127.0.0.1:${receiver.address().port}/hook`;
+    });
+
+    after(async () => {
+        await new Promise(resolve => receiver.close(resolve));
+        await server.stop();
+    });
+
+    beforeEach(async () => {
+        await server.reset();
+        received = [];
+        respondWith = 200;
+    });
+
+    async function registerEndpoint(events) {
+        const res = await request(server.app).post('/api/admin/webhooks').set(bearer('superadmin')).send({ url: receiverUrl, events });
+        assert.equal(res.status, 201);
+        return res.body;
+    }
+
+    it('delivers signed events to subscribed endpoints', async () => {
+        const { secret } = await registerEndpoint(['report.restored']);
+
+        await request(server.app).patch(`/api/trashedReports/${FIXTURES.trashedReportId}/restore`).set(bearer('admin'));
+
+        assert.equal(received.length, 1);
+        const [{ headers, body }] = received;
+        assert.equal(headers['x-webhook-event'], 'report.restored');
+        assert.equal(headers['x-webhook-signature'], signWebhookPayload(secret, headers['x-webhook-timestamp'], body));
+
+        const payload = JSON.parse(body);
+        assert.equal(payload.data.report._id, FIXTURES.trashedReportId.toString());
+        assert.equal(payload.data.report.reporterId, undefined);
+    });
+
+    it('does not send events an endpoint is not subscribed to', async () => {
+        await registerEndpoint(['user.approved']);
+
+        await request(server.app).patch(`/api/trashedReports/${FIXTURES.trashedReportId}/restore`).set(bearer('admin'));
+
+        assert.equal(received.length, 0);
+    });
+
+    it('announces submissions added to an existing report once they are verified', async () => {
+        await registerEndpoint(['report.created']);
+
+        await request(server.app).post('/api/userReports').set(bearer('user')).send({ ...NEW_REPORT, phone: '01712345678' });
+        assert.equal(received.length, 0);
+
+        await request(server.app).patch(`/api/admin/userReports/${FIXTURES.reportId}/review`).set(bearer('admin')).send({ decision: 'verified' });
+        assert.equal(received.length, 1);
+        const payload = JSON.parse(received[0].body);
+        assert.equal(payload.data.report._id, FIXTURES.reportId.toString());
+        assert.equal(payload.data.report.incidentCount, 2);
+    });
+
+    it('does not send unreviewed or rejected reports to partners', async () => {
+        await registerEndpoint(['report.created', 'report.status_changed', 'report.trashed']);
+
+        const created = await request(server.app).post('/api/userReports').set(bearer('user')).send(NEW_REPORT);
+        await request(server.app).post('/api/admin/userReports/import').set(bearer('admin')).send({
+            source: 'Partner list',
+            rows: [{ ...NEW_REPORT, phone: '01922222222', facebookLink: 'https://facebook.com/imported.person' }]
+        });
+        await request(server.app).patch(`/api/admin/userReports/${created.body.insertedId}/review`).set(bearer('admin')).send({ decision: 'rejected' });
+        await request(server.app).delete(`/api/userReports/${created.body.insertedId}`).set(bearer('user'));
+
+        assert.equal(received.length, 0);
+    });
+
+    it('tells partners a published report was withdrawn without the unreviewed incident', async () => {
+        await registerEndpoint(['report.status_changed']);
+        await server.db.collection('userReports').updateOne({ _id: FIXTURES.reportId }, { $set: { status: 'suspended', suspendedUntil: null } });
+
+        await request(server.app).post('/api/userReports').set(bearer('user')).send({ ...NEW_REPORT, phone: '01712345678' });
+
+        assert.equal(received.length, 1);
+        const { report, previous } = JSON.parse(received[0].body).data;
+        assert.deepEqual([report.reviewStatus, report.status, report.incidentCount], ['pending_review', 'suspended', 1]);
+        assert.equal(previous.reviewStatus, 'verified');
+    });
+
+    it('announces reports removed by a merge as deleted', async () => {
+        await registerEndpoint(['report.deleted']);
+
+        await request(server.app).post(`/api/admin/userReports/${FIXTURES.reportId}/merge`).set(bearer('admin')).send({ sourceIds: [FIXTURES.secondReportId.toString()] });
+
+        assert.equal(received.length, 1);
+        assert.equal(JSON.parse(received[0].body).data.report._id, FIXTURES.secondReportId.toString());
+    });
+
+    it('keeps failed deliveries in the outbox and retries them from the cron sweep', async () => {
+        const { data: endpoint } = await registerEndpoint(['user.approved']);
+        respondWith = 500;
+
+        await request(server.app).patch(`/api/users/${USERS.pending.uid}/status`).set(bearer('admin')).send({ status: 'approved' });
+
+        const failed = await server.db.collection('webhookDeliveries').findOne({ endpointId: new ObjectId(endpoint._id) });
+        assert.equal(failed.status, 'pending');
+        assert.equal(failed.attempts, 1);
+        assert.ok(failed.nextAttemptAt > new Date());
+
+        respondWith = 200;
+        await server.db.collection('webhookDeliveries').updateOne({ _id: failed._id }, { $set: { nextAttemptAt: new Date(0) } });
+        const sweep = await request(server.app).get('/api/cron/webhooks').set('Authorization', `Bearer ${CRON_SECRET}`);
+        assert.deepEqual(sweep.body, { attempted: 1, delivered: 1, failed: 0 });
+
+        const log = await request(server.app).get(`/api/admin/webhooks/${endpoint._id}/deliveries`).set(bearer('superadmin'));
+        assert.equal(log.body.data[0].status, 'delivered');
+        assert.equal(log.body.data[0].attemptLog.length, 2);
+    });
+
+    it('replays a delivery as a new log entry', async () => {
+        await registerEndpoint(['report.deleted']);
+        await request(server.app).delete(`/api/trashedReports/${FIXTURES.trashedReportId}/permanent`).set(bearer('admin'));
+        const original = await server.db.collection('webhookDeliveries').findOne({});
+
+        const res = await request(server.app).post(`/api/admin/webhooks/deliveries/${original._id}/replay`).set(bearer('superadmin'));
+        assert.equal(res.status, 201);
+        assert.equal(res.body.data.replayOf, original._id.toString());
+        assert.equal(res.body.data.status, 'delivered');
+        assert.equal(received.length, 2);
+        assert.equal(received[0].body.includes(original._id.toString()), true);
+    });
+
+    it('never returns the signing secret after creation', async () => {
+        await registerEndpoint(['report.created']);
+
+        const list = await request(server.app).get('/api/admin/webhooks').set(bearer('superadmin'));
+        assert.equal(list.body.data[0].secret, undefined);
+    });
+});
+
+describe('API keys', () => {
+    let server;
+
+    before(async () => {
+        server = await startTestServer();
+    });
+
+    after(async () => {
+        await server.stop();
+    });
+
+    beforeEach(async () => {
+        await server.reset();
+    });
+
+    async function createKey(body) {
+        const res = await request(server.app).post('/api/admin/apiKeys').set(bearer('superadmin')).send({ name: 'Discord bot', ...body });
+        assert.equal(res.status, 201);
+        return res.body;
+    }
+
+    it('shows the key once and stores only its hash', async () => {
+        const { key, data } = await createKey({ scopes: ['reports:lookup'] });
+        assert.ok(key.startsWith(data.keyPrefix));
+
+        const stored = await server.db.collection('apiKeys').findOne({});
+        assert.notEqual(stored.keyHash, key);
+        assert.equal(JSON.stringify(stored).includes(key), false);
+
+        const list = await request(server.app).get('/api/admin/apiKeys').set(bearer('superadmin'));
+        assert.equal(list.body.data[0].keyHash, undefined);
+    });
+
+    it('looks up banned people with a scoped key and tracks usage', async () => {
+        const { key } = await createKey({ scopes: ['reports:lookup'] });
+
+        const res = await request(server.app).get('/api/lookup').query({ phone: '+880 1712-345678' }).set('X-API-Key', key);
+        assert.equal(res.status, 200);
+        assert.equal(res.body.status, 'banned');
+        assert.deepEqual(res.body.matches.map(match => match.matchedOn), [['phone']]);
+        assert.equal(res.body.matches[0].reporterId, undefined);
+
+        const stored = await server.db.collection('apiKeys').findOne({});
+        assert.equal(stored.usageCount, 1);
+        assert.ok(stored.lastUsedAt);
+    });
+
+    it('accepts keys as bearer tokens and reports people with no active report as clear', async () => {
+        const { key } = await createKey({ scopes: ['reports:lookup'] });
+
+        const res = await request(server.app).get('/api/lookup').query({ facebookLink: 'https://facebook.com/someone.else' }).set('Authorization', `Bearer ${key}`);
+        assert.equal(res.status, 200);
+        assert.equal(res.body.status, 'clear');
+        assert.deepEqual(res.body.matches, []);
+    });
+
+    it('rejects keys without the route scope', async () => {
+        const { key } = await createKey({ scopes: ['reports:read'] });
+
+        const lookup = await request(server.app).get('/api/lookup').query({ phone: '01712345678' }).set('X-API-Key', key);
+        assert.equal(lookup.status, 403);
+
+        const list = await request(server.app).get('/api/bannedUsers').set('X-API-Key', key);
+        assert.equal(list.status, 200);
+
+        const submit = await request(server.app).post('/api/userReports').set('X-API-Key', key).send({});
+        assert.equal(submit.status, 403);
+    });
+
+    it('rejects unknown, expired and revoked keys', async () => {
+        const unknown = await request(server.app).get('/api/bannedUsers').set('X-API-Key', 'amk_00000000_nope');
+        assert.equal(unknown.status, 401);
+
+        const { key, data } = await createKey({ scopes: ['reports:lookup'] });
+        await server.db.collection('apiKeys').updateOne({ _id: new ObjectId(data._id) }, { $set: { expiresAt: new Date(Date.now() - 1000) } });
+        const expired = await request(server.app).get('/api/lookup').query({ phone: '01712345678' }).set('X-API-Key', key);
+        assert.equal(expired.status, 401);
+
+        const { key: revokedKey, data: revoked } = await createKey({ scopes: ['reports:lookup'] });
+        await request(server.app).delete(`/api/admin/apiKeys/${revoked._id}`).set(bearer('superadmin'));
+        const afterRevoke = await request(server.app).get('/api/lookup').query({ phone: '01712345678' }).set('X-API-Key', revokedKey);
+        assert.equal(afterRevoke.status, 401);
+    });
+
+    it('enforces the per-key rate limit', async () => {
+        const { key } = await createKey({ scopes: ['reports:lookup'], rateLimitPerMinute: 2 });
+
+        for (let i = 0; i < 2; i++) {
+            const res = await request(server.app).get('/api/lookup').query({ phone: '01712345678' }).set('X-API-Key', key);
+            assert.equal(res.status, 200);
+        }
+        const limited = await request(server.app).get('/api/lookup').query({ phone: '01712345678' }).set('X-API-Key', key);
+        assert.equal(limited.status, 429);
+        assert.ok(limited.headers['retry-after']);
+    });
+
+    it('validates scopes and expiry on creation', async () => {
+        const badScope = await request(server.app).post('/api/admin/apiKeys').set(bearer('superadmin')).send({ name: 'Bot', scopes: ['users:delete'] });
+        assert.equal(badScope.status, 400);
+
+        const pastExpiry = await request(server.app).post('/api/admin/apiKeys').set(bearer('superadmin')).send({ name: 'Bot', scopes: ['reports:read'], expiresAt: '2000-01-01' });
+        assert.equal(pastExpiry.status, 400);
+    });
+});
+
+describe('dashboard stats', () => {
+    let server;
+
+    before(async () => {
+        server = await startTestServer();
+    });
+
+    after(async () => {
+        await server.stop();
+    });
+
+    beforeEach(async () => {
+        await server.reset();
+    });
+
+    it('aggregates reports, users and trash over the chosen range', async () => {
+        const res = await request(server.app).get('/api/admin/stats')
+            .query({ from: '2024-12-01T00:00:00Z', to: '2025-02-15T00:00:00Z' })
+            .set(bearer('admin'));
+        assert.equal(res.status, 200);
+
+        assert.deepEqual(res.body.reports.byStatus, { banned: 2 });
+        assert.deepEqual(res.body.reports.trend, [{ period: '2025-01-01T00:00:00.000Z', count: 2 }]);
+        assert.deepEqual(res.body.reports.topReporters, [{ reporterId: USERS.user.uid, reporterName: USERS.user.fbName, count: 2 }]);
+        assert.equal(res.body.reports.mostReportedPhones.length, 2);
+        assert.deepEqual(res.body.trash, { total: 1, inRange: 1 });
+        assert.deepEqual(res.body.users.byRole, { superadmin: 1, admin: 1, user: 2 });
+        assert.equal(res.body.users.pendingApprovals, 1);
+    });
+
+    it('counts legacy reports without incidents as one incident each', async () => {
+        await server.db.collection('userReports').insertOne({
+            name: 'Legacy Person',
+            facebookLink: 'https://facebook.com/legacy.person',
+            phone: '01812121212',
+            status: 'banned',
+            reason: 'Filed before incidents existed.',
+            reporterId: USERS.admin.uid,
+            reporterName: USERS.admin.fbName,
+            timestamp: new Date('2025-01-10T00:00:00Z')
+        });
+
+        const res = await request(server.app).get('/api/admin/stats')
+            // A range of its own, so the cached result of another test is not reused.
+            .query({ from: '2024-12-01T00:00:00Z', to: '2025-02-14T00:00:00Z' })
+            .set(bearer('admin'));
+        assert.deepEqual(res.body.reports.trend, [
+            { period: '2025-01-01T00:00:00.000Z', count: 2 },
+            { period: '2025-01-10T00:00:00.000Z', count: 1 }
+        ]);
+        assert.ok(res.body.reports.topReporters.some(row => row.reporterId === USERS.admin.uid && row.count === 1));
+        assert.ok(res.body.reports.mostReportedPhones.some(row => row.value === '01812121212'));
+    });
+
+    it('groups the trend by week and reports time to approval', async () => {
+        await request(server.app).patch(`/api/users/${USERS.pending.uid}/status`).set(bearer('admin')).send({ status: 'approved' });
+
+        const res = await request(server.app).get('/api/admin/stats')
+            .query({ from: '2024-12-01T00:00:00Z', to: '2025-02-15T00:00:00Z', interval: 'week' })
+            .set(bearer('admin'));
+        assert.deepEqual(res.body.reports.trend, [{ period: '2024-12-30T00:00:00.000Z', count: 2 }]);
+        assert.equal(res.body.users.pendingApprovals, 0);
+        assert.equal(res.body.users.approvals.count, 1);
+        assert.ok(res.body.users.approvals.averageTimeToApprovalHours > 0);
+    });
+
+    it('serves repeated requests from the cache', async () => {
+        const first = await request(server.app).get('/api/admin/stats').query({ top: 3 }).set(bearer('admin'));
+        assert.equal(first.body.cached, false);
+
+        const second = await request(server.app).get('/api/admin/stats').query({ top: 3 }).set(bearer('admin'));
+        assert.equal(second.body.cached, true);
+        assert.equal(second.body.generatedAt, first.body.generatedAt);
+    });
+
+    it('rejects invalid ranges', async () => {
+        const reversed = await request(server.app).get('/api/admin/stats').query({ from: '2025-02-01', to: '2025-01-01' }).set(bearer('admin'));
+        assert.equal(reversed.status, 400);
+
+        const tooLong = await request(server.app).get('/api/admin/stats').query({ from: '2020-01-01', to: '2025-01-01' }).set(bearer('admin'));
+        assert.equal(tooLong.status, 400);
+    });
+});
+
+describe('self-service profile', () => {
+    let server;
+
+    before(async () => {
+        server = await startTestServer();
+    });
+
+    after(async () => {
+        await server.stop();
+    });
+
+    beforeEach(async () => {
+        await server.reset();
+    });
+
+    it('lets pending users read their own profile', async () => {
+        const res = await request(server.app).get('/api/me').set(bearer('pending'));
+        assert.equal(res.status, 200);
+        assert.equal(res.body.status, 'pending');
+    });
+
+    it('updates editable fields and normalizes contact details', async () => {
+        const res = await request(server.app).patch('/api/me').set(bearer('user')).send({
+            fbName: '  Regular Person ',
+            contactPhone: '01711-111111',
+            contactEmail: 'Me@Example.com',
+            avatarUrl: 'https://cdn.example.com/avatar.png'
+        });
+        assert.equal(res.status, 200);
+        assert.equal(res.body.data.fbName, 'Regular Person');
+        assert.equal(res.body.data.contactPhone, '+8801711111111');
+        assert.equal(res.body.data.contactEmail, 'me@example.com');
+
+        const cleared = await request(server.app).patch('/api/me').set(bearer('user')).send({ avatarUrl: null });
+        assert.equal(cleared.body.data.avatarUrl, null);
+    });
+
+    it('reports every invalid or protected field at once', async () => {
+        const res = await request(server.app).patch('/api/me').set(bearer('user')).send({ role: 'superadmin', avatarUrl: 'http://insecure.example.com/a.png', fbName: '' });
+        assert.equal(res.status, 400);
+        assert.deepEqual(res.body.fields.map(field => field.field).sort(), ['avatarUrl', 'fbName', 'role']);
+
+        const profile = await server.db.collection('users').findOne({ uid: USERS.user.uid });
+        assert.equal(profile.role, 'user');
+    });
+
+    it('lists the caller\'s own reports, including unreviewed ones', async () => {
+        await server.db.collection('userReports').updateOne({ _id: FIXTURES.secondReportId }, { $set: { reviewStatus: 'pending' } });
+
+        const res = await request(server.app).get('/api/me/reports').set(bearer('user'));
+        assert.deepEqual(res.body.data.map(report => report._id).sort(), [FIXTURES.reportId.toString(), FIXTURES.secondReportId.toString()]);
+        for (const report of res.body.data) {
+            assert.equal(report.reporterId, undefined);
+            assert.equal(report.phoneKeys, undefined);
+        }
+
+        const other = await request(server.app).get('/api/me/reports').set(bearer('admin'));
+        assert.deepEqual(other.body.data, []);
+    });
+
+    it('verifies the token once when listing the caller\'s own reports', async () => {
+        const verifyIdToken = server.auth.verifyIdToken;
+        let verifications = 0;
+        server.auth.verifyIdToken = (...args) => {
+            verifications++;
+            return verifyIdToken.apply(server.auth, args);
+        };
+        try {
+            const res = await request(server.app).get('/api/me/reports').set(bearer('user'));
+            assert.equal(res.status, 200);
+        } finally {
+            server.auth.verifyIdToken = verifyIdToken;
+        }
+        assert.equal(verifications, 1);
+    });
+
+    it('trashes the account only once an admin confirms the deletion request', async () => {
+        const requested = await request(server.app).post('/api/me/deletionRequest').set(bearer('user')).send({ reason: 'Moving on.' });
+        assert.equal(requested.status, 202);
+        assert.ok(server.notifications.some(n => n.type === 'account.deletion_requested' && n.recipientUid === USERS.admin.uid));
+
+        const duplicate = await request(server.app).post('/api/me/deletionRequest').set(bearer('user'));
+        assert.equal(duplicate.status, 409);
+
+        const queue = await request(server.app).get('/api/admin/deletionRequests').set(bearer('admin'));
+        assert.deepEqual(queue.body.data.map(user => user.uid), [USERS.user.uid]);
+
+        const confirmed = await request(server.app).post(`/api/admin/deletionRequests/${USERS.user.uid}/confirm`).set(bearer('admin'));
+        assert.equal(confirmed.status, 200);
+
+        const profile = await server.db.collection('users').findOne({ uid: USERS.user.uid });
+        assert.ok(profile.deletedAt);
+        assert.equal(profile.deletedReason, 'Moving on.');
+        assert.equal(profile.deletionRequest.status, 'confirmed');
+        assert.ok(server.auth.disabledUsers.has(USERS.user.uid));
+        assert.ok(server.notifications.some(n => n.type === 'account.deletion_confirmed' && n.recipientUid === USERS.user.uid));
+    });
+
+    it('lets users cancel and admins reject deletion requests', async () => {
+        await request(server.app).post('/api/me/deletionRequest').set(bearer('user'));
+        const cancelled = await request(server.app).delete('/api/me/deletionRequest').set(bearer('user'));
+        assert.equal(cancelled.status, 200);
+
+        await request(server.app).post('/api/me/deletionRequest').set(bearer('user'));
+        const rejected = await request(server.app).post(`/api/admin/deletionRequests/${USERS.user.uid}/reject`).set(bearer('admin')).send({ note: 'You have open appeals.' });
+        assert.equal(rejected.status, 200);
+
+        const profile = await server.db.collection('users').findOne({ uid: USERS.user.uid });
+        assert.equal(profile.deletedAt, undefined);
+        assert.equal(profile.deletionRequest.status, 'rejected');
+    });
+});
+
+describe('report editing', () => {
+    let server;
+
+    before(async () => {
+        server = await startTestServer();
+    });
+
+    after(async () => {
+        await server.stop();
+    });
+
+    beforeEach(async () => {
+        await server.reset();
+    });
+
+    it('lets reporters edit unreviewed reports and records each version', async () => {
+        await server.db.collection('userReports').updateOne({ _id: FIXTURES.reportId }, { $set: { reviewStatus: 'pending_review' } });
+
+        const res = await request(server.app).patch(`/api/userReports/${FIXTURES.reportId}`).set(bearer('user')).send({ phone: '01799999999' });
+        assert.equal(res.status, 200);
+        assert.equal(res.body.version, 2);
+        assert.deepEqual(res.body.data.phoneKeys, ['+8801799999999']);
+
+        const history = await request(server.app).get(`/api/userReports/${FIXTURES.reportId}/history`).set(bearer('user'));
+        assert.deepEqual(history.body.data.map(version => version.action), ['original', 'edit']);
+        assert.deepEqual(history.body.data[1].changes, { phone: { from: '01712345678', to: '01799999999' } });
+        assert.equal(history.body.data[1].changedBy, USERS.user.uid);
+    });
+
+    it('gives concurrent edits their own versions', async () => {
+        const results = await Promise.all(['First reason.', 'Second reason.', 'Third reason.'].map(reason => (
+            request(server.app).patch(`/api/userReports/${FIXTURES.reportId}`).set(bearer('admin')).send({ reason })
+        )));
+        assert.deepEqual(results.map(res => res.status), [200, 200, 200]);
+        assert.deepEqual(results.map(res => res.body.version).sort(), [2, 3, 4]);
+
+        const versions = await server.db.collection('reportVersions').find({ reportId: FIXTURES.reportId }).sort({ version: 1 }).toArray();
+        assert.deepEqual(versions.map(version => version.version), [1, 2, 3, 4]);
+    });
+
+    it('records moderation actions and expiries as versions', async () => {
+        const soon = new Date(Date.now() + 60000);
+        await request(server.app).patch(`/api/admin/userReports/${FIXTURES.secondReportId}/review`).set(bearer('admin')).send({ decision: 'rejected' });
+        await server.db.collection('userReports').updateOne({ _id: FIXTURES.reportId }, { $set: { status: 'suspended', suspendedUntil: soon } });
+        await request(server.app).patch(`/api/admin/userReports/${FIXTURES.reportId}/suspension`).set(bearer('admin')).send({ durationDays: 1 });
+        await server.db.collection('userReports').updateOne({ _id: FIXTURES.reportId }, { $set: { suspendedUntil: new Date(Date.now() - 1000) } });
+        await request(server.app).get('/api/cron/expire-suspensions').set('Authorization', `Bearer ${CRON_SECRET}`);
+        await request(server.app).patch(`/api/admin/userReports/${FIXTURES.reportId}/escalate`).set(bearer('admin')).send({ note: 'Repeat offender.' });
+
+        const versions = await server.db.collection('reportVersions').find({ reportId: FIXTURES.reportId }).sort({ version: 1 }).toArray();
+        assert.deepEqual(versions.map(version => version.action), ['original', 'suspend', 'expire', 'escalate']);
+        assert.deepEqual(versions.map(version => version.snapshot.status), ['suspended', 'suspended', 'expired', 'banned']);
+
+        const [, review] = await server.db.collection('reportVersions').find({ reportId: FIXTURES.secondReportId }).sort({ version: 1 }).toArray();
+        assert.deepEqual(review.changes, { reviewStatus: { from: 'verified', to: 'rejected' } });
+    });
+
+    it('records merges and splits as versions of the report they change', async () => {
+        await request(server.app).post(`/api/admin/userReports/${FIXTURES.reportId}/merge`).set(bearer('admin')).send({ sourceIds: [FIXTURES.secondReportId.toString()] });
+        const merged = await server.db.collection('userReports').findOne({ _id: FIXTURES.reportId });
+        const movedIncident = merged.incidents[1]._id.toString();
+        await request(server.app).post(`/api/admin/userReports/${FIXTURES.reportId}/split`).set(bearer('admin')).send({ incidentIds: [movedIncident] });
+
+        const history = await request(server.app).get(`/api/userReports/${FIXTURES.reportId}/history`).set(bearer('admin'));
+        assert.deepEqual(history.body.data.map(version => version.action), ['original', 'merge', 'split']);
+        assert.deepEqual(history.body.data.map(version => version.changes?.incidentCount?.to ?? null), [null, 2, 1]);
+    });
+
+    it('stops reporters from editing once the report is reviewed', async () => {
+        const res = await request(server.app).patch(`/api/userReports/${FIXTURES.reportId}`).set(bearer('user')).send({ reason: 'Changed my mind.' });
+        assert.equal(res.status, 409);
+
+        const admin = await request(server.app).patch(`/api/userReports/${FIXTURES.reportId}`).set(bearer('admin')).send({ reason: 'Clarified by admin.' });
+        assert.equal(admin.status, 200);
+        assert.equal(admin.body.data.reason, 'Clarified by admin.');
+    });
+
+    it('applies the submission rules to edits', async () => {
+        const res = await request(server.app).patch(`/api/userReports/${FIXTURES.reportId}`).set(bearer('admin')).send({ status: 'deleted' });
+        assert.equal(res.status, 400);
+
+        const unknown = await request(server.app).patch(`/api/userReports/${FIXTURES.reportId}`).set(bearer('admin')).send({ reviewStatus: 'verified' });
+        assert.equal(unknown.status, 400);
+    });
+
+    it('reverts to an earlier version as a new version', async () => {
+        await request(server.app).patch(`/api/userReports/${FIXTURES.reportId}`).set(bearer('admin')).send({ status: 'suspended', suspendedUntil: '2099-01-01T00:00:00Z' });
+
+        const res = await request(server.app).post(`/api/admin/userReports/${FIXTURES.reportId}/revert`).set(bearer('admin')).send({ version: 1 });
+        assert.equal(res.status, 200);
+        assert.equal(res.body.version, 3);
+        assert.equal(res.body.data.status, 'banned');
+        assert.equal(res.body.data.suspendedUntil, null);
+
+        const version = await server.db.collection('reportVersions').findOne({ reportId: FIXTURES.reportId, version: 3 });
+        assert.equal(version.revertedTo, 1);
+
+        const missing = await request(server.app).post(`/api/admin/userReports/${FIXTURES.reportId}/revert`).set(bearer('admin')).send({ version: 9 });
+        assert.equal(missing.status, 404);
+    });
+});
+
+describe('report detail', () => {
+    let server;
+
+    before(async () => {
+        server = await startTestServer();
+    });
+
+    after(async () => {
+        await server.stop();
+    });
+
+    beforeEach(async () => {
+        await server.reset();
+    });
+
+    it('masks the phone and reporter for anonymous callers and shows everything to admins', async () => {
+        const anonymous = await request(server.app).get(`/api/userReports/${FIXTURES.reportId}`);
+        assert.equal(anonymous.status, 200);
+        assert.equal(anonymous.body.data.phone, '********678');
+        assert.equal(anonymous.body.data.reporterName, `${USERS.user.fbName[0]}***`);
+        assert.equal(anonymous.body.data.reporterId, undefined);
+        assert.equal(anonymous.body.data.incidents[0].reporterId, undefined);
+
+        const member = await request(server.app).get(`/api/userReports/${FIXTURES.reportId}`).set(bearer('user'));
+        assert.equal(member.body.data.phone, '01712345678');
+        assert.equal(member.body.data.reporterId, undefined);
+
+        const admin = await request(server.app).get(`/api/userReports/${FIXTURES.reportId}`).set(bearer('admin'));
+        assert.equal(admin.body.data.reporterId, USERS.user.uid);
+    });
+
+    it('returns related reports and counts how often the person was reported', async () => {
+        const samePhone = fixtureReport(new ObjectId(), { name: 'Someone Else', facebookLink: 'https://facebook.com/another.profile' });
+        await server.db.collection('userReports').insertOne(samePhone);
+        const similarName = await request(server.app).post('/api/userReports').set(bearer('admin')).send({
+            name: 'Mohammad Rahim',
+            facebookLink: 'https://facebook.com/rahim.other',
+            phone: '01600000000',
+            status: 'banned',
+            reason: 'Same name, different number.'
+        });
+        await server.db.collection('userReports').updateOne({ _id: new ObjectId(similarName.body.insertedId) }, { $set: { reviewStatus: 'verified' } });
+
+        const res = await request(server.app).get(`/api/userReports/${FIXTURES.reportId}`);
+        const relatedBy = Object.fromEntries(res.body.related.map(report => [report._id, report.relatedBy]));
+        assert.deepEqual(relatedBy[samePhone._id.toString()], ['phone']);
+        assert.deepEqual(relatedBy[similarName.body.insertedId], ['name']);
+        assert.equal(relatedBy[FIXTURES.secondReportId.toString()], undefined);
+
+        assert.equal(res.body.summary.reportCount, 2);
+        assert.equal(res.body.summary.timesReported, 2);
+        assert.equal(res.body.summary.byStatus.banned, 2);
+    });
+
+    it('shows unreviewed and trashed reports only to their reporters and admins', async () => {
+        await server.db.collection('userReports').updateOne({ _id: FIXTURES.reportId }, { $set: { reviewStatus: 'pending_review' } });
+
+        assert.equal((await request(server.app).get(`/api/userReports/${FIXTURES.reportId}`)).status, 404);
+        assert.equal((await request(server.app).get(`/api/userReports/${FIXTURES.reportId}`).set(bearer('user'))).status, 200);
+
+        assert.equal((await request(server.app).get(`/api/userReports/${FIXTURES.trashedReportId}`).set(bearer('user'))).status, 404);
+        assert.equal((await request(server.app).get(`/api/userReports/${FIXTURES.trashedReportId}`).set(bearer('admin'))).status, 200);
+    });
+
+    it('keeps internal fields out of public lists', async () => {
+        const res = await request(server.app).get('/api/allUserReports');
+        assert.ok(res.body.data.length > 0);
+        for (const report of res.body.data) {
+            assert.equal(report.reporterId, undefined);
+            assert.equal(report.deletedBy, undefined);
+            assert.equal(report.phoneKeys, undefined);
+            assert.match(report.phone, /^\*+\d{3}$/);
+        }
+    });
+
+    it('only lets moderators filter lists by reporter', async () => {
+        const anonymous = await request(server.app).get('/api/userReports').query({ reporter: USERS.user.uid });
+        assert.equal(anonymous.status, 403);
+
+        const admin = await request(server.app).get('/api/allUserReports').query({ reporter: USERS.user.uid }).set(bearer('admin'));
+        assert.equal(admin.status, 200);
+        assert.equal(admin.body.data.length, 2);
+    });
+
+    it('lists unpublished reports only to moderators', async () => {
+        await server.db.collection('userReports').updateOne({ _id: FIXTURES.secondReportId }, { $set: { reviewStatus: 'rejected' } });
+
+        const publicIds = (await request(server.app).get('/api/allUserReports')).body.data.map(report => report._id);
+        assert.deepEqual(publicIds, [FIXTURES.reportId.toString()]);
+
+        const adminIds = (await request(server.app).get('/api/allUserReports').set(bearer('admin'))).body.data.map(report => report._id);
+        assert.ok(adminIds.includes(FIXTURES.secondReportId.toString()));
+    });
+});
+
+describe('request validation and errors', () => {
+    let server;
+
+    before(async () => {
+        server = await startTestServer();
+    });
+
+    after(async () => {
+        await server.stop();
+    });
+
+    beforeEach(async () => {
+        await server.reset();
+    });
+
+    it('rejects unknown and oversized fields with one error envelope', async () => {
+        const res = await request(server.app).post('/api/userReports').set(bearer('user')).set('X-Request-Id', 'client-trace-1').send({
+            name: 'Jamal Hossain',
+            facebookLink: 'https://www.facebook.com/jamal.hossain',
+            phone: 1911111111,
+            status: 'banned',
+            reason: 'x'.repeat(2001),
+            reviewStatus: 'verified'
+        });
+        assert.equal(res.status, 400);
+        assert.equal(res.body.code, 'validation_failed');
+        assert.equal(res.body.requestId, 'client-trace-1');
+        assert.equal(res.headers['x-request-id'], 'client-trace-1');
+        assert.deepEqual(res.body.fields.map(field => field.field).sort(), ['phone', 'reason', 'reviewStatus']);
+    });
+
+    it('only accepts Facebook profile links', async () => {
+        const res = await request(server.app).post('/api/userReports').set(bearer('user')).send({
+            name: 'Jamal Hossain',
+            facebookLink: 'https://example.com/jamal.hossain',
+            phone: '01911111111',
+            status: 'banned',
+            reason: 'Sold a phone that never arrived.'
+        });
+        assert.equal(res.status, 400);
+        assert.match(res.body.message, /Facebook/);
+    });
+
+    it('validates bulk actions before touching any report', async () => {
+        const res = await request(server.app).post('/api/trashedReports/bulk-action').set(bearer('admin')).send({ action: 'purge', ids: ['not-an-id'] });
+        assert.equal(res.status, 400);
+        assert.deepEqual(res.body.fields.map(field => field.field), ['ids', 'action']);
+    });
+
+    it('validates route params and list queries', async () => {
+        const badId = await request(server.app).patch('/api/admin/userReports/not-an-id/review').set(bearer('admin')).send({ decision: 'verified' });
+        assert.equal(badId.status, 400);
+        assert.deepEqual(badId.body.fields, [{ location: 'params', field: 'id', message: 'must be a valid ID' }]);
+
+        const badQuery = await request(server.app).get('/api/userReports').query({ limit: 'ten', status: 'deleted', debug: '1' });
+        assert.equal(badQuery.status, 400);
+        assert.deepEqual(badQuery.body.fields.map(field => field.field), ['debug', 'limit', 'status']);
+
+        const crafted = Buffer.from(JSON.stringify({ v: { $regex: '(a+)+$' }, id: '64b000000000000000000001' })).toString('base64url');
+        const badCursor = await request(server.app).get('/api/userReports').query({ sort: 'name', after: crafted });
+        assert.equal(badCursor.status, 400);
+        assert.equal(badCursor.body.code, 'invalid_cursor');
+    });
+
+    it('wraps malformed JSON, unknown routes and auth failures in the same envelope', async () => {
+        const malformed = await request(server.app).post('/api/users').set('Content-Type', 'application/json').send('{"uid":');
+        assert.equal(malformed.status, 400);
+        assert.equal(malformed.body.code, 'invalid_json');
+        assert.ok(malformed.body.requestId);
+
+        const missing = await request(server.app).get('/api/nothing-here');
+        assert.equal(missing.status, 404);
+        assert.equal(missing.body.code, 'not_found');
+
+        const unauthenticated = await request(server.app).get('/api/users');
+        assert.deepEqual(Object.keys(unauthenticated.body).sort(), ['code', 'fields', 'message', 'requestId']);
+    });
+
+    it('does not send internal error details to clients', async (t) => {
+        t.mock.method(Collection.prototype, 'findOne', async () => {
+            throw new Error('connection string secret');
+        });
+
+        const res = await request(server.app).post('/api/users').set(bearer('newcomer')).send({ email: 'new@example.com', fbName: 'New User' });
+        assert.equal(res.status, 500);
+        assert.equal(res.body.code, 'internal_error');
+        assert.ok(!JSON.stringify(res.body).includes('secret'));
+    });
+});
+
+describe('logging and health checks', () => {
+    let server;
+
+    before(async () => {
+        server = await startTestServer();
+    });
+
+    after(async () => {
+        await server.stop();
+    });
+
+    beforeEach(async () => {
+        await server.reset();
+    });
+
+    it('logs one timing entry per request under the ID returned to the client', async () => {
+        const res = await request(server.app).get('/api/users').set(bearer('user'));
+        assert.equal(res.status, 403);
+
+        const entries = server.logs.filter(entry => entry.requestId === res.body.requestId);
+        const timing = entries.find(entry => entry.msg === 'Request completed');
+        assert.equal(timing.level, 'warn');
+        assert.equal(timing.method, 'GET');
+        assert.equal(timing.path, '/api/users');
+        assert.equal(timing.status, 403);
+        assert.equal(typeof timing.durationMs, 'number');
+    });
+
+    it('logs unexpected errors with their cause and redacts personal data', async (t) => {
+        t.mock.method(Collection.prototype, 'findOne', async () => {
+            throw new Error('Lookup failed for new@example.com at +8801911111111');
+        });
+
+        const res = await request(server.app).post('/api/users').set(bearer('newcomer')).send({ email: 'new@example.com', fbName: 'New User' });
+        assert.equal(res.status, 500);
+
+        const errors = server.logs.filter(entry => entry.level === 'error' && entry.requestId === res.body.requestId);
+        assert.ok(errors.some(entry => entry.err?.message.startsWith('Lookup failed for')));
+        const logged = JSON.stringify(server.logs);
+        assert.ok(!logged.includes('new@example.com'));
+        assert.ok(!logged.includes('1911111111'));
+    });
+
+    it('reports liveness and dependency readiness', async (t) => {
+        const live = await request(server.app).get('/healthz');
+        assert.equal(live.status, 200);
+        assert.equal(live.body.status, 'ok');
+
+        const ready = await request(server.app).get('/readyz');
+        assert.equal(ready.status, 200);
+        assert.equal(ready.body.checks.mongo.status, 'up');
+        assert.equal(ready.body.checks.firebase.status, 'up');
+
+        t.mock.method(server.auth, 'listUsers', async () => {
+            throw new Error('Firebase is unavailable.');
+        });
+        const notReady = await request(server.app).get('/readyz');
+        assert.equal(notReady.status, 503);
+        assert.equal(notReady.body.code, 'not_ready');
+        assert.equal(notReady.body.checks.mongo.status, 'up');
+        assert.equal(notReady.body.checks.firebase.status, 'down');
+    });
+});
+
+describe('migrations', () => {
+    let server;
+
+    before(async () => {
+        server = await startTestServer();
+    });
+
+    after(async () => {
+        await server.stop();
+    });
+
+    beforeEach(async () => {
+        await server.reset();
+    });
+
+    it('applies pending migrations once and records them', async () => {
+        const calls = [];
+        const migrations = [
+            { version: 1, name: 'first', up: async () => calls.push(1) },
+            { version: 2, name: 'second', up: async () => calls.push(2) }
+        ];
+
+        assert.deepEqual(await runMigrations(server.db, { migrations }), [1, 2]);
+        assert.deepEqual(await runMigrations(server.db, { migrations }), []);
+        assert.deepEqual(calls, [1, 2]);
+        assert.deepEqual(await pendingMigrations(server.db, migrations), []);
+
+        const records = await server.db.collection('migrations').find({}).sort({ _id: 1 }).toArray();
+        assert.deepEqual(records.map(record => record.name), ['first', 'second']);
+    });
+
+    it('stops at a failing migration without recording it', async () => {
+        const migrations = [
+            { version: 1, name: 'works', up: async () => {} },
+            { version: 2, name: 'breaks', up: async () => { throw new Error('boom'); } },
+            { version: 3, name: 'never', up: async () => assert.fail('ran after a failure') }
+        ];
+
+        await assert.rejects(runMigrations(server.db, { migrations }), /boom/);
+        assert.deepEqual((await pendingMigrations(server.db, migrations)).map(migration => migration.version), [2, 3]);
+    });
+
+    it('creates the indexes the app relies on', async () => {
+        const indexes = await server.db.collection('apiKeys').indexes();
+        assert.ok(indexes.some(index => index.key.keyHash === 1 && index.unique));
+    });
+});